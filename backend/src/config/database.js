@@ -284,6 +284,334 @@ export const initDatabase = async () => {
       "Creating system_logs table"
     );
 
+    // 8. Columns added after the initial schema
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS parent_document_id UUID REFERENCES documents(id) ON DELETE CASCADE`,
+      "Adding documents parent_document_id column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)`,
+      "Adding documents content_hash column"
+    );
+    // Set on uploads linked to an identical earlier upload; they share its chunks
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS canonical_document_id UUID REFERENCES documents(id) ON DELETE SET NULL`,
+      "Adding documents canonical_document_id column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version INTEGER DEFAULT 1`,
+      "Adding documents current_version column"
+    );
+    // Generated abstract and summary of the current version (services/summaryService.js)
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS abstract TEXT`,
+      "Adding documents abstract column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary TEXT`,
+      "Adding documents summary column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary_model VARCHAR(255)`,
+      "Adding documents summary_model column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary_status VARCHAR(20) CHECK (summary_status IN ('generating', 'completed', 'failed'))`,
+      "Adding documents summary_status column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary_error TEXT`,
+      "Adding documents summary_error column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary_started_at TIMESTAMP`,
+      "Adding documents summary_started_at column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS summary_generated_at TIMESTAMP`,
+      "Adding documents summary_generated_at column"
+    );
+    // Chunks of every version are kept so versions can be diffed; content_hash matches unchanged chunks
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`,
+      "Adding document_chunks version column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)`,
+      "Adding document_chunks content_hash column"
+    );
+    await executeQuery(
+      client,
+      `UPDATE document_chunks SET content_hash = encode(sha256(convert_to(content, 'UTF8')), 'hex') WHERE content_hash IS NULL`,
+      "Backfilling document_chunks content_hash"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks DROP CONSTRAINT IF EXISTS document_chunks_document_id_chunk_index_key`,
+      "Dropping single-version chunk index constraint"
+    );
+    // Which model produced each vector; search only compares vectors of the active model
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255)`,
+      "Adding document_chunks embedding_model column"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER`,
+      "Adding document_chunks embedding_dimensions column"
+    );
+    // Vectors stored before the columns existed came from the model configured at the time
+    const legacyEmbeddingModel = (process.env.EMBEDDING_MODEL || 'nomic-embed-text').replace(/'/g, "''");
+    await executeQuery(
+      client,
+      `UPDATE document_chunks
+       SET embedding_model = '${legacyEmbeddingModel}', embedding_dimensions = jsonb_array_length(embedding)
+       WHERE embedding IS NOT NULL AND embedding_model IS NULL AND jsonb_typeof(embedding) = 'array'`,
+      "Backfilling document_chunks embedding model"
+    );
+    // Text-search configuration of the chunk's document language; content_tsv is what full-text search reads.
+    // Chunks indexed before language detection were parsed as English. The name is stored as text because
+    // pg_upgrade refuses tables with regconfig columns; the text-to-regconfig cast is only stable, so the
+    // generated column goes through a function declared immutable.
+    await executeQuery(
+      client,
+      `CREATE OR REPLACE FUNCTION chunk_tsvector(config TEXT, content TEXT)
+       RETURNS TSVECTOR AS $$ SELECT to_tsvector(config::regconfig, content) $$
+       LANGUAGE sql IMMUTABLE`,
+      "Creating chunk_tsvector function"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS ts_config TEXT NOT NULL DEFAULT 'english'`,
+      "Adding document_chunks ts_config column"
+    );
+    // Databases created with the regconfig column get it converted; content_tsv and its index are rebuilt below
+    await executeQuery(
+      client,
+      `DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'document_chunks' AND column_name = 'ts_config' AND udt_name = 'regconfig'
+        ) THEN
+          ALTER TABLE document_chunks DROP COLUMN IF EXISTS content_tsv;
+          ALTER TABLE document_chunks ALTER COLUMN ts_config TYPE TEXT USING ts_config::text;
+        END IF;
+      END $$`,
+      "Converting document_chunks ts_config to text"
+    );
+    await executeQuery(
+      client,
+      `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+       GENERATED ALWAYS AS (chunk_tsvector(ts_config, content)) STORED`,
+      "Adding document_chunks content_tsv column"
+    );
+
+    // 9. Document batches (one per archive or multi-file upload) and their entries
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS document_batches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        source VARCHAR(50) NOT NULL DEFAULT 'archive',
+        source_name VARCHAR(255),
+        total_entries INTEGER DEFAULT 0,
+        queued_entries INTEGER DEFAULT 0,
+        skipped_entries INTEGER DEFAULT 0,
+        failed_entries INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      "Creating document_batches table"
+    );
+
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS document_batch_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        batch_id UUID NOT NULL REFERENCES document_batches(id) ON DELETE CASCADE,
+        document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+        entry_path TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'skipped', 'failed')),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      "Creating document_batch_items table"
+    );
+
+    // 10. Document versions (a row per uploaded revision once a document has more than one)
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        original_filename VARCHAR(255) NOT NULL,
+        file_size BIGINT NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        content_hash VARCHAR(64),
+        status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+        chunk_count INTEGER DEFAULT 0,
+        processed_date TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(document_id, version)
+      )
+    `,
+      "Creating document_versions table"
+    );
+
+    // 11. Re-embedding runs; the cursor is the last chunk id handled, so a run resumes where it stopped
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS embedding_migrations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        target_model VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed')),
+        batch_size INTEGER NOT NULL DEFAULT 50,
+        total_chunks INTEGER DEFAULT 0,
+        processed_chunks INTEGER DEFAULT 0,
+        failed_chunks INTEGER DEFAULT 0,
+        cursor_chunk_id UUID,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      "Creating embedding_migrations table"
+    );
+
+    // 12. Named entities, one row per (type, normalized name), and the chunks that mention them
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS entities (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        type VARCHAR(20) NOT NULL CHECK (type IN ('person', 'organization', 'location', 'date', 'money')),
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(type, normalized_name)
+      )
+    `,
+      "Creating entities table"
+    );
+
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS chunk_entities (
+        chunk_id UUID NOT NULL REFERENCES document_chunks(id) ON DELETE CASCADE,
+        entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+        mention_count INTEGER NOT NULL DEFAULT 1,
+        source VARCHAR(10) NOT NULL DEFAULT 'rules' CHECK (source IN ('rules', 'model')),
+        PRIMARY KEY (chunk_id, entity_id)
+      )
+    `,
+      "Creating chunk_entities table"
+    );
+
+    // 13. Tags, automatic (keyphrases) or added by hand. Old names of renamed tags are kept as aliases so
+    // re-extraction files the same keyphrase under the new name
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS tags (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL UNIQUE,
+        aliases TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      "Creating tags table"
+    );
+
+    // An automatic tag removed by hand keeps its row with removed_at set, so re-extraction does not add it back
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS document_tags (
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        source VARCHAR(10) NOT NULL CHECK (source IN ('auto', 'manual')),
+        score REAL,
+        removed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (document_id, tag_id)
+      )
+    `,
+      "Creating document_tags table"
+    );
+
+    // 14. Watched directories and the files seen in them; size and mtime tell a modified file from an unchanged one
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS watch_folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        path TEXT NOT NULL UNIQUE,
+        recursive BOOLEAN NOT NULL DEFAULT true,
+        include_patterns TEXT[] NOT NULL DEFAULT '{}',
+        exclude_patterns TEXT[] NOT NULL DEFAULT '{}',
+        default_tags TEXT[] NOT NULL DEFAULT '{}',
+        use_polling BOOLEAN NOT NULL DEFAULT false,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        last_scan_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      "Creating watch_folders table"
+    );
+
+    await executeQuery(
+      client,
+      `
+      CREATE TABLE IF NOT EXISTS watch_folder_files (
+        watch_folder_id UUID NOT NULL REFERENCES watch_folders(id) ON DELETE CASCADE,
+        relative_path TEXT NOT NULL,
+        document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+        file_size BIGINT,
+        modified_at TIMESTAMPTZ,
+        content_hash VARCHAR(64),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('ingested', 'skipped', 'failed')),
+        error TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (watch_folder_id, relative_path)
+      )
+    `,
+      "Creating watch_folder_files table"
+    );
+
+    // 15. Batches of uploaded files remember the options they were uploaded with, so later files can join them
+    await executeQuery(
+      client,
+      `ALTER TABLE document_batches ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}'`,
+      "Adding options to document_batches"
+    );
+
     console.log("\nCreating database indexes...");
 
     // Create indexes
@@ -297,6 +625,40 @@ export const initDatabase = async () => {
       `CREATE INDEX IF NOT EXISTS idx_documents_upload_date ON documents(upload_date)`,
       "Creating documents date index"
     );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_documents_parent_document_id ON documents(parent_document_id)`,
+      "Creating documents parent index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents(content_hash)`,
+      "Creating documents content hash index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_documents_canonical_document_id ON documents(canonical_document_id)`,
+      "Creating documents canonical index"
+    );
+    // One original per content, so concurrent identical uploads cannot both become one. Failed uploads may be
+    // uploaded again and extracted documents are replaced with their parent, so neither counts. Databases that
+    // already hold duplicate originals keep working without the index until those are deleted.
+    await executeQuery(
+      client,
+      `DO $$
+      BEGIN
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_original_content_hash ON documents(content_hash)
+          WHERE canonical_document_id IS NULL AND parent_document_id IS NULL AND status != 'failed';
+      EXCEPTION WHEN unique_violation THEN
+        RAISE WARNING 'Duplicate original documents exist; skipping the unique content hash index';
+      END $$`,
+      "Creating documents unique original content hash index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_document_batch_items_batch_id ON document_batch_items(batch_id)`,
+      "Creating document batch items index"
+    );
     await executeQuery(
       client,
       `CREATE INDEX IF NOT EXISTS idx_chunks_document_id ON document_chunks(document_id)`,
@@ -304,10 +666,52 @@ export const initDatabase = async () => {
     );
     await executeQuery(
       client,
-      `CREATE INDEX IF NOT EXISTS idx_chunks_content_fts ON document_chunks USING gin(to_tsvector('english', content))`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_chunks_document_version_index ON document_chunks(document_id, version, chunk_index)`,
+      "Creating chunks document version index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_chunks_embedding_model ON document_chunks(embedding_model)`,
+      "Creating chunks embedding model index"
+    );
+    // Replaced by the index on content_tsv, which follows each chunk's language
+    await executeQuery(
+      client,
+      `DROP INDEX IF EXISTS idx_chunks_content_fts`,
+      "Dropping English-only full-text search index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_chunks_content_tsv ON document_chunks USING gin(content_tsv)`,
       "Creating full-text search index"
     );
     
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_chunk_entities_entity_id ON chunk_entities(entity_id)`,
+      "Creating chunk entities entity index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_entities_normalized_name ON entities(normalized_name)`,
+      "Creating entities name index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_document_tags_tag_id ON document_tags(tag_id)`,
+      "Creating document tags tag index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_tags_aliases ON tags USING gin(aliases)`,
+      "Creating tags aliases index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_watch_folder_files_document_id ON watch_folder_files(document_id)`,
+      "Creating watch folder files document index"
+    );
+
     // JSONB embedding index for semantic search
     await executeQuery(
       client,
@@ -315,6 +719,16 @@ export const initDatabase = async () => {
       "Creating JSONB embedding index"
     );
     
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_processing_jobs_status ON processing_jobs(status)`,
+      "Creating processing jobs status index"
+    );
+    await executeQuery(
+      client,
+      `CREATE INDEX IF NOT EXISTS idx_processing_jobs_document_id ON processing_jobs(document_id)`,
+      "Creating processing jobs document index"
+    );
     await executeQuery(
       client,
       `CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_id ON chat_sessions(user_id)`,
@@ -0,0 +1,44 @@
+import path from 'path';
+
+// Every MIME type DocumentProcessor can load, with the extensions it is known by
+export const SUPPORTED_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'text/plain': ['.txt'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/html': ['.html', '.htm'],
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'message/rfc822': ['.eml'],
+  'application/mbox': ['.mbox']
+};
+
+export const SUPPORTED_MIME_TYPES = Object.keys(SUPPORTED_FILE_TYPES);
+
+// Largest file accepted in one request; the same limit applies to archive entries and watched files
+export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+// Archives are unpacked on upload rather than processed, so they are uploadable but not "supported"
+export const ARCHIVE_MIME_TYPE = 'application/zip';
+const UPLOADABLE_FILE_TYPES = { ...SUPPORTED_FILE_TYPES, [ARCHIVE_MIME_TYPE]: ['.zip'] };
+
+export const UPLOADABLE_MIME_TYPES = Object.keys(UPLOADABLE_FILE_TYPES);
+
+/**
+ * Browsers report Markdown and friends inconsistently (text/x-markdown,
+ * application/octet-stream, or nothing), so fall back to the extension
+ * @param {string} filename - Original file name
+ * @param {string} reportedType - MIME type sent by the client
+ * @returns {string} - A supported MIME type, or the reported one if none matches
+ */
+export function resolveMimeType(filename, reportedType) {
+  if (UPLOADABLE_FILE_TYPES[reportedType]) {
+    return reportedType;
+  }
+
+  const ext = path.extname(filename || '').toLowerCase();
+  const match = Object.entries(UPLOADABLE_FILE_TYPES).find(([, extensions]) => extensions.includes(ext));
+  return match ? match[0] : reportedType;
+}
@@ -1,6 +1,8 @@
 // config/ollama.js - Fixed and improved version
 import fetch from 'node-fetch';
 import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { embeddingCache } from '../services/embeddingCache.js';
 
 class OllamaService {
   constructor() {
@@ -13,6 +15,11 @@ class OllamaService {
     this.timeout = parseInt(process.env.OLLAMA_TIMEOUT) || 60000; // 60 seconds
     this.maxRetries = parseInt(process.env.OLLAMA_MAX_RETRIES) || 3;
     this.retryDelay = parseInt(process.env.OLLAMA_RETRY_DELAY) || 2000; // 2 seconds
+
+    // Bulk embedding: texts per /api/embed request, and requests in flight at once
+    this.embeddingBatchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    this.embeddingConcurrency = parseInt(process.env.EMBEDDING_CONCURRENCY) || 4;
+    this.batchEmbeddingSupported = null; // Unknown until the first batch request
     
     logger.info('🔧 OllamaService initialized', {
       baseUrl: this.baseUrl,
@@ -23,22 +30,21 @@ class OllamaService {
   }
 
   async generateEmbedding(text) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid input: text must be a non-empty string');
-    }
+    // Trim, validate and limit text length to avoid API issues
+    const truncatedText = this.prepareEmbeddingText(text);
 
-    // Trim and validate text length
-    const cleanText = text.trim();
-    if (cleanText.length === 0) {
-      throw new Error('Invalid input: text cannot be empty');
+    const cached = await embeddingCache.get(this.embeddingModel, truncatedText);
+    if (cached) {
+      return cached;
     }
 
-    // Limit text length to avoid API issues
-    const maxLength = 8000;
-    const truncatedText = cleanText.length > maxLength 
-      ? cleanText.substring(0, maxLength) + '...' 
-      : cleanText;
+    const embedding = await this.requestEmbedding(truncatedText);
+    await embeddingCache.set(this.embeddingModel, truncatedText, embedding);
+    return embedding;
+  }
 
+  // One /api/embeddings request with retries, bypassing the cache
+  async requestEmbedding(truncatedText) {
     let lastError;
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
@@ -271,43 +277,221 @@ class OllamaService {
     }
   }
 
-  async generateEmbeddings(texts) {
+  /**
+   * Plain completion for internal tasks (extraction, summaries), without the assistant framing of generateResponse
+   * @param {string} prompt
+   * @param {Object} [options]
+   * @param {string} [options.model] - Defaults to the chat model
+   * @param {string} [options.format] - 'json' constrains the output to a JSON document
+   * @param {number} [options.temperature]
+   * @returns {Promise<string>}
+   */
+  async generate(prompt, { model = this.chatModel, format, temperature = 0 } = {}) {
+    if (!prompt || typeof prompt !== 'string') {
+      throw new Error('Invalid input: prompt must be a non-empty string');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/generate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+        },
+        body: JSON.stringify({ model, prompt, stream: false, ...(format && { format }), options: { temperature } }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text() || response.statusText}`);
+      }
+
+      const result = await response.json();
+      return (result.response || '').trim();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Generation timed out');
+      }
+      throw new Error(`Generation failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Embed many texts, several batches at a time. Uses the batch /api/embed endpoint and falls back to
+   * one request per text when the server does not support it or a batch fails. Texts already in the
+   * embedding cache are not sent.
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {function(number, number): void} [options.onProgress] - Called with (embedded so far, total)
+   * @returns {Promise<{embeddings: Array<number[]|null>, errors: Array<{index: number, error: string}>}>}
+   */
+  async generateEmbeddings(texts, { onProgress } = {}) {
     if (!Array.isArray(texts)) {
       throw new Error('Invalid input: texts must be an array');
     }
 
-    logger.info(`🔄 Generating embeddings for ${texts.length} texts`);
-    
-    const embeddings = [];
+    logger.info(`🔄 Generating embeddings for ${texts.length} texts`, {
+      batchSize: this.embeddingBatchSize,
+      concurrency: this.embeddingConcurrency
+    });
+
+    const embeddings = new Array(texts.length).fill(null);
     const errors = [];
+    const fail = (index, error) => {
+      logger.error(`Failed to generate embedding for text ${index + 1}:`, {
+        textPreview: String(texts[index]).substring(0, 100),
+        error: error.message
+      });
+      errors.push({ index, error: error.message });
+    };
 
-    for (let i = 0; i < texts.length; i++) {
+    const prepared = [];
+    texts.forEach((text, index) => {
       try {
-        const embedding = await this.generateEmbedding(texts[i]);
-        embeddings.push(embedding);
-        
-        // Add small delay between requests to avoid overwhelming the server
-        if (i < texts.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
+        prepared.push({ index, text: this.prepareEmbeddingText(text) });
       } catch (error) {
-        logger.error(`Failed to generate embedding for text ${i + 1}:`, {
-          textPreview: texts[i].substring(0, 100),
-          error: error.message
-        });
-        embeddings.push(null);
-        errors.push({ index: i, error: error.message });
+        fail(index, error);
       }
+    });
+
+    // Only texts the cache has not seen for this model are sent to Ollama
+    const cached = await embeddingCache.getMany(this.embeddingModel, prepared.map(item => item.text));
+    const misses = prepared.filter((item, i) => {
+      embeddings[item.index] = cached[i];
+      return !cached[i];
+    });
+
+    const batches = [];
+    for (let start = 0; start < misses.length; start += this.embeddingBatchSize) {
+      batches.push(misses.slice(start, start + this.embeddingBatchSize));
     }
 
+    let done = texts.length - misses.length;
+    if (done > 0) {
+      onProgress?.(done, texts.length);
+    }
+
+    await mapWithConcurrency(batches, this.embeddingConcurrency, async (batch) => {
+      let vectors = null;
+
+      if (this.batchEmbeddingSupported !== false) {
+        try {
+          vectors = await this.embedBatch(batch.map(item => item.text));
+        } catch (error) {
+          // One bad text fails the whole request; retry the texts separately to isolate it
+          logger.warn(`Batch embedding failed, embedding ${batch.length} texts one by one:`, error.message);
+        }
+      }
+
+      if (vectors) {
+        vectors.forEach((vector, offset) => { embeddings[batch[offset].index] = vector; });
+      } else {
+        for (const item of batch) {
+          try {
+            embeddings[item.index] = await this.requestEmbedding(item.text);
+          } catch (error) {
+            fail(item.index, error);
+          }
+        }
+      }
+
+      await embeddingCache.setMany(
+        this.embeddingModel,
+        batch.filter(item => embeddings[item.index]).map(item => ({ text: item.text, embedding: embeddings[item.index] }))
+      );
+
+      done += batch.length;
+      onProgress?.(done, texts.length);
+    });
+
     logger.info(`📊 Batch embedding results:`, {
       total: texts.length,
+      cached: prepared.length - misses.length,
       successful: embeddings.filter(e => e !== null).length,
       failed: errors.length
     });
 
-    return { embeddings, errors };
+    return { embeddings, errors: errors.sort((a, b) => a.index - b.index) };
+  }
+
+  /**
+   * One /api/embed request for several texts. Marks the server as not supporting batches when the
+   * endpoint is missing or answers in a single-embedding format.
+   * @param {string[]} inputs - Texts already passed through prepareEmbeddingText
+   * @returns {Promise<number[][]>} - One vector per text, in order
+   */
+  async embedBatch(inputs) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await fetch(`${this.baseUrl}/api/embed`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+          },
+          body: JSON.stringify({ model: this.embeddingModel, input: inputs }),
+          signal: controller.signal
+        });
+
+        if (response.status === 404 || response.status === 405) {
+          this.markBatchUnsupported(`HTTP ${response.status}`);
+          throw new Error(`Batch embeddings not supported (HTTP ${response.status})`);
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${await response.text() || response.statusText}`);
+        }
+
+        const result = await response.json();
+        const vectors = result.embeddings || result.data?.map(item => item.embedding);
+        if (!Array.isArray(vectors) || vectors.length !== inputs.length || !vectors.every(v => Array.isArray(v) && v.length > 0)) {
+          this.markBatchUnsupported('unexpected response format');
+          throw new Error('Batch embeddings not supported (unexpected response format)');
+        }
+
+        this.batchEmbeddingSupported = true;
+        return vectors;
+      } catch (error) {
+        lastError = error;
+        if (this.batchEmbeddingSupported === false || attempt === this.maxRetries) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    throw lastError;
+  }
+
+  markBatchUnsupported(reason) {
+    if (this.batchEmbeddingSupported !== false) {
+      logger.warn(`Ollama server does not support batch embeddings (${reason}); using one request per text`);
+    }
+    this.batchEmbeddingSupported = false;
+  }
+
+  // Shared by single and batch requests
+  prepareEmbeddingText(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Invalid input: text must be a non-empty string');
+    }
+
+    const cleanText = text.trim();
+    const maxLength = 8000;
+    return cleanText.length > maxLength ? cleanText.substring(0, maxLength) + '...' : cleanText;
   }
 
   async testConnection() {
@@ -1,4 +1,4 @@
-import { createClient } from 'redis';
+import { createClient, commandOptions } from 'redis';
 import logger from '../utils/logger.js';
 
 let redisClient;
@@ -43,7 +43,8 @@ export async function addToQueue(queueName, job) {
 
 export async function getFromQueue(queueName) {
   try {
-    const job = await redisClient.brPop(queueName, 1);
+    // Blocking pops get their own connection so they never stall shared commands
+    const job = await redisClient.brPop(commandOptions({ isolated: true }), queueName, 1);
     if (job) {
       return JSON.parse(job.element);
     }
@@ -52,4 +53,35 @@ export async function getFromQueue(queueName) {
     logger.error('Failed to get job from queue:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Delayed jobs live in a sorted set scored by the time they become due
+export async function addToDelayedQueue(queueName, job, delayMs) {
+  try {
+    await redisClient.zAdd(`${queueName}:delayed`, {
+      score: Date.now() + delayMs,
+      value: JSON.stringify(job)
+    });
+    logger.info(`Scheduled job on ${queueName} in ${delayMs}ms`);
+  } catch (error) {
+    logger.error('Failed to schedule delayed job:', error);
+    throw error;
+  }
+}
+
+// Callers poll this, so failures are left to them to log
+export async function promoteDelayedJobs(queueName, batchSize = 100) {
+  const due = await redisClient.zRangeByScore(`${queueName}:delayed`, 0, Date.now(), {
+    LIMIT: { offset: 0, count: batchSize }
+  });
+
+  let promoted = 0;
+  for (const element of due) {
+    // zRem only succeeds for one caller, so concurrent workers never double-queue
+    if (await redisClient.zRem(`${queueName}:delayed`, element)) {
+      await redisClient.lPush(queueName, element);
+      promoted++;
+    }
+  }
+  return promoted;
+}
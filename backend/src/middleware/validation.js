@@ -1,11 +1,58 @@
+import fs from 'fs/promises';
 import Joi from 'joi';
+import { UPLOADABLE_MIME_TYPES, MAX_UPLOAD_SIZE, resolveMimeType } from '../config/fileTypes.js';
+import { CHUNKING_STRATEGIES, resolveChunking } from '../services/chunkingStrategies.js';
+import { languageService } from '../services/languageService.js';
+import { ENTITY_TYPES } from '../services/entityExtractor.js';
+import { MAX_RESUMABLE_UPLOAD_SIZE } from '../services/resumableUploadService.js';
+import { ocrService } from '../services/ocrService.js';
 
 // Document upload validation
 const documentSchema = Joi.object({
-  mimetype: Joi.string().valid('application/pdf', 'text/plain', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document').required(),
-  size: Joi.number().max(50 * 1024 * 1024).required() // 50MB max
+  mimetype: Joi.string().valid(...UPLOADABLE_MIME_TYPES).required(),
+  size: Joi.number().max(MAX_UPLOAD_SIZE).required()
 });
 
+// Multipart fields arrive as strings, so an object may also be sent as JSON text
+const jsonObject = Joi.any().custom((value, helpers) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return helpers.error('any.invalid');
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : helpers.error('any.invalid');
+}).messages({ 'any.invalid': '{{#label}} must be a JSON object' });
+
+// Options that control how a document is processed, on upload and on reprocess
+const processingOptions = {
+  max_retries: Joi.number().integer().min(0).max(10),
+  // OCR for PDF pages without a text layer; language is one or more tesseract codes, e.g. "eng+deu"
+  ocr: Joi.boolean().default(process.env.OCR_ENABLED !== 'false'),
+  ocr_language: Joi.string().pattern(/^[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*$/i).max(100),
+  // Parameters are checked against the chosen strategy's own schema in resolveProcessingOptions
+  chunking_strategy: Joi.string().valid(...Object.keys(CHUNKING_STRATEGIES)),
+  chunking_params: jsonObject
+};
+
+// Processing options sent as multipart fields alongside the file
+const uploadOptionsSchema = Joi.object({
+  ...processingOptions,
+  // What to do when the same content was uploaded before: 409, or a new row sharing the existing chunks
+  duplicate: Joi.string().valid('reject', 'link').default(process.env.DUPLICATE_UPLOAD_POLICY || 'reject')
+}).unknown(true);
+
+// Multer has already written the uploaded files to the staging directory; a rejected request must not leave them there
+function rejectUpload(req, res, body) {
+  const files = [req.file, ...(req.files || [])].filter(Boolean);
+  for (const file of files) {
+    fs.unlink(file.path).catch(() => {});
+  }
+  return res.status(400).json(body);
+}
+
 export function validateDocument(req, res, next) {
   if (!req.file) {
     return res.status(400).json({ error: 'No file provided' });
@@ -17,12 +64,98 @@ export function validateDocument(req, res, next) {
   });
 
   if (error) {
-    return res.status(400).json({ 
+    return rejectUpload(req, res, {
       error: 'Invalid file',
-      details: error.details[0].message 
+      details: error.details[0].message
+    });
+  }
+
+  const { error: optionsError, value: options } = uploadOptionsSchema.validate(req.body || {});
+
+  if (optionsError) {
+    return rejectUpload(req, res, {
+      error: 'Invalid upload options',
+      details: optionsError.details[0].message
+    });
+  }
+
+  try {
+    req.uploadOptions = resolveProcessingOptions(options);
+  } catch (optionsError) {
+    return rejectUpload(req, res, { error: 'Invalid upload options', details: optionsError.message });
+  }
+  next();
+}
+
+// Reprocess validation
+const reprocessSchema = Joi.object(processingOptions);
+
+export function validateReprocess(req, res, next) {
+  const { error, value } = reprocessSchema.validate(req.body || {});
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid reprocess options',
+      details: error.details[0].message
     });
   }
 
+  try {
+    req.body = resolveProcessingOptions(value);
+  } catch (optionsError) {
+    return res.status(400).json({ error: 'Invalid reprocess options', details: optionsError.message });
+  }
+  next();
+}
+
+// Without a strategy or parameters, chunking stays undefined so the processor can fall back to the default.
+// OCR languages must be installed, or every OCR'd page would fail.
+function resolveProcessingOptions({ chunking_strategy, chunking_params, ...options }) {
+  const installed = ocrService.installedLanguages();
+  const missing = (options.ocr_language?.split('+') || []).filter(language => installed && !installed.includes(language));
+  if (missing.length > 0) {
+    throw new Error(`OCR language data not installed: ${missing.join(', ')} (installed: ${installed.join(', ')})`);
+  }
+
+  if (chunking_strategy === undefined && chunking_params === undefined) {
+    return options;
+  }
+  return { ...options, chunking: resolveChunking({ strategy: chunking_strategy, params: chunking_params }) };
+}
+
+// Filters on the properties embedded in PDF and DOCX files, for document listing and search
+const propertyFilters = {
+  author: Joi.string().max(255),
+  title: Joi.string().max(255),
+  subject: Joi.string().max(255),
+  keyword: Joi.string().max(255),
+  created_after: Joi.date().iso(),
+  created_before: Joi.date().iso(),
+  modified_after: Joi.date().iso(),
+  modified_before: Joi.date().iso()
+};
+
+// Documents carrying every one of these tags; a single tag may be sent as a plain string
+const tagFilter = Joi.array().items(Joi.string().trim().min(1).max(100)).single();
+
+// Document listing validation; only the filters are checked, paging stays as it was
+const documentListSchema = Joi.object({
+  ...propertyFilters,
+  tags: tagFilter,
+  collection: Joi.string().trim().max(100)
+}).unknown(true);
+
+export function validateDocumentList(req, res, next) {
+  const { error, value } = documentListSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid document filters',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
   next();
 }
 
@@ -31,7 +164,17 @@ const searchSchema = Joi.object({
   query: Joi.string().min(1).max(1000).required(),
   limit: Joi.number().integer().min(1).max(100).default(10),
   documents: Joi.array().items(Joi.string().uuid()).default([]),
-  threshold: Joi.number().min(0).max(1).default(0.7)
+  threshold: Joi.number().min(0).max(1).default(0.7),
+  // Email filters; attachments match the headers of their parent message
+  sender: Joi.string().max(255),
+  sent_after: Joi.date().iso(),
+  sent_before: Joi.date().iso(),
+  ...propertyFilters,
+  tags: tagFilter,
+  // Full-text parsing language ('german', 'de' or 'deu'); also limits text matches to chunks in that language
+  language: Joi.string().lowercase().valid(...languageService.acceptedLanguages),
+  // Also match chunks of earlier document versions (each result carries its version)
+  include_versions: Joi.boolean().default(false)
 });
 
 export function validateSearch(req, res, next) {
@@ -67,4 +210,205 @@ export function validateChat(req, res, next) {
 
   req.body = value;
   next();
-}
\ No newline at end of file
+}
+
+// Entity listing validation; mentions take the paging fields only
+const pagingFields = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+};
+
+const entityListSchema = Joi.object({
+  ...pagingFields,
+  type: Joi.string().valid(...ENTITY_TYPES),
+  search: Joi.string().max(255),
+  documents: Joi.alternatives(Joi.array().items(Joi.string().uuid()), Joi.string().uuid())
+});
+
+const entityMentionsSchema = Joi.object({
+  ...pagingFields,
+  id: Joi.string().uuid().required()
+});
+
+export function validateEntityList(req, res, next) {
+  const { error, value } = entityListSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid entity parameters',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
+  next();
+}
+
+export function validateEntityMentions(req, res, next) {
+  const { error, value } = entityMentionsSchema.validate({ ...req.query, id: req.params.id });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid entity parameters',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
+  next();
+}
+
+// Tag listing validation
+const tagListSchema = Joi.object({
+  ...pagingFields,
+  search: Joi.string().max(255),
+  documents: Joi.array().items(Joi.string().uuid()).single()
+});
+
+// Adding a tag to a document and renaming a tag take the same body
+const tagNameSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+});
+
+export function validateTagList(req, res, next) {
+  const { error, value } = tagListSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid tag parameters',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
+  next();
+}
+
+export function validateTagName(req, res, next) {
+  const { error, value } = tagNameSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid tag',
+      details: error.details[0].message
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Watch folder settings; globs match paths relative to the folder, or the file name when they have no slash
+const globList = Joi.array().items(Joi.string().trim().min(1).max(255)).max(50);
+
+const watchFolderFields = {
+  path: Joi.string().trim().max(1024),
+  recursive: Joi.boolean(),
+  include: globList,
+  exclude: globList,
+  default_tags: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20),
+  use_polling: Joi.boolean(),
+  enabled: Joi.boolean()
+};
+
+const watchFolderSchema = Joi.object({ ...watchFolderFields, path: watchFolderFields.path.required() });
+const watchFolderUpdateSchema = Joi.object(watchFolderFields).min(1);
+
+const watchFolderFilesSchema = Joi.object({
+  ...pagingFields,
+  status: Joi.string().valid('ingested', 'skipped', 'failed')
+});
+
+export function validateWatchFolder(req, res, next) {
+  const schema = req.method === 'POST' ? watchFolderSchema : watchFolderUpdateSchema;
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid watch folder settings',
+      details: error.details[0].message
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+export function validateWatchFolderFiles(req, res, next) {
+  const { error, value } = watchFolderFilesSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid watch folder parameters',
+      details: error.details[0].message
+    });
+  }
+
+  req.query = value;
+  next();
+}
+
+// Resumable upload: the file is described up front and its parts follow; processing options are sent here
+const resumableUploadSchema = uploadOptionsSchema.keys({
+  filename: Joi.string().trim().min(1).max(255).required(),
+  size: Joi.number().integer().min(1).max(MAX_RESUMABLE_UPLOAD_SIZE).required(),
+  mime_type: Joi.string().max(255),
+  checksum: Joi.string().hex().length(64)
+});
+
+export function validateResumableUpload(req, res, next) {
+  const { error, value } = resumableUploadSchema.validate(req.body || {});
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid upload options',
+      details: error.details[0].message
+    });
+  }
+
+  const { filename, size, mime_type, checksum, ...options } = value;
+  const mimetype = resolveMimeType(filename, mime_type);
+  if (!UPLOADABLE_MIME_TYPES.includes(mimetype)) {
+    return res.status(400).json({ error: 'Invalid file', details: `Unsupported file type: ${mime_type || filename}` });
+  }
+
+  try {
+    req.uploadOptions = resolveProcessingOptions(options);
+  } catch (optionsError) {
+    return res.status(400).json({ error: 'Invalid upload options', details: optionsError.message });
+  }
+  req.body = { filename, size, mimetype, checksum };
+  next();
+}
+
+// Options shared by every file of a multi-file upload; files sent with batch_id join that batch and its options
+const batchUploadSchema = uploadOptionsSchema.keys({
+  batch_id: Joi.string().uuid(),
+  name: Joi.string().trim().max(255),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(100)).max(20).single().default([]),
+  collection: Joi.string().trim().min(1).max(100)
+});
+
+export function validateBatchUpload(req, res, next) {
+  if ((req.files || []).length === 0 && (req.rejectedFiles || []).length === 0) {
+    return res.status(400).json({ error: 'No files provided' });
+  }
+
+  const { error, value } = batchUploadSchema.validate(req.body || {});
+
+  if (error) {
+    return rejectUpload(req, res, {
+      error: 'Invalid upload options',
+      details: error.details[0].message
+    });
+  }
+
+  const { batch_id, name, tags, collection, ...options } = value;
+  try {
+    req.uploadOptions = resolveProcessingOptions(options);
+  } catch (optionsError) {
+    return rejectUpload(req, res, { error: 'Invalid upload options', details: optionsError.message });
+  }
+  req.body = { batch_id, name, tags, collection };
+  next();
+}
@@ -2,6 +2,11 @@ import express from 'express';
 import { query } from '../config/database.js';
 import ollamaService from '../config/ollama.js';
 import { getRedisClient } from '../config/redis.js';
+import jobProcessor, { DOCUMENT_PROCESSING_QUEUE, DEAD_LETTER_QUEUE } from '../services/jobProcessor.js';
+import embeddingMigrator from '../services/embeddingMigrator.js';
+import { embeddingCache } from '../services/embeddingCache.js';
+import watchFolderService from '../services/watchFolderService.js';
+import { validateWatchFolder, validateWatchFolderFiles } from '../middleware/validation.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -134,10 +139,10 @@ router.get('/stats', async (req, res, next) => {
       SELECT 
         COUNT(*) as total_jobs,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_jobs,
-        COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_jobs,
+        COUNT(CASE WHEN status = 'running' THEN 1 END) as running_jobs,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_jobs,
         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_jobs,
-        AVG(retry_count) as avg_progress
+        AVG(retry_count) as avg_retry_count
       FROM processing_jobs
       WHERE created_at > NOW() - INTERVAL '24 hours'
     `);
@@ -147,6 +152,8 @@ router.get('/stats', async (req, res, next) => {
       period: 'last_24_hours'
     };
 
+    stats.embedding_cache = await embeddingCache.getStats();
+
     res.json(stats);
   } catch (error) {
     next(error);
@@ -159,25 +166,35 @@ router.get('/queue', async (req, res, next) => {
     const redis = getRedisClient();
     
     const queueStats = {
-      document_processing: await redis.lLen('document_processing'),
+      document_processing: await redis.lLen(DOCUMENT_PROCESSING_QUEUE),
       embedding_generation: await redis.lLen('embedding_generation') || 0,
       total_active_jobs: 0
     };
 
     queueStats.total_active_jobs = Object.values(queueStats).reduce((sum, count) => sum + count, 0);
+    queueStats.delayed_retries = await redis.zCard(`${DOCUMENT_PROCESSING_QUEUE}:delayed`);
+    queueStats.dead_letter = await redis.lLen(DEAD_LETTER_QUEUE);
 
     // Get recent processing jobs
     const recentJobs = await query(`
       SELECT 
-        id, document_id, job_type, status, progress, 
+        id, document_id, job_type, status, retry_count,
         error_message, created_at, started_at, completed_at
       FROM processing_jobs 
       ORDER BY created_at DESC 
       LIMIT 20
     `);
 
+    // Job counts by state, as recorded by the worker
+    const jobCounts = await query(`
+      SELECT status, COUNT(*) as count
+      FROM processing_jobs
+      GROUP BY status
+    `);
+
     res.json({
       queue: queueStats,
+      jobs: Object.fromEntries(jobCounts.rows.map(row => [row.status, parseInt(row.count)])),
       recent_jobs: recentJobs.rows
     });
   } catch (error) {
@@ -189,10 +206,10 @@ router.get('/queue', async (req, res, next) => {
 router.post('/queue/clear-failed', async (req, res, next) => {
   try {
     const result = await query(
-      "DELETE FROM processing_jobs WHERE status = 'failed' AND created_at < NOW() - INTERVAL '24 hours' RETURNING COUNT(*)"
+      "DELETE FROM processing_jobs WHERE status = 'failed' AND created_at < NOW() - INTERVAL '24 hours'"
     );
 
-    const deletedCount = result.rows[0].count || 0;
+    const deletedCount = result.rowCount || 0;
     
     logger.info(`Cleared ${deletedCount} failed jobs`);
     res.json({ message: `Cleared ${deletedCount} failed jobs` });
@@ -201,20 +218,265 @@ router.post('/queue/clear-failed', async (req, res, next) => {
   }
 });
 
-// Retry failed jobs
+// Retry failed jobs (everything on the dead-letter queue)
 router.post('/queue/retry-failed', async (req, res, next) => {
   try {
-    const result = await query(
-      `UPDATE processing_jobs 
-       SET status = 'pending', progress = 0, error_message = NULL, started_at = NULL 
-       WHERE status = 'failed' 
-       RETURNING COUNT(*)`
-    );
-
-    const retryCount = result.rows[0].count || 0;
+    const requeued = await jobProcessor.requeueDeadJobs();
+    const retryCount = requeued.length;
     
     logger.info(`Retrying ${retryCount} failed jobs`);
-    res.json({ message: `Retrying ${retryCount} failed jobs` });
+    res.json({ message: `Retrying ${retryCount} failed jobs`, job_ids: requeued });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List dead-lettered jobs
+router.get('/queue/dead', async (req, res, next) => {
+  try {
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const { total, jobs } = await jobProcessor.listDeadJobs(offset, limit);
+
+    res.json({ jobs, total, offset, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requeue dead-lettered jobs in bulk (all of them unless job_ids is given)
+router.post('/queue/dead/requeue', async (req, res, next) => {
+  try {
+    const { job_ids: jobIds } = req.body || {};
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+      return res.status(400).json({ error: 'job_ids must be an array' });
+    }
+
+    const requeued = await jobProcessor.requeueDeadJobs(jobIds);
+    res.json({ message: `Requeued ${requeued.length} jobs`, job_ids: requeued });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Requeue a single dead-lettered job
+router.post('/queue/dead/:jobId/requeue', async (req, res, next) => {
+  try {
+    const requeued = await jobProcessor.requeueDeadJobs([req.params.jobId]);
+    if (requeued.length === 0) {
+      return res.status(404).json({ error: 'Job not found in dead-letter queue' });
+    }
+
+    res.json({ message: 'Job requeued', job_id: req.params.jobId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge dead-lettered jobs in bulk (all of them unless job_ids is given)
+router.delete('/queue/dead', async (req, res, next) => {
+  try {
+    const { job_ids: jobIds } = req.body || {};
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+      return res.status(400).json({ error: 'job_ids must be an array' });
+    }
+
+    const purged = await jobProcessor.purgeDeadJobs(jobIds);
+    res.json({ message: `Purged ${purged.length} jobs`, job_ids: purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge a single dead-lettered job
+router.delete('/queue/dead/:jobId', async (req, res, next) => {
+  try {
+    const purged = await jobProcessor.purgeDeadJobs([req.params.jobId]);
+    if (purged.length === 0) {
+      return res.status(404).json({ error: 'Job not found in dead-letter queue' });
+    }
+
+    res.json({ message: 'Job purged', job_id: req.params.jobId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Embedding models in the corpus; search only uses vectors of the active one
+router.get('/embeddings', async (req, res, next) => {
+  try {
+    const models = await query(`
+      SELECT
+        embedding_model as model,
+        embedding_dimensions as dimensions,
+        COUNT(*) as chunks
+      FROM document_chunks
+      WHERE embedding IS NOT NULL
+      GROUP BY embedding_model, embedding_dimensions
+      ORDER BY COUNT(*) DESC
+    `);
+    const missing = await query('SELECT COUNT(*) FROM document_chunks WHERE embedding IS NULL');
+
+    res.json({
+      active_model: ollamaService.embeddingModel,
+      models: models.rows,
+      chunks_without_embedding: parseInt(missing.rows[0].count)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-embed every chunk whose vector is not from the active model
+router.post('/embeddings/migrations', async (req, res, next) => {
+  try {
+    const { model, batch_size: batchSize } = req.body || {};
+    if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000)) {
+      return res.status(400).json({ error: 'batch_size must be an integer between 1 and 1000' });
+    }
+
+    const migration = await embeddingMigrator.createMigration({ model, batchSize });
+    res.status(202).json(migration);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/embeddings/migrations', async (req, res, next) => {
+  try {
+    res.json({ migrations: await embeddingMigrator.listMigrations() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/embeddings/migrations/:id', async (req, res, next) => {
+  try {
+    const migration = await embeddingMigrator.getMigration(req.params.id);
+    if (!migration) {
+      return res.status(404).json({ error: 'Migration not found' });
+    }
+
+    res.json(migration);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/embeddings/migrations/:id/pause', async (req, res, next) => {
+  try {
+    const migration = await embeddingMigrator.pause(req.params.id);
+    if (!migration) {
+      return res.status(409).json({ error: 'Only pending or running migrations can be paused' });
+    }
+
+    res.json(migration);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/embeddings/migrations/:id/resume', async (req, res, next) => {
+  try {
+    const migration = await embeddingMigrator.resume(req.params.id);
+    if (!migration) {
+      return res.status(409).json({ error: 'Only paused or failed migrations can be resumed' });
+    }
+
+    res.json(migration);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Watched directories; files dropped into them are ingested like uploads
+router.get('/watch-folders', async (req, res, next) => {
+  try {
+    res.json({ watch_folders: await watchFolderService.listFolders() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/watch-folders', validateWatchFolder, async (req, res, next) => {
+  try {
+    const folder = await watchFolderService.createFolder(req.body);
+    res.status(201).json(folder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/watch-folders/:id', async (req, res, next) => {
+  try {
+    const folder = await watchFolderService.getFolder(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+
+    res.json(folder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Files the new settings no longer pick up keep their documents unless ?remove_unmatched=true
+router.patch('/watch-folders/:id', validateWatchFolder, async (req, res, next) => {
+  try {
+    const removeUnmatched = req.query.remove_unmatched === 'true';
+    const folder = await watchFolderService.updateFolder(req.params.id, req.body, { removeUnmatched });
+    if (!folder) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+
+    res.json(folder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Documents ingested from the folder are kept unless ?remove_documents=true
+router.delete('/watch-folders/:id', async (req, res, next) => {
+  try {
+    const removeDocuments = req.query.remove_documents === 'true';
+    const deleted = await watchFolderService.deleteFolder(req.params.id, { removeDocuments });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+
+    res.json({ message: 'Watch folder removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/watch-folders/:id/rescan', async (req, res, next) => {
+  try {
+    const folder = await watchFolderService.rescan(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+
+    res.status(202).json(folder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Files seen in a folder and what became of them
+router.get('/watch-folders/:id/files', validateWatchFolderFiles, async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.query;
+    const result = await watchFolderService.listFiles(req.params.id, { page, limit, status });
+    if (!result) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+
+    res.json({
+      files: result.files,
+      pagination: { page, limit, total: result.total, pages: Math.ceil(result.total / limit) }
+    });
   } catch (error) {
     next(error);
   }
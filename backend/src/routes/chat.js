@@ -105,7 +105,7 @@ router.post('/', /* authenticateToken, */ async (req, res) => {
       logger.info(`Retrieving context for ${documentIds.length} documents`);
       try {
         // TODO: Integrate with your existing document service
-        documentContext = await getDocumentContext(documentIds);
+        documentContext = await getDocumentContext(documentIds, message.trim());
       } catch (contextError) {
         logger.warn('Failed to retrieve document context:', contextError.message);
         // Continue without context rather than failing
@@ -233,7 +233,11 @@ async function getDocumentContext(documentIds, queryText) {
     nResults: 5,
     where: { documentId: { '$in': documentIds } }
   });
-  return results.documents[0].join('\n\n');
+  // Prefix each chunk with its location (e.g. "Sheet2 rows 40–80") so answers can cite it
+  const metadatas = results.metadatas?.[0] || [];
+  return results.documents[0]
+    .map((content, i) => metadatas[i]?.sectionTitle ? `[${metadatas[i].sectionTitle}]\n${content}` : content)
+    .join('\n\n');
 }
 
 
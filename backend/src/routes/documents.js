@@ -1,27 +1,43 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
+import { pipeline } from 'stream/promises';
 import { v4 as uuidv4 } from 'uuid';
 
 import { query } from '../config/database.js';
-import { addToQueue } from '../config/redis.js';
-import { validateDocument } from '../middleware/validation.js';
+import { UPLOADABLE_MIME_TYPES, ARCHIVE_MIME_TYPE, MAX_UPLOAD_SIZE, resolveMimeType } from '../config/fileTypes.js';
+import {
+  validateDocument,
+  validateDocumentList,
+  validateReprocess,
+  validateTagName,
+  validateResumableUpload,
+  validateBatchUpload
+} from '../middleware/validation.js';
+import { authenticate } from '../middleware/auth.js';
+import jobProcessor from '../services/jobProcessor.js';
+import { documentService, buildPropertyFilters } from '../services/documentService.js';
+import fileStorage, { STAGING_DIR } from '../services/storage/index.js';
+import { archiveService } from '../services/archiveService.js';
+import { batchService } from '../services/batchService.js';
+import { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY } from '../services/chunkingStrategies.js';
+import { versionService } from '../services/versionService.js';
+import { summaryService } from '../services/summaryService.js';
+import { tagService, buildTagFilter } from '../services/tagService.js';
+import { progressEvents } from '../services/progressEvents.js';
+import { previewService } from '../services/previewService.js';
+import resumableUploadService, { RESUMABLE_UPLOAD_PART_SIZE } from '../services/resumableUploadService.js';
 import logger from '../utils/logger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads; accepted files are moved from the staging directory into storage
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads');
     try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
+      await fs.mkdir(STAGING_DIR, { recursive: true });
+      cb(null, STAGING_DIR);
     } catch (error) {
       cb(error);
     }
@@ -36,24 +52,61 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_UPLOAD_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    file.mimetype = resolveMimeType(file.originalname, file.mimetype);
+    if (UPLOADABLE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, TXT, DOCX, PPTX, Markdown, HTML, CSV, Excel, EML, MBOX and ZIP files are allowed.'));
+    }
+  }
+});
+
+// Many files in one request: a file of the wrong type is reported in the batch instead of failing the request,
+// and folder uploads keep the path inside the folder as the file name
+const batchUpload = multer({
+  storage,
+  preservePath: true,
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE, // per file
+    files: batchService.maxFiles
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf', 
-      'text/plain', 
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
+    file.mimetype = resolveMimeType(file.originalname, file.mimetype);
+    if (UPLOADABLE_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, and DOCX files are allowed.'));
+      req.rejectedFiles = [...(req.rejectedFiles || []), { path: file.originalname, reason: 'Unsupported file type' }];
+      cb(null, false);
     }
   }
 });
 
+// Validated request options -> processing options for DocumentProcessor
+const processingOptions = ({ ocr, ocr_language, chunking }) => ({ ocr, ocrLanguage: ocr_language, chunking });
+
+// Response to an upload that went through documentService.ingestFile; extra fields are merged into the body
+function sendIngestResult(res, { document, existing }, extra = {}) {
+  if (!document) {
+    return res.status(409).json({
+      error: `Duplicate document: this file was already uploaded as "${existing.original_filename}"`,
+      existing_document_id: existing.id,
+      existing_document: existing,
+      ...extra
+    });
+  }
+
+  if (existing) {
+    return res.status(201).json({ ...document, duplicate_of: existing.id, ...extra });
+  }
+
+  res.status(201).json({ ...document, ...extra });
+}
+
 // Get all documents
-router.get('/', async (req, res, next) => {
+router.get('/', validateDocumentList, async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const offset = (page - 1) * limit;
@@ -61,8 +114,14 @@ router.get('/', async (req, res, next) => {
     let queryText = `
       SELECT 
         id, filename, original_filename, file_size, mime_type, 
-        content_type, upload_date, processed_date, status, metadata,
-        (SELECT COUNT(*) FROM document_chunks WHERE document_id = documents.id) as chunk_count
+        content_type, upload_date, processed_date, status, metadata, parent_document_id,
+        (SELECT o.abstract FROM documents o WHERE o.id = COALESCE(documents.canonical_document_id, documents.id)) as abstract,
+        (SELECT COALESCE(json_agg(t.name ORDER BY dt.source = 'manual' DESC, dt.score DESC NULLS LAST, t.name), '[]')
+         FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+         WHERE dt.document_id = COALESCE(documents.canonical_document_id, documents.id) AND dt.removed_at IS NULL) as tags,
+        (SELECT COUNT(*) FROM document_chunks dc
+         JOIN documents o ON o.id = dc.document_id AND dc.version = o.current_version
+         WHERE dc.document_id = COALESCE(documents.canonical_document_id, documents.id)) as chunk_count
       FROM documents 
     `;
     
@@ -76,9 +135,28 @@ router.get('/', async (req, res, next) => {
     }
 
     if (search) {
-      conditions.push(`(original_filename ILIKE $${paramIndex++} OR filename ILIKE $${paramIndex})`);
+      conditions.push(`(original_filename ILIKE $${paramIndex++} OR filename ILIKE $${paramIndex++})`);
       params.push(`%${search}%`, `%${search}%`);
-      paramIndex += 2;
+    }
+
+    // A linked duplicate is filtered on the properties of the file it shares
+    const properties = buildPropertyFilters(
+      req.query,
+      paramIndex,
+      'COALESCE((SELECT o.metadata FROM documents o WHERE o.id = documents.canonical_document_id), documents.metadata)'
+    );
+    conditions.push(...properties.conditions);
+    params.push(...properties.params);
+    paramIndex = properties.nextIndex;
+
+    const tags = buildTagFilter(req.query.tags, paramIndex, 'COALESCE(documents.canonical_document_id, documents.id)');
+    conditions.push(...tags.conditions);
+    params.push(...tags.params);
+    paramIndex = tags.nextIndex;
+
+    if (req.query.collection) {
+      conditions.push(`metadata->>'collection' = $${paramIndex++}`);
+      params.push(req.query.collection);
     }
 
     if (conditions.length > 0) {
@@ -117,6 +195,109 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// Stream processing progress for the given documents as Server-Sent Events
+async function streamDocumentEvents(req, res, documentIds) {
+  const result = await query(
+    'SELECT id, status, chunk_count FROM documents WHERE id = ANY($1::uuid[])',
+    [documentIds]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  const unsubscribers = [];
+
+  // Subscribe before reading the current state so no stage change slips through
+  try {
+    for (const doc of result.rows) {
+      unsubscribers.push(await progressEvents.subscribe(doc.id, send));
+    }
+  } catch (error) {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    logger.warn('Progress events unavailable:', error.message);
+    return res.status(503).json({ error: 'Progress events unavailable' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  for (const doc of result.rows) {
+    const inFlight = doc.status === 'pending' || doc.status === 'processing';
+    const latest = inFlight ? await progressEvents.getLatest(doc.id).catch(() => null) : null;
+
+    send(latest || {
+      documentId: doc.id,
+      stage: doc.status === 'pending' ? 'queued' : doc.status,
+      ...(doc.status === 'completed' && { chunkCount: doc.chunk_count }),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Progress stream for several documents: /events?ids=<id>,<id>
+router.get('/events', async (req, res, next) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    if (ids.length === 0 || ids.length > 100 || !ids.every(id => uuidPattern.test(id))) {
+      return res.status(400).json({ error: 'ids must list between 1 and 100 document ids' });
+    }
+
+    await streamDocumentEvents(req, res, ids);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Progress stream for a single document
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    await streamDocumentEvents(req, res, [req.params.id]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Per-entry status of an archive or multi-file upload: validation, queueing and processing of each file
+router.get('/batches/:batchId', async (req, res, next) => {
+  try {
+    const result = await batchService.getBatch(req.params.batchId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({ ...result.batch, entries: result.entries, processing: result.processing, finished: result.finished });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chunking strategies an upload or reprocess can choose, with their default parameters
+router.get('/chunking-strategies', (req, res) => {
+  const strategies = Object.entries(CHUNKING_STRATEGIES).map(([name, { description, schema }]) => ({
+    name,
+    description,
+    defaults: schema.validate({}).value
+  }));
+  res.json({ default: DEFAULT_CHUNKING_STRATEGY, strategies });
+});
+
 // Get single document
 router.get('/:id', async (req, res, next) => {
   try {
@@ -125,7 +306,8 @@ router.get('/:id', async (req, res, next) => {
     const result = await query(
       `SELECT 
         d.*,
-        (SELECT COUNT(*) FROM document_chunks WHERE document_id = d.id) as chunk_count,
+        o.metadata->'properties' as properties,
+        (SELECT COUNT(*) FROM document_chunks WHERE document_id = o.id AND version = o.current_version) as chunk_count,
         (SELECT json_agg(
           json_build_object(
             'id', dc.id,
@@ -134,8 +316,22 @@ router.get('/:id', async (req, res, next) => {
             'page_number', dc.page_number,
             'section_title', dc.section_title
           ) ORDER BY dc.chunk_index
-        ) FROM document_chunks dc WHERE dc.document_id = d.id) as chunks
+        ) FROM document_chunks dc WHERE dc.document_id = o.id AND dc.version = o.current_version) as chunks,
+        (SELECT json_agg(
+          json_build_object(
+            'id', c.id,
+            'original_filename', c.original_filename,
+            'mime_type', c.mime_type,
+            'status', c.status
+          ) ORDER BY c.upload_date, c.original_filename
+        ) FROM documents c WHERE c.parent_document_id = d.id) as children,
+        (SELECT COALESCE(json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'source', dt.source)
+          ORDER BY dt.source = 'manual' DESC, dt.score DESC NULLS LAST, t.name
+        ), '[]') FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+         WHERE dt.document_id = o.id AND dt.removed_at IS NULL) as tags
       FROM documents d 
+      JOIN documents o ON o.id = COALESCE(d.canonical_document_id, d.id)
       WHERE d.id = $1`,
       [id]
     );
@@ -159,102 +355,353 @@ router.post('/upload', upload.single('document'), validateDocument, async (req,
 
     const { file } = req;
     console.log(file.path, "file path");
-    const documentId = uuidv4();
+    const options = processingOptions(req.uploadOptions);
 
-    // FIXED: Remove file_path from INSERT query since column might not exist
-    const result = await query(
-      `INSERT INTO documents 
-       (id, filename, original_filename, file_size, mime_type, content_type, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [
-        documentId,
-        file.filename,
-        file.originalname,
-        file.size,
-        file.mimetype,
-        path.extname(file.originalname).slice(1).toLowerCase(), 
-        'pending'
-      ]
-    );
-    
+    // Archives fan out into one document per supported entry; the archive itself is not kept
+    if (file.mimetype === ARCHIVE_MIME_TYPE) {
+      try {
+        const { batch, entries } = await archiveService.expandArchive({
+          filePath: file.path,
+          originalFilename: file.originalname,
+          maxRetries: req.uploadOptions.max_retries,
+          options
+        });
+
+        return res.status(201).json({ batch_id: batch.id, ...batch, entries });
+      } finally {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+
+    // Identical content is either refused or linked to the chunks of the earlier upload
+    const result = await documentService.ingestFile({
+      file,
+      duplicate: req.uploadOptions.duplicate,
+      maxRetries: req.uploadOptions.max_retries,
+      options
+    });
+
+    sendIngestResult(res, result);
+  } catch (error) {
+    logger.error('Upload error:', error);
+    next(error);
+  }
+});
+
+// Upload many files with shared options (tags, collection, chunking, OCR). Send batch_id to add more files to
+// a batch started by an earlier request; they then get that batch's options.
+router.post('/batch', batchUpload.array('documents'), validateBatchUpload, async (req, res, next) => {
+  try {
+    const { batch_id: batchId, name, tags, collection } = req.body;
+    const batch = batchId
+      ? { id: batchId }
+      : await batchService.createBatch({
+        name,
+        settings: {
+          duplicate: req.uploadOptions.duplicate,
+          maxRetries: req.uploadOptions.max_retries,
+          options: processingOptions(req.uploadOptions),
+          tags,
+          collection
+        }
+      });
+
+    const result = await batchService.addFiles(batch.id, req.files || [], req.rejectedFiles);
+    res.status(201).json({ batch_id: result.batch.id, ...result.batch, entries: result.entries });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Try to update file_path if column exists
+// Resumable upload for large files: describe the file, PUT its parts in any order, then complete.
+// An interrupted upload continues from GET /uploads/:uploadId, which lists the parts already received.
+router.post('/uploads', validateResumableUpload, async (req, res, next) => {
+  try {
+    const { filename, size, mimetype, checksum } = req.body;
+    const upload = await resumableUploadService.create({
+      filename,
+      size,
+      mimeType: mimetype,
+      checksum,
+      duplicate: req.uploadOptions.duplicate,
+      maxRetries: req.uploadOptions.max_retries,
+      options: processingOptions(req.uploadOptions)
+    });
+
+    res.status(201).json(upload);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/uploads/:uploadId', async (req, res, next) => {
+  try {
+    res.json(await resumableUploadService.getState(req.params.uploadId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The part is the raw request body; X-Part-Checksum may carry its SHA-256 in hex
+router.put(
+  '/uploads/:uploadId/parts/:index',
+  express.raw({ type: () => true, limit: RESUMABLE_UPLOAD_PART_SIZE }),
+  async (req, res, next) => {
     try {
-      await query(
-        'UPDATE documents SET file_path = $1 WHERE id = $2',
-        [file.path, documentId]
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const upload = await resumableUploadService.appendPart(
+        req.params.uploadId,
+        Number(req.params.index),
+        data,
+        req.get('X-Part-Checksum')
       );
-    } catch (filePathError) {
-      logger.warn('file_path column not found, skipping file path update');
+
+      res.json(upload);
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Add document processing job to queue
-    try {
-      await addToQueue('document_processing', {
-        documentId,
-        filePath: file.path,
-        mimeType: file.mimetype,
-        timestamp: new Date().toISOString()
-      });
-      logger.info(`Added processing job for document: ${documentId}`);
-    } catch (queueError) {
-      logger.warn('Failed to add job to queue:', queueError.message);
+// Responds like POST /upload, with the final upload state under "upload"; calling it again after success is safe
+router.post('/uploads/:uploadId/complete', async (req, res, next) => {
+  try {
+    const { upload, batch, entries, ...result } = await resumableUploadService.complete(req.params.uploadId);
+
+    if (batch) {
+      return res.status(201).json({ batch_id: batch.id, ...batch, entries, upload });
     }
+    sendIngestResult(res, result, { upload });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    logger.info(`Document uploaded: ${documentId}`, {
-      filename: file.originalname,
-      size: file.size,
-      type: file.mimetype
-    });
+router.delete('/uploads/:uploadId', async (req, res, next) => {
+  try {
+    await resumableUploadService.abort(req.params.uploadId);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a new version of a document; the id, chat references and earlier versions are kept
+router.post('/:id/versions', upload.single('document'), validateDocument, async (req, res, next) => {
+  try {
+    const { file } = req;
 
-    res.status(201).json({
-      ...result.rows[0],
-      file_path: file.path // Include file path in response
+    if (file.mimetype === ARCHIVE_MIME_TYPE) {
+      await fs.unlink(file.path).catch(() => {});
+      return res.status(400).json({ error: 'A ZIP archive cannot be a document version' });
+    }
+
+    const { document, version } = await versionService.createVersion({
+      documentId: req.params.id,
+      file,
+      contentHash: await documentService.hashFile(file.path),
+      maxRetries: req.uploadOptions.max_retries,
+      options: processingOptions(req.uploadOptions)
     });
+
+    res.status(201).json({ ...document, version });
   } catch (error) {
-    logger.error('Upload error:', error);
     next(error);
   }
 });
 
-// Delete document
-router.delete('/:id', async (req, res, next) => {
+// Process the current version again, e.g. with a different chunking strategy
+router.post('/:id/reprocess', validateReprocess, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    // Get document info before deletion (handle missing file_path column)
-    let filePath = null;
+    const result = await query('SELECT * FROM documents WHERE id = $1', [req.params.id]);
+    const document = result.rows[0];
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (document.canonical_document_id) {
+      return res.status(409).json({ error: 'This upload shares the chunks of an identical document; reprocess that document instead' });
+    }
+    if (['pending', 'processing'].includes(document.status)) {
+      return res.status(409).json({ error: 'Document is already being processed' });
+    }
+
+    // Without a new strategy the recorded one is reused, so reprocessing reproduces the same chunks
+    const options = processingOptions(req.body);
+    options.chunking = options.chunking ?? document.metadata?.chunking;
+    options.version = document.current_version;
+
     try {
-      const docResult = await query(
-        'SELECT file_path FROM documents WHERE id = $1',
-        [id]
-      );
-      if (docResult.rows.length > 0) {
-        filePath = docResult.rows[0].file_path;
+      await query('UPDATE documents SET status = $1 WHERE id = $2', ['pending', document.id]);
+    } catch (updateError) {
+      // A failed document whose content was uploaded again as another document, which is the one original now
+      if (updateError.code === '23505') {
+        return res.status(409).json({ error: 'Another document already has this content; reprocess that document instead' });
       }
-    } catch (error) {
-      logger.warn('Could not retrieve file_path, continuing with deletion');
+      throw updateError;
     }
+    const jobId = await jobProcessor.enqueueDocument({
+      documentId: document.id,
+      fileKey: document.filename,
+      mimeType: document.mime_type,
+      maxRetries: req.body.max_retries,
+      options
+    });
 
-    // Delete from database (cascading will delete chunks and related data)
-    const deleteResult = await query('DELETE FROM documents WHERE id = $1 RETURNING *', [id]);
+    logger.info(`Reprocessing document ${document.id} with job ${jobId}`);
+    res.status(202).json({ message: 'Document queued for reprocessing', document_id: document.id, job_id: jobId, chunking: options.chunking ?? null });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (deleteResult.rows.length === 0) {
+// List the versions of a document
+router.get('/:id/versions', authenticate, async (req, res, next) => {
+  try {
+    const versions = await versionService.listVersions(req.params.id);
+    if (!versions) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Delete physical file if path exists
-    if (filePath) {
-      try {
-        await fs.unlink(filePath);
-        logger.info(`Physical file deleted: ${filePath}`);
-      } catch (fileError) {
-        logger.warn(`Could not delete physical file: ${filePath}`, fileError);
-      }
+    res.json({ versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generated abstract and summary
+router.get('/:id/summary', authenticate, async (req, res, next) => {
+  try {
+    const summary = await summaryService.getSummary(req.params.id);
+    if (!summary) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue a new summary run; answers 202 with the summary state while the worker generates it
+router.post('/:id/summary/regenerate', async (req, res, next) => {
+  try {
+    const summary = await summaryService.regenerate(req.params.id);
+    res.status(202).json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tag a document by hand; answers with the document's tags
+router.post('/:id/tags', validateTagName, async (req, res, next) => {
+  try {
+    const tags = await tagService.addTag(req.params.id, req.body.name);
+    res.status(201).json({ tags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Take a tag off a document; removed automatic tags stay off when the document is processed again
+router.delete('/:id/tags/:tagId', async (req, res, next) => {
+  try {
+    const tags = await tagService.removeTag(req.params.id, req.params.tagId);
+    res.json({ tags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chunk-level diff between two versions
+router.get('/:id/versions/:a/diff/:b', authenticate, async (req, res, next) => {
+  try {
+    const from = parseInt(req.params.a);
+    const to = parseInt(req.params.b);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'Versions must be integers' });
+    }
+
+    res.json(await versionService.diffVersions(req.params.id, from, to));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Original file of the current version; a single Range (bytes=start-end) is answered with 206
+router.get('/:id/file', authenticate, async (req, res, next) => {
+  try {
+    const file = await previewService.getFile(req.params.id);
+    if (!file || file.size === null) {
+      return res.status(404).json({ error: file ? 'File not found' : 'Document not found' });
+    }
+
+    // Several ranges in one request are answered with the whole file, which RFC 9110 allows
+    const ranges = file.size > 0 ? req.range(file.size, { combine: true }) : undefined;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    res.attachment(file.original_filename);
+    res.type(file.mime_type);
+    res.set('Accept-Ranges', 'bytes');
+
+    let range;
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : file.size));
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    await pipeline(await fileStorage.get(file.filename, range), res);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.warn(`Download of document ${req.params.id} was interrupted:`, error.message);
+      return;
+    }
+    next(error);
+  }
+});
+
+// Preview of one page (1-based): image/png for PDFs, {page, page_count, text} for other formats
+router.get('/:id/pages/:n', authenticate, async (req, res, next) => {
+  try {
+    const pageNumber = Number(req.params.n);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({ error: 'Page must be a positive integer' });
+    }
+
+    const page = await previewService.getPage(req.params.id, pageNumber);
+    if (!page) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('X-Page-Count', String(page.pageCount));
+    if (page.image) {
+      return res.type('png').send(page.image);
+    }
+
+    res.json({ document_id: req.params.id, page: pageNumber, page_count: page.pageCount, text: page.text });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete document
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await documentService.deleteDocument(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    logger.info(`Document deleted: ${id}`);
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
     next(error);
@@ -262,32 +709,45 @@ router.delete('/:id', async (req, res, next) => {
 });
 
 // Get document content/chunks
-router.get('/:id/chunks', async (req, res, next) => {
+router.get('/:id/chunks', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
 
+    // Uploads linked to an identical document read that document's chunks
+    const owner = await query(
+      `SELECT o.id, o.current_version
+       FROM documents d
+       JOIN documents o ON o.id = COALESCE(d.canonical_document_id, d.id)
+       WHERE d.id = $1`,
+      [id]
+    );
+    const chunkDocumentId = owner.rows[0]?.id || id;
+    // Earlier versions can be read with ?version=n
+    const version = parseInt(req.query.version) || owner.rows[0]?.current_version || 1;
+
     const result = await query(
       `SELECT 
-        id, chunk_index, content, content_length, page_number, section_title, metadata
+        id, chunk_index, version, content, content_length, page_number, section_title, metadata
        FROM document_chunks 
-       WHERE document_id = $1 
+       WHERE document_id = $1 AND version = $2
        ORDER BY chunk_index 
-       LIMIT $2 OFFSET $3`,
-      [id, limit, offset]
+       LIMIT $3 OFFSET $4`,
+      [chunkDocumentId, version, limit, offset]
     );
 
     // Get total chunks count
     const countResult = await query(
-      'SELECT COUNT(*) FROM document_chunks WHERE document_id = $1',
-      [id]
+      'SELECT COUNT(*) FROM document_chunks WHERE document_id = $1 AND version = $2',
+      [chunkDocumentId, version]
     );
 
     const total = parseInt(countResult.rows[0].count);
 
     res.json({
       chunks: result.rows,
+      version,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -0,0 +1,114 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { validateEntityList, validateEntityMentions } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Mentions only count in the latest version of completed documents, like search results
+const CURRENT_MENTIONS = `
+  FROM chunk_entities ce
+  JOIN document_chunks dc ON dc.id = ce.chunk_id
+  JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+  WHERE d.status = 'completed'`;
+
+// Most mentioned entities, optionally of one type, matching a name or mentioned in given documents
+router.get('/', validateEntityList, async (req, res, next) => {
+  try {
+    const { page, limit, type, search, documents } = req.query;
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (type) {
+      conditions.push(`e.type = $${paramIndex++}`);
+      params.push(type);
+    }
+
+    if (search) {
+      conditions.push(`(e.name ILIKE $${paramIndex} OR e.normalized_name ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (documents) {
+      conditions.push(`d.id = ANY($${paramIndex++}::uuid[])`);
+      params.push([].concat(documents));
+    }
+
+    const filters = conditions.map(condition => ` AND ${condition}`).join('');
+
+    const result = await query(
+      `SELECT e.id, e.type, e.name,
+              SUM(ce.mention_count)::int as mention_count,
+              COUNT(DISTINCT d.id)::int as document_count
+       FROM entities e
+       JOIN chunk_entities ce ON ce.entity_id = e.id
+       JOIN document_chunks dc ON dc.id = ce.chunk_id
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+       WHERE d.status = 'completed'${filters}
+       GROUP BY e.id
+       ORDER BY mention_count DESC, e.name
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(DISTINCT e.id)
+       FROM entities e
+       JOIN chunk_entities ce ON ce.entity_id = e.id
+       JOIN document_chunks dc ON dc.id = ce.chunk_id
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+       WHERE d.status = 'completed'${filters}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      entities: result.rows,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chunks that mention an entity, with the document and page to cite
+router.get('/:id/mentions', validateEntityMentions, async (req, res, next) => {
+  try {
+    const { id, page, limit } = req.query;
+
+    const entityResult = await query(
+      `SELECT e.id, e.type, e.name,
+              (SELECT COUNT(DISTINCT d.id) ${CURRENT_MENTIONS} AND ce.entity_id = e.id)::int as document_count
+       FROM entities e
+       WHERE e.id = $1`,
+      [id]
+    );
+
+    if (entityResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const mentions = await query(
+      `SELECT dc.id as chunk_id, dc.chunk_index, dc.version, dc.page_number, dc.section_title, dc.content,
+              ce.mention_count, ce.source, d.id as document_id, d.original_filename
+       ${CURRENT_MENTIONS} AND ce.entity_id = $1
+       ORDER BY d.upload_date DESC, d.id, dc.chunk_index
+       LIMIT $2 OFFSET $3`,
+      [id, limit, (page - 1) * limit]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) ${CURRENT_MENTIONS} AND ce.entity_id = $1`, [id]);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      entity: entityResult.rows[0],
+      mentions: mentions.rows,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import documentRoutes from './documents.js';
 import searchRoutes from './search.js';
 import chatRoutes from './chat.js';
 import adminRoutes from './admin.js';
+import entityRoutes from './entities.js';
+import tagRoutes from './tags.js';
 
 export function setupRoutes(app) {
   // API routes
@@ -9,6 +11,8 @@ export function setupRoutes(app) {
   app.use('/api/search', searchRoutes);
   app.use('/api/chat', chatRoutes);
   app.use('/api/admin', adminRoutes);
+  app.use('/api/entities', entityRoutes);
+  app.use('/api/tags', tagRoutes);
 
   // 404 handler for API routes
   app.use('/api/*', (req, res) => {
@@ -28,7 +32,9 @@ export function setupRoutes(app) {
         documents: '/api/documents',
         search: '/api/search',
         chat: '/api/chat',
-        admin: '/api/admin'
+        admin: '/api/admin',
+        entities: '/api/entities',
+        tags: '/api/tags'
       }
     });
   });
@@ -2,35 +2,123 @@ import express from 'express';
 import { query } from '../config/database.js';
 import ollamaService from '../config/ollama.js';
 import { validateSearch } from '../middleware/validation.js';
+import { buildPropertyFilters } from '../services/documentService.js';
+import { languageService } from '../services/languageService.js';
+import { buildTagFilter } from '../services/tagService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// COALESCE with the parent so an attachment matches the headers of the email it came with
+const emailHeader = (field) =>
+  `COALESCE(d.metadata->'email'->>'${field}', (SELECT p.metadata->'email'->>'${field}' FROM documents p WHERE p.id = d.parent_document_id))`;
+
+/**
+ * Build the document-level WHERE conditions shared by every search mode
+ * @param {Object} filters - Validated search body (documents, sender, sent_after, sent_before, include_versions,
+ *   tags and the file property filters)
+ * @param {number} startIndex - Index of the first placeholder to use
+ * @returns {{clause: string, params: Array, nextIndex: number}}
+ */
+function buildDocumentFilters(filters, startIndex) {
+  const { documents = [], sender, sent_after, sent_before, include_versions = false } = filters;
+  const conditions = [];
+  const params = [];
+  let paramIndex = startIndex;
+
+  // Chunks of earlier revisions are kept for diffs; only search them when asked to
+  if (!include_versions) {
+    conditions.push('dc.version = d.current_version');
+  }
+
+  // A linked duplicate has no chunks of its own; selecting it selects the document it points to
+  if (documents.length > 0) {
+    conditions.push(`(d.id = ANY($${paramIndex}::uuid[]) OR d.id IN (SELECT canonical_document_id FROM documents WHERE id = ANY($${paramIndex}::uuid[])))`);
+    params.push(documents);
+    paramIndex++;
+  }
+
+  if (sender) {
+    conditions.push(`${emailHeader('from')} ILIKE $${paramIndex++}`);
+    params.push(`%${sender}%`);
+  }
+
+  if (sent_after) {
+    conditions.push(`(${emailHeader('date')})::timestamptz >= $${paramIndex++}`);
+    params.push(sent_after);
+  }
+
+  if (sent_before) {
+    conditions.push(`(${emailHeader('date')})::timestamptz < $${paramIndex++}`);
+    params.push(sent_before);
+  }
+
+  // Chunks belong to the canonical document, so d already carries the properties of a linked duplicate
+  const properties = buildPropertyFilters(filters, paramIndex);
+  conditions.push(...properties.conditions);
+  params.push(...properties.params);
+  paramIndex = properties.nextIndex;
+
+  const tags = buildTagFilter(filters.tags, paramIndex);
+  conditions.push(...tags.conditions);
+  params.push(...tags.params);
+  paramIndex = tags.nextIndex;
+
+  return {
+    clause: conditions.map(condition => ` AND ${condition}`).join(''),
+    params,
+    nextIndex: paramIndex
+  };
+}
+
+/**
+ * Full-text match of the query against content_tsv. By default the query is parsed with each chunk's own
+ * text-search configuration; a caller-supplied language parses it once with that configuration and limits
+ * the search to chunks in that language, which also lets the index be used.
+ * @param {string} [language] - Validated language (configuration name or ISO code)
+ * @param {number} startIndex - Index of the first placeholder to use; $1 is the query text
+ * @returns {{tsquery: string, clause: string, params: Array, nextIndex: number}}
+ */
+function buildTextMatch(language, startIndex) {
+  const config = language ? languageService.resolveConfig(language) : null;
+  if (!config) {
+    return { tsquery: 'plainto_tsquery(dc.ts_config::regconfig, $1)', clause: '', params: [], nextIndex: startIndex };
+  }
+
+  return {
+    tsquery: `plainto_tsquery($${startIndex}::regconfig, $1)`,
+    clause: ` AND dc.ts_config = $${startIndex}::regconfig::text`,
+    params: [config],
+    nextIndex: startIndex + 1
+  };
+}
+
 // Full-text search in document chunks
 router.post('/text', validateSearch, async (req, res, next) => {
   try {
-    const { query: searchQuery, limit = 10, documents = [] } = req.body;
+    const { query: searchQuery, limit = 10 } = req.body;
     const startTime = Date.now();
 
+    const match = buildTextMatch(req.body.language, 2);
     let queryText = `
       SELECT 
-        dc.id, dc.content, dc.chunk_index, dc.page_number, dc.section_title,
-        d.id as document_id, d.original_filename, d.filename,
-        ts_rank(to_tsvector('english', dc.content), plainto_tsquery('english', $1)) as rank
+        dc.id, dc.content, dc.chunk_index, dc.version, dc.page_number, dc.section_title, dc.metadata,
+        dc.ts_config, d.id as document_id, d.original_filename, d.filename,
+        ts_rank(dc.content_tsv, ${match.tsquery}) as rank
       FROM document_chunks dc
       JOIN documents d ON dc.document_id = d.id
-      WHERE to_tsvector('english', dc.content) @@ plainto_tsquery('english', $1)
-        AND d.status = 'completed'
+      WHERE dc.content_tsv @@ ${match.tsquery}
+        AND d.status = 'completed'${match.clause}
     `;
 
-    const params = [searchQuery];
-    let paramIndex = 2;
+    const params = [searchQuery, ...match.params];
+    let paramIndex = match.nextIndex;
 
-    // Filter by specific documents if provided
-    if (documents.length > 0) {
-      queryText += ` AND d.id = ANY($${paramIndex++}::uuid[])`;
-      params.push(documents);
-    }
+    // Filter by specific documents and email headers if provided
+    const filters = buildDocumentFilters(req.body, paramIndex);
+    queryText += filters.clause;
+    params.push(...filters.params);
+    paramIndex = filters.nextIndex;
 
     queryText += ` ORDER BY rank DESC, dc.chunk_index LIMIT $${paramIndex}`;
     params.push(limit);
@@ -92,24 +180,26 @@ router.post('/semantic', validateSearch, async (req, res, next) => {
 
     let queryText = `
       SELECT 
-        dc.id, dc.content, dc.chunk_index, dc.page_number, dc.section_title,
+        dc.id, dc.content, dc.chunk_index, dc.version, dc.page_number, dc.section_title, dc.metadata,
         d.id as document_id, d.original_filename, d.filename,
         cosine_similarity(dc.embedding, $1::jsonb) as similarity
       FROM document_chunks dc
       JOIN documents d ON dc.document_id = d.id
       WHERE dc.embedding IS NOT NULL
+        AND dc.embedding_model = $3 AND dc.embedding_dimensions = $4
         AND d.status = 'completed'
         AND cosine_similarity(dc.embedding, $1::jsonb) > $2
     `;
 
-    const params = [JSON.stringify(queryEmbedding), threshold];
-    let paramIndex = 3;
+    // Vectors from another model are not comparable, so they are left out rather than scored 0
+    const params = [JSON.stringify(queryEmbedding), threshold, ollamaService.embeddingModel, queryEmbedding.length];
+    let paramIndex = 5;
 
-    // Filter by specific documents if provided
-    if (documents.length > 0) {
-      queryText += ` AND d.id = ANY($${paramIndex++}::uuid[])`;
-      params.push(documents);
-    }
+    // Filter by specific documents and email headers if provided
+    const filters = buildDocumentFilters(req.body, paramIndex);
+    queryText += filters.clause;
+    params.push(...filters.params);
+    paramIndex = filters.nextIndex;
 
     queryText += ` ORDER BY similarity DESC LIMIT $${paramIndex}`;
     params.push(limit);
@@ -163,32 +253,33 @@ router.post('/semantic', validateSearch, async (req, res, next) => {
 // Hybrid search (combining text and semantic search) - FIXED
 router.post('/hybrid', validateSearch, async (req, res, next) => {
   try {
-    const { query: searchQuery, limit = 10, documents = [], threshold = 0.5 } = req.body;
+    const { query: searchQuery, limit = 10, threshold = 0.5 } = req.body;
     const startTime = Date.now();
 
     // Perform both text and semantic searches in parallel
     const [textResults, semanticResults] = await Promise.allSettled([
       // Text search
       (async () => {
+        const match = buildTextMatch(req.body.language, 2);
         let textQuery = `
           SELECT 
-            dc.id, dc.content, dc.chunk_index, dc.page_number, dc.section_title,
+            dc.id, dc.content, dc.chunk_index, dc.version, dc.page_number, dc.section_title, dc.metadata,
             d.id as document_id, d.original_filename, d.filename,
-            ts_rank(to_tsvector('english', dc.content), plainto_tsquery('english', $1)) as text_score,
+            ts_rank(dc.content_tsv, ${match.tsquery}) as text_score,
             'text' as search_type
           FROM document_chunks dc
           JOIN documents d ON dc.document_id = d.id
-          WHERE to_tsvector('english', dc.content) @@ plainto_tsquery('english', $1)
-            AND d.status = 'completed'
+          WHERE dc.content_tsv @@ ${match.tsquery}
+            AND d.status = 'completed'${match.clause}
         `;
 
-        const textParams = [searchQuery];
-        let textParamIndex = 2;
+        const textParams = [searchQuery, ...match.params];
+        let textParamIndex = match.nextIndex;
 
-        if (documents.length > 0) {
-          textQuery += ` AND d.id = ANY($${textParamIndex++}::uuid[])`;
-          textParams.push(documents);
-        }
+        const filters = buildDocumentFilters(req.body, textParamIndex);
+        textQuery += filters.clause;
+        textParams.push(...filters.params);
+        textParamIndex = filters.nextIndex;
 
         textQuery += ` ORDER BY text_score DESC LIMIT $${textParamIndex}`;
         textParams.push(Math.ceil(limit / 2));
@@ -207,24 +298,25 @@ router.post('/hybrid', validateSearch, async (req, res, next) => {
 
           let semanticQuery = `
             SELECT 
-              dc.id, dc.content, dc.chunk_index, dc.page_number, dc.section_title,
+              dc.id, dc.content, dc.chunk_index, dc.version, dc.page_number, dc.section_title, dc.metadata,
               d.id as document_id, d.original_filename, d.filename,
               cosine_similarity(dc.embedding, $1::jsonb) as semantic_score,
               'semantic' as search_type
             FROM document_chunks dc
             JOIN documents d ON dc.document_id = d.id
             WHERE dc.embedding IS NOT NULL
+              AND dc.embedding_model = $3 AND dc.embedding_dimensions = $4
               AND d.status = 'completed'
               AND cosine_similarity(dc.embedding, $1::jsonb) > $2
           `;
 
-          const semanticParams = [JSON.stringify(queryEmbedding), threshold];
-          let semanticParamIndex = 3;
+          const semanticParams = [JSON.stringify(queryEmbedding), threshold, ollamaService.embeddingModel, queryEmbedding.length];
+          let semanticParamIndex = 5;
 
-          if (documents.length > 0) {
-            semanticQuery += ` AND d.id = ANY($${semanticParamIndex++}::uuid[])`;
-            semanticParams.push(documents);
-          }
+          const filters = buildDocumentFilters(req.body, semanticParamIndex);
+          semanticQuery += filters.clause;
+          semanticParams.push(...filters.params);
+          semanticParamIndex = filters.nextIndex;
 
           semanticQuery += ` ORDER BY semantic_score DESC LIMIT $${semanticParamIndex}`;
           semanticParams.push(Math.ceil(limit / 2));
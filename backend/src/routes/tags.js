@@ -0,0 +1,77 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { validateTagList, validateTagName } from '../middleware/validation.js';
+import { tagService } from '../services/tagService.js';
+
+const router = express.Router();
+
+// Tags with the number of completed documents carrying them, most used first
+router.get('/', validateTagList, async (req, res, next) => {
+  try {
+    const { page, limit, search, documents } = req.query;
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      conditions.push(`t.name ILIKE $${paramIndex++}`);
+      params.push(`%${search}%`);
+    }
+
+    // Tags live on the document a linked duplicate points to
+    if (documents) {
+      conditions.push(`d.id IN (SELECT COALESCE(canonical_document_id, id) FROM documents WHERE id = ANY($${paramIndex++}::uuid[]))`);
+      params.push(documents);
+    }
+
+    const filters = conditions.map(condition => ` AND ${condition}`).join('');
+    const from = `
+       FROM tags t
+       JOIN document_tags dt ON dt.tag_id = t.id AND dt.removed_at IS NULL
+       JOIN documents d ON d.id = dt.document_id
+       WHERE d.status = 'completed'${filters}`;
+
+    const result = await query(
+      `SELECT t.id, t.name,
+              COUNT(DISTINCT d.id)::int as document_count,
+              COUNT(DISTINCT d.id) FILTER (WHERE dt.source = 'manual')::int as manual_count
+       ${from}
+       GROUP BY t.id
+       ORDER BY document_count DESC, t.name
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const countResult = await query(`SELECT COUNT(DISTINCT t.id) ${from}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      tags: result.rows,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a tag on every document; renaming to an existing tag's name merges the two
+router.patch('/:id', validateTagName, async (req, res, next) => {
+  try {
+    const tag = await tagService.renameTag(req.params.id, req.body.name);
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a tag from every document
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await tagService.deleteTag(req.params.id);
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+// scripts/migrateStorage.js - Copy every stored document file from one storage driver to another
+//
+// Usage: npm run storage:migrate -- --from local --to s3 [--delete-source] [--dry-run] [--concurrency 4]
+//
+// Both drivers are configured from the same environment (STORAGE_PATH for local, S3_* for s3). Files already
+// in the target with the same size are skipped, so an interrupted run can be started again. Switch
+// STORAGE_DRIVER to the target and restart the API and workers once the run reports no failures.
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { query, closePool } from '../config/database.js';
+import { createStorage, STORAGE_DRIVERS, STAGING_DIR } from '../services/storage/index.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+const { values: args } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'delete-source': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    concurrency: { type: 'string', default: '4' }
+  }
+});
+
+async function migrate() {
+  if (!STORAGE_DRIVERS.includes(args.from) || !STORAGE_DRIVERS.includes(args.to) || args.from === args.to) {
+    throw new Error(`--from and --to must be two different drivers out of ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  const source = createStorage(args.from);
+  const target = createStorage(args.to);
+
+  // Every file a document or one of its earlier versions refers to
+  const result = await query(
+    `SELECT DISTINCT ON (filename) filename, mime_type
+     FROM (SELECT filename, mime_type FROM documents
+           UNION ALL
+           SELECT filename, mime_type FROM document_versions) files`
+  );
+  const files = result.rows;
+  logger.info(`Migrating ${files.length} files from ${args.from} to ${args.to}${args['dry-run'] ? ' (dry run)' : ''}`);
+
+  const counts = { copied: 0, skipped: 0, missing: 0, failed: 0 };
+  await fs.mkdir(STAGING_DIR, { recursive: true });
+
+  await mapWithConcurrency(files, Math.max(1, parseInt(args.concurrency) || 1), async (file) => {
+    try {
+      const status = await migrateFile(source, target, file);
+      counts[status]++;
+    } catch (error) {
+      counts.failed++;
+      logger.error(`Could not migrate ${file.filename}:`, error.message);
+    }
+  });
+
+  logger.info(`Storage migration finished: ${JSON.stringify(counts)}`);
+  return counts;
+}
+
+async function migrateFile(source, target, { filename: key, mime_type: contentType }) {
+  const stat = await source.stat(key);
+  if (!stat) {
+    logger.warn(`${key} is not in ${source.name} storage`);
+    return 'missing';
+  }
+
+  const existing = await target.stat(key);
+  if (existing?.size === stat.size) {
+    if (args['delete-source'] && !args['dry-run']) {
+      await source.delete(key);
+    }
+    return 'skipped';
+  }
+
+  if (args['dry-run']) {
+    logger.info(`Would copy ${key} (${stat.size} bytes)`);
+    return 'copied';
+  }
+
+  // put() takes ownership of the file it is given, so the source is copied to a staging file first
+  const stagingPath = path.join(STAGING_DIR, `${uuidv4()}${path.extname(key)}`);
+  try {
+    await pipeline(await source.get(key), createWriteStream(stagingPath));
+    await target.put(key, stagingPath, { contentType });
+  } finally {
+    await fs.unlink(stagingPath).catch(() => {});
+  }
+
+  const copied = await target.stat(key);
+  if (copied?.size !== stat.size) {
+    throw new Error(`size in ${target.name} storage is ${copied?.size ?? 'unknown'}, expected ${stat.size}`);
+  }
+
+  if (args['delete-source']) {
+    await source.delete(key);
+  }
+  return 'copied';
+}
+
+migrate()
+  .then((counts) => {
+    process.exitCode = counts.failed > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    logger.error('Storage migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closePool());
@@ -2,12 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { connectDatabase, closePool, getConnectionStatus } from '../src/config/database.js';
 import { initRedis, getRedisClient } from '../src/config/redis.js';
 import { setupRoutes } from '../src/routes/index.js';
-import { setupJobProcessors } from '../src/services/jobProcessor.js';
+import { setupJobProcessors, stopJobProcessors } from '../src/services/jobProcessor.js';
+import { ocrService } from '../src/services/ocrService.js';
 import { errorHandler } from '../src/middleware/errorHandler.js';
 import { requestLogger } from '../src/middleware/requestLogger.js';
 import logger from '../src/utils/logger.js';
@@ -18,9 +17,6 @@ import authRoutes from '../src/routes/auth.js';
 // Load environment variables
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -46,9 +42,10 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'X-Part-Checksum'
   ],
-  exposedHeaders: ['set-cookie'],
+  exposedHeaders: ['set-cookie', 'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'X-Page-Count'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -61,9 +58,6 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(requestLogger);
 app.use('/api/auth', authRoutes);
 
-/* ------------------- STATIC FILES ------------------- */
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 /* ------------------- SWAGGER DOCS ------------------- */
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -118,6 +112,12 @@ app.use(errorHandler);
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}, shutting down gracefully...`);
 
+  try {
+    await stopJobProcessors();
+  } catch (err) {
+    logger.error('❌ Error stopping job processors:', err);
+  }
+
   try {
     await closePool();
     logger.info('✅ Database connections closed');
@@ -172,10 +172,20 @@ async function startServer() {
       logger.warn('⚠️ Redis: Connection failed, queue disabled');
     }
 
+    // OCR languages are read once so uploads can be checked against them
+    const ocrLanguages = await ocrService.loadLanguages();
+    if (ocrLanguages) {
+      logger.info(`✅ OCR languages: ${ocrLanguages.join(', ')}`);
+    } else {
+      logger.warn('⚠️ OCR: tesseract not found, ocr_language is not checked');
+    }
+
     // Setup job processors
     try {
-      await setupJobProcessors();
-      logger.info('✅ Job processors initialized');
+      const inlineWorker = await setupJobProcessors();
+      if (inlineWorker) {
+        logger.info('✅ Job processors initialized');
+      }
     } catch (err) {
       logger.warn('⚠️ Job processors failed:', err.message);
     }
@@ -0,0 +1,160 @@
+// services/archiveService.js - Unpacks ZIP uploads into one document per supported entry
+import path from 'path';
+import yauzl from 'yauzl';
+import { query } from '../config/database.js';
+import { SUPPORTED_MIME_TYPES, MAX_UPLOAD_SIZE, resolveMimeType } from '../config/fileTypes.js';
+import { documentService } from './documentService.js';
+import logger from '../utils/logger.js';
+
+const archiveError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+export const archiveService = {
+  maxUncompressedSize: parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024,
+  maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 1000,
+
+  /**
+   * Register every supported entry of a ZIP archive as a document and queue it for processing
+   * @param {Object} archive
+   * @param {string} archive.filePath - Uploaded archive on disk
+   * @param {string} archive.originalFilename - Name the archive was uploaded as
+   * @param {number} [archive.maxRetries] - Passed on to each entry's processing job
+   * @param {Object} [archive.options] - Processing options passed on to each entry
+   * @returns {Promise<Object>} - The batch row and one report line per entry
+   */
+  async expandArchive({ filePath, originalFilename, maxRetries, options }) {
+    const zipfile = await openZip(filePath);
+
+    try {
+      // Read the whole central directory first so a bad archive is rejected before anything is registered
+      const entries = await readEntries(zipfile, this.maxEntries);
+
+      const batchResult = await query(
+        `INSERT INTO document_batches (source, source_name, total_entries)
+         VALUES ('archive', $1, $2)
+         RETURNING *`,
+        [originalFilename, entries.length]
+      );
+      const batch = batchResult.rows[0];
+
+      const report = [];
+      let extractedSize = 0;
+
+      for (const entry of entries) {
+        const item = { path: entry.fileName, status: 'skipped', reason: null, document_id: null };
+        const mimeType = resolveMimeType(entry.fileName, null);
+
+        if (!SUPPORTED_MIME_TYPES.includes(mimeType)) {
+          item.reason = 'Unsupported file type';
+        } else if (entry.uncompressedSize === 0) {
+          item.reason = 'Empty file';
+        } else if (entry.uncompressedSize > MAX_UPLOAD_SIZE) {
+          item.reason = 'File exceeds the 50MB limit';
+        } else if (extractedSize + entry.uncompressedSize > this.maxUncompressedSize) {
+          item.reason = 'Archive exceeds the total uncompressed size limit';
+        } else {
+          try {
+            const content = await readEntry(zipfile, entry);
+            extractedSize += content.length;
+
+            const document = await documentService.registerDocument({
+              originalFilename: path.posix.basename(entry.fileName),
+              mimeType,
+              content,
+              maxRetries,
+              options,
+              metadata: { archive: { batchId: batch.id, name: originalFilename, path: entry.fileName } }
+            });
+
+            item.status = 'queued';
+            item.document_id = document.id;
+          } catch (error) {
+            logger.warn(`Failed to extract ${entry.fileName} from ${originalFilename}:`, error.message);
+            item.status = 'failed';
+            item.reason = error.message;
+          }
+        }
+
+        await query(
+          `INSERT INTO document_batch_items (batch_id, document_id, entry_path, status, reason)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [batch.id, item.document_id, item.path, item.status, item.reason]
+        );
+        report.push(item);
+      }
+
+      const counts = {
+        queued: report.filter(item => item.status === 'queued').length,
+        skipped: report.filter(item => item.status === 'skipped').length,
+        failed: report.filter(item => item.status === 'failed').length
+      };
+
+      const updated = await query(
+        `UPDATE document_batches
+         SET queued_entries = $1, skipped_entries = $2, failed_entries = $3
+         WHERE id = $4
+         RETURNING *`,
+        [counts.queued, counts.skipped, counts.failed, batch.id]
+      );
+
+      logger.info(`Expanded archive ${originalFilename} into batch ${batch.id}`, counts);
+      return { batch: updated.rows[0], entries: report };
+    } finally {
+      zipfile.close();
+    }
+  }
+};
+
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) reject(archiveError(`Invalid ZIP archive: ${error.message}`));
+      else resolve(zipfile);
+    });
+  });
+}
+
+// File entries only; hidden files and macOS resource forks are not worth reporting
+function readEntries(zipfile, maxEntries) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+
+    zipfile.on('entry', (entry) => {
+      // yauzl already refuses absolute and "../" names; this guards the zip-slip case explicitly
+      const normalized = path.posix.normalize(entry.fileName);
+      if (path.posix.isAbsolute(normalized) || normalized.startsWith('../') || normalized === '..') {
+        reject(archiveError(`Archive entry escapes the archive root: ${entry.fileName}`));
+        return;
+      }
+
+      const isDirectory = entry.fileName.endsWith('/');
+      const isHidden = entry.fileName.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+      if (!isDirectory && !isHidden) {
+        entries.push(entry);
+      }
+
+      if (entries.length > maxEntries) {
+        reject(archiveError(`Archive has more than ${maxEntries} files`));
+        return;
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', (error) => reject(archiveError(`Invalid ZIP archive: ${error.message}`)));
+
+    zipfile.readEntry();
+  });
+}
+
+// yauzl checks the inflated size against the declared one, so a lying header fails here
+function readEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) return reject(error);
+
+      const parts = [];
+      stream.on('data', (part) => parts.push(part));
+      stream.on('end', () => resolve(Buffer.concat(parts)));
+      stream.on('error', reject);
+    });
+  });
+}
@@ -0,0 +1,156 @@
+// services/batchService.js - Many files uploaded at once with shared options, tracked as one batch
+import path from 'path';
+import fs from 'fs/promises';
+import { query } from '../config/database.js';
+import { ARCHIVE_MIME_TYPE } from '../config/fileTypes.js';
+import { documentService } from './documentService.js';
+import { tagService } from './tagService.js';
+import logger from '../utils/logger.js';
+
+const batchError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const batchService = {
+  maxFiles: parseInt(process.env.BATCH_UPLOAD_MAX_FILES) || 100,
+
+  /**
+   * Start a batch of uploaded files
+   * @param {Object} batch
+   * @param {string} [batch.name] - Shown as the batch's source name, e.g. the folder the files came from
+   * @param {Object} batch.settings - Shared by every file: duplicate, maxRetries, options (for DocumentProcessor),
+   *   tags, collection
+   * @returns {Promise<Object>} - The batch row
+   */
+  async createBatch({ name, settings }) {
+    const result = await query(
+      `INSERT INTO document_batches (source, source_name, options)
+       VALUES ('upload', $1, $2)
+       RETURNING *`,
+      [name || null, JSON.stringify(settings)]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Register uploaded files with the batch's settings and queue them. Files that fail validation are
+   * reported with a reason instead of failing the request.
+   * @param {string} batchId
+   * @param {Array<Object>} files - multer files in the staging directory; originalname may include a folder path
+   * @param {Array<{path: string, reason: string}>} [rejected] - Files turned away before they were stored
+   * @returns {Promise<{batch: Object, entries: Array<Object>}>}
+   */
+  async addFiles(batchId, files, rejected = []) {
+    const batchResult = await query(`SELECT * FROM document_batches WHERE id = $1 AND source = 'upload'`, [batchId]);
+    const batch = batchResult.rows[0];
+    if (!batch) {
+      await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+      throw batchError('Batch not found', 404);
+    }
+
+    const { duplicate, maxRetries, options, tags = [], collection } = batch.options;
+    const report = rejected.map(({ path: entryPath, reason }) => ({ path: entryPath, status: 'skipped', reason, document_id: null }));
+
+    for (const file of files) {
+      const entryPath = file.originalname.replace(/\\/g, '/');
+      const item = { path: entryPath, status: 'skipped', reason: null, document_id: null };
+
+      if (file.mimetype === ARCHIVE_MIME_TYPE) {
+        await fs.unlink(file.path).catch(() => {});
+        item.reason = 'ZIP archives are unpacked into batches of their own; upload them separately';
+        report.push(item);
+        continue;
+      }
+
+      try {
+        const { document, existing } = await documentService.ingestFile({
+          file: { ...file, originalname: path.posix.basename(entryPath) },
+          duplicate,
+          maxRetries,
+          options,
+          metadata: { batch: { batchId, path: entryPath }, ...(collection && { collection }) }
+        });
+
+        if (!document) {
+          item.reason = `Duplicate of "${existing.original_filename}"`;
+          item.document_id = existing.id;
+        } else {
+          item.status = 'queued';
+          item.document_id = document.id;
+          for (const tag of tags) {
+            await tagService.addTag(document.id, tag);
+          }
+        }
+      } catch (error) {
+        await fs.unlink(file.path).catch(() => {});
+        logger.warn(`Failed to register ${entryPath} in batch ${batchId}:`, error.message);
+        item.status = 'failed';
+        item.reason = error.message;
+      }
+      report.push(item);
+    }
+
+    for (const item of report) {
+      await query(
+        `INSERT INTO document_batch_items (batch_id, document_id, entry_path, status, reason)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [batchId, item.document_id, item.path, item.status, item.reason]
+      );
+    }
+
+    const count = (status) => report.filter(item => item.status === status).length;
+    const updated = await query(
+      `UPDATE document_batches
+       SET total_entries = total_entries + $2, queued_entries = queued_entries + $3,
+           skipped_entries = skipped_entries + $4, failed_entries = failed_entries + $5
+       WHERE id = $1
+       RETURNING *`,
+      [batchId, report.length, count('queued'), count('skipped'), count('failed')]
+    );
+
+    logger.info(`Added ${report.length} files to batch ${batchId}`, { queued: count('queued') });
+    return { batch: updated.rows[0], entries: report };
+  },
+
+  /**
+   * Get a batch with each entry, the processing status of its document and, for failed documents, the error
+   * @param {string} batchId
+   * @returns {Promise<Object|null>}
+   */
+  async getBatch(batchId) {
+    const batchResult = await query('SELECT * FROM document_batches WHERE id = $1', [batchId]);
+    if (batchResult.rows.length === 0) {
+      return null;
+    }
+
+    const items = await query(
+      `SELECT
+        bi.entry_path as path, bi.status, bi.reason, bi.document_id,
+        d.status as document_status, d.chunk_count, j.error_message as error
+       FROM document_batch_items bi
+       LEFT JOIN documents d ON d.id = bi.document_id
+       LEFT JOIN LATERAL (
+         SELECT error_message FROM processing_jobs
+         WHERE document_id = d.id AND d.status = 'failed' AND job_type = 'document_processing'
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) j ON true
+       WHERE bi.batch_id = $1
+       ORDER BY bi.created_at, bi.entry_path`,
+      [batchId]
+    );
+
+    // Processing status of the queued entries; a deleted document counts as neither pending nor done
+    const processing = { pending: 0, processing: 0, completed: 0, failed: 0 };
+    for (const item of items.rows) {
+      if (item.status === 'queued' && item.document_status in processing) {
+        processing[item.document_status]++;
+      }
+    }
+
+    return {
+      batch: batchResult.rows[0],
+      entries: items.rows,
+      processing,
+      finished: processing.pending === 0 && processing.processing === 0
+    };
+  }
+};
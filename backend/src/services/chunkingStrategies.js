@@ -0,0 +1,255 @@
+// services/chunkingStrategies.js - Named ways of cutting loaded documents into chunks
+import Joi from 'joi';
+import { getEncoding } from 'js-tiktoken';
+import { Document } from 'langchain/document';
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+
+const SEPARATORS = ['\n\n', '\n', '. ', ' ', ''];
+
+// Markdown headings, numbered clauses ("4.2 Termination"), "Article 5" / "Section 3", or short all-caps lines
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+(.+?)\s*#*$/,
+  /^(\d+(?:\.\d+)*\.?\s+[A-Z].{0,100})$/,
+  /^((?:ARTICLE|Article|SECTION|Section|CHAPTER|Chapter)\s+[\dIVXLC]+\b.{0,100})$/,
+  /^([A-Z][A-Z0-9 ,&'()-]{2,80})$/
+];
+
+const encodings = new Map();
+
+export const CHUNKING_STRATEGIES = {
+  'character-recursive': {
+    description: 'Recursive split on paragraphs, lines, sentences and words up to a character budget',
+    schema: Joi.object({
+      chunkSize: Joi.number().integer().min(100).max(20000).default(parseInt(process.env.CHUNK_SIZE) || 1000),
+      chunkOverlap: Joi.number().integer().min(0).less(Joi.ref('chunkSize')).default(parseInt(process.env.CHUNK_OVERLAP ?? 200))
+    }),
+    createSplitter: ({ chunkSize, chunkOverlap }) =>
+      new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap, separators: SEPARATORS })
+  },
+
+  token: {
+    description: 'Fixed windows of tokens, counted with a tiktoken encoding',
+    schema: Joi.object({
+      chunkSize: Joi.number().integer().min(16).max(8192).default(256),
+      chunkOverlap: Joi.number().integer().min(0).less(Joi.ref('chunkSize')).default(32),
+      encoding: Joi.string().valid('cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base').default('cl100k_base')
+    }),
+    createSplitter: ({ chunkSize, chunkOverlap, encoding }) => perDocument((text) => {
+      if (!encodings.has(encoding)) encodings.set(encoding, getEncoding(encoding));
+      const tokenizer = encodings.get(encoding);
+      const tokens = tokenizer.encode(text);
+      const pieces = [];
+      for (let start = 0; start < tokens.length; start += chunkSize - chunkOverlap) {
+        pieces.push({ text: tokenizer.decode(tokens.slice(start, start + chunkSize)) });
+        if (start + chunkSize >= tokens.length) break;
+      }
+      return pieces;
+    })
+  },
+
+  sentence: {
+    description: 'Whole sentences packed up to a character budget, overlapping by whole sentences',
+    schema: Joi.object({
+      maxChunkSize: Joi.number().integer().min(100).max(20000).default(1000),
+      overlapSentences: Joi.number().integer().min(0).max(10).default(1)
+    }),
+    createSplitter: ({ maxChunkSize, overlapSentences }) => perDocument((text) =>
+      packUnits(splitSentences(text), maxChunkSize, overlapSentences, ' ').map(piece => ({ text: piece }))
+    )
+  },
+
+  paragraph: {
+    description: 'Whole paragraphs packed up to a character budget; long paragraphs fall back to sentences',
+    schema: Joi.object({
+      maxChunkSize: Joi.number().integer().min(100).max(20000).default(2000)
+    }),
+    createSplitter: ({ maxChunkSize }) => perDocument((text) => {
+      const units = text.split(/\n\s*\n/).map(unit => unit.trim()).filter(Boolean)
+        .flatMap(unit => (unit.length > maxChunkSize ? splitSentences(unit) : [unit]));
+      return packUnits(units, maxChunkSize, 0, '\n\n').map(piece => ({ text: piece }));
+    })
+  },
+
+  heading: {
+    description: 'One chunk per heading-delimited section; long sections are split further and keep their heading',
+    schema: Joi.object({
+      maxChunkSize: Joi.number().integer().min(100).max(20000).default(2000),
+      chunkOverlap: Joi.number().integer().min(0).less(Joi.ref('maxChunkSize')).default(200)
+    }),
+    createSplitter: ({ maxChunkSize, chunkOverlap }) => perDocument(async (text, metadata) => {
+      const pieces = [];
+      for (const section of splitSections(text)) {
+        // Loaders that already know the section (HTML, Markdown) keep their title when there is no heading
+        const title = section.heading || metadata.sectionTitle;
+        const sectionMetadata = title ? { sectionTitle: title } : {};
+
+        if (section.text.length <= maxChunkSize) {
+          pieces.push({ text: section.text, metadata: sectionMetadata });
+          continue;
+        }
+
+        // Every part of a long section starts with its heading line so it reads (and embeds) in context
+        const headingLine = section.heading ? `${section.headingLine}\n` : '';
+        const bodySize = Math.max(maxChunkSize - headingLine.length, 100);
+        const fallback = new RecursiveCharacterTextSplitter({
+          chunkSize: bodySize,
+          chunkOverlap: Math.min(chunkOverlap, bodySize - 1),
+          separators: SEPARATORS
+        });
+        const parts = await fallback.splitText(section.body);
+        pieces.push(...parts.map(part => ({ text: headingLine + part, metadata: sectionMetadata })));
+      }
+      return pieces;
+    })
+  },
+
+  page: {
+    description: 'One chunk per page (or per group of pages) as the loader returned them',
+    schema: Joi.object({
+      pagesPerChunk: Joi.number().integer().min(1).max(50).default(1)
+    }),
+    createSplitter: ({ pagesPerChunk }) => ({
+      async splitDocuments(documents) {
+        const chunks = [];
+        let group = [];
+
+        const flush = () => {
+          if (group.length === 0) return;
+          const [first] = group;
+          const last = group[group.length - 1];
+          const pageContent = group.map(doc => doc.pageContent.trim()).filter(Boolean).join('\n\n');
+          if (pageContent) {
+            const metadata = { ...first.metadata };
+            if (last !== first && last.metadata?.loc?.pageNumber) {
+              metadata.pageEnd = last.metadata.loc.pageNumber;
+            }
+            chunks.push(new Document({ pageContent, metadata }));
+          }
+          group = [];
+        };
+
+        for (const document of documents) {
+          // Documents without page numbers (DOCX, plain text) are their own chunk
+          if (!document.metadata?.loc?.pageNumber) {
+            flush();
+            group.push(document);
+            flush();
+            continue;
+          }
+          group.push(document);
+          if (group.length >= pagesPerChunk) flush();
+        }
+        flush();
+
+        return chunks;
+      }
+    })
+  }
+};
+
+export const DEFAULT_CHUNKING_STRATEGY = process.env.CHUNKING_STRATEGY || 'character-recursive';
+
+/**
+ * Validate a strategy name and its parameters and fill in the defaults
+ * @param {Object} [chunking]
+ * @param {string} [chunking.strategy] - Key of CHUNKING_STRATEGIES; DEFAULT_CHUNKING_STRATEGY when omitted
+ * @param {Object} [chunking.params] - Strategy parameters
+ * @returns {{strategy: string, params: Object}} - What gets recorded in documents.metadata.chunking
+ */
+export function resolveChunking({ strategy = DEFAULT_CHUNKING_STRATEGY, params = {} } = {}) {
+  const definition = CHUNKING_STRATEGIES[strategy];
+  if (!definition) {
+    throw Object.assign(new Error(`Unknown chunking strategy "${strategy}"`), { statusCode: 400 });
+  }
+
+  const { error, value } = definition.schema.validate(params);
+  if (error) {
+    throw Object.assign(new Error(`Invalid ${strategy} chunking parameters: ${error.details[0].message}`), { statusCode: 400 });
+  }
+  return { strategy, params: value };
+}
+
+/**
+ * Build the splitter for a resolved strategy
+ * @param {{strategy: string, params: Object}} chunking - Output of resolveChunking
+ * @returns {{splitDocuments: function(Array<Document>): Promise<Array<Document>>}}
+ */
+export function createChunker({ strategy, params }) {
+  return CHUNKING_STRATEGIES[strategy].createSplitter(params);
+}
+
+// Adapt a text -> pieces function to splitDocuments, carrying each document's metadata onto its pieces
+function perDocument(splitText) {
+  return {
+    async splitDocuments(documents) {
+      const chunks = [];
+      for (const document of documents) {
+        const pieces = await splitText(document.pageContent, document.metadata || {});
+        for (const piece of pieces) {
+          const pageContent = piece.text.trim();
+          if (pageContent) {
+            chunks.push(new Document({ pageContent, metadata: { ...document.metadata, ...piece.metadata } }));
+          }
+        }
+      }
+      return chunks;
+    }
+  };
+}
+
+function splitSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  return [...segmenter.segment(text)].map(({ segment }) => segment.trim()).filter(Boolean);
+}
+
+// Greedily fill chunks with whole units; a unit larger than the budget becomes a chunk on its own
+function packUnits(units, maxSize, overlapUnits, joiner) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  for (const unit of units) {
+    if (current.length > 0 && size + joiner.length + unit.length > maxSize) {
+      chunks.push(current.join(joiner));
+      current = overlapUnits > 0 ? current.slice(-overlapUnits) : [];
+      size = current.reduce((total, part) => total + part.length + joiner.length, 0);
+      // An overlap that leaves no room for the next unit is dropped
+      if (size + unit.length > maxSize) {
+        current = [];
+        size = 0;
+      }
+    }
+    current.push(unit);
+    size += unit.length + joiner.length;
+  }
+  if (current.length > 0) chunks.push(current.join(joiner));
+
+  return chunks;
+}
+
+function splitSections(text) {
+  const sections = [];
+  let current = { heading: null, headingLine: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const heading = trimmed.length > 0 && trimmed.length <= 120
+      ? HEADING_PATTERNS.map(pattern => trimmed.match(pattern)).find(Boolean)
+      : null;
+
+    if (heading) {
+      if (current.lines.some(part => part.trim())) sections.push(current);
+      current = { heading: heading[1].trim(), headingLine: trimmed, lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.some(part => part.trim())) sections.push(current);
+
+  return sections.map(({ heading, headingLine, lines }) => ({
+    heading,
+    headingLine,
+    text: lines.join('\n').trim(),
+    body: (heading ? lines.slice(1) : lines).join('\n').trim()
+  }));
+}
@@ -31,7 +31,7 @@ export const contextService = {
           1 - (dc.embedding <=> $1) as similarity
         FROM document_chunks dc
         JOIN documents d ON d.id = dc.document_id
-        WHERE 1=1 ${documentFilter}
+        WHERE dc.version = d.current_version ${documentFilter}
         ORDER BY dc.embedding <=> $1
         LIMIT $${documentIds.length > 0 ? '3' : '2'}`,
         documentIds.length > 0
@@ -54,7 +54,8 @@ export const contextService = {
   formatChunksAsContext(chunks) {
     return chunks
       .map(chunk => {
-        return `Document: ${chunk.original_filename}\nContent: ${chunk.content}\n---\n`;
+        const location = chunk.metadata?.sectionTitle ? ` (${chunk.metadata.sectionTitle})` : '';
+        return `Document: ${chunk.original_filename}${location}\nContent: ${chunk.content}\n---\n`;
       })
       .join('\n');
   }
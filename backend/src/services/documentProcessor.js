@@ -1,122 +1,224 @@
 
 // services/documentProcessor.js - Updated with your embeddings
+import crypto from 'crypto';
 import ollamaService from '../config/ollama.js';
 import { query } from '../config/database.js';
+import { progressEvents } from './progressEvents.js';
 import logger from '../utils/logger.js';
 import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
 import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
 import { TextLoader } from "langchain/document_loaders/fs/text";
-import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import { HtmlLoader } from './loaders/htmlLoader.js';
+import { MarkdownLoader } from './loaders/markdownLoader.js';
+import { SpreadsheetLoader } from './loaders/spreadsheetLoader.js';
+import { PptxLoader } from './loaders/pptxLoader.js';
+import { OcrPdfLoader } from './loaders/ocrPdfLoader.js';
+import { readDocumentProperties } from './loaders/documentProperties.js';
+import { EmailLoader, EML_MIME_TYPE, MBOX_MIME_TYPE } from './loaders/emailLoader.js';
+import { documentService } from './documentService.js';
+import storage from './storage/index.js';
+import { resolveChunking, createChunker } from './chunkingStrategies.js';
+import { languageService } from './languageService.js';
+import { entityExtractor } from './entityExtractor.js';
+import { summaryService } from './summaryService.js';
+import { tagService } from './tagService.js';
 import { ChromaClient } from 'chromadb'; // install chromadb client
 
 const chroma = new ChromaClient({ path: process.env.CHROMA_URL || 'http://localhost:8000' });
 
 class DocumentProcessor {
-  constructor() {
-    this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
-      separators: ['\n\n', '\n', '. ', ' ', '']
-    });
-  }
+  /**
+   * @param {string} documentId
+   * @param {string} fileKey - Storage key of the file
+   * @param {string} mimeType
+   * @param {Object} [options] - Per-upload options: ocr (boolean), ocrLanguage (tesseract codes),
+   *   version (revision to process; defaults to the document's current version),
+   *   chunking ({strategy, params}; see chunkingStrategies.js)
+   */
+  async processDocument(documentId, fileKey, mimeType, options = {}) {
+    let version = options.version;
 
-  async processDocument(documentId, filePath, mimeType) {
     try {
       logger.info(`Processing document: ${documentId}`);
       
       // Update status to processing
-      await query(
-        'UPDATE documents SET status = $1, processed_date = CURRENT_TIMESTAMP WHERE id = $2',
+      const started = await query(
+        'UPDATE documents SET status = $1, processed_date = CURRENT_TIMESTAMP WHERE id = $2 RETURNING current_version',
         ['processing', documentId]
       );
+      version = version ?? started.rows[0]?.current_version ?? 1;
 
       // Load document content
-      const documents = await this.loadDocument(filePath, mimeType);
+      await progressEvents.publish(documentId, 'loading');
+      const { documents, documentMetadata, children } = await storage.withLocalCopy(
+        fileKey,
+        (filePath) => this.loadDocument(filePath, mimeType, options)
+      );
       
-      if (!documents || documents.length === 0) {
+      // Containers such as mailboxes may have no content of their own, only children
+      if (documents.length === 0 && children.length === 0) {
         throw new Error('No content extracted from document');
       }
 
+      // Full-text search stems each chunk with the text-search configuration of its document's language
+      const language = languageService.detectLanguage(documents.map(document => document.pageContent).join('\n'));
+      logger.info(`Detected language ${language.code} (${language.config}) for document ${documentId}`);
+
+      // The strategy is recorded with its resolved parameters so the chunks can be reproduced.
+      // Properties are dropped first so a new version without them does not keep the old ones.
+      const chunking = resolveChunking(options.chunking);
+      await query(
+        'UPDATE documents SET metadata = (COALESCE(metadata, \'{}\'::jsonb) - \'properties\') || $1::jsonb WHERE id = $2',
+        [JSON.stringify({ ...documentMetadata, chunking, language }), documentId]
+      );
+
       // Split into chunks
-      const chunks = await this.textSplitter.splitDocuments(documents);
+      await progressEvents.publish(documentId, 'splitting');
+      const chunks = await this.splitDocuments(documents, createChunker(chunking));
       
-      if (chunks.length === 0) {
+      if (chunks.length === 0 && children.length === 0) {
         throw new Error('No chunks generated from document');
       }
 
       logger.info(`Generated ${chunks.length} chunks for document ${documentId}`);
 
-      // Process chunks and generate embeddings
-      const processedChunks = [];
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        
-        try {
-          // Generate embedding using your custom service
-          const embedding = await ollamaService.generateEmbedding(chunk.pageContent);
-          
-          processedChunks.push({
-            documentId,
-            chunkIndex: i,
-            content: chunk.pageContent,
-            embedding: JSON.stringify(embedding), // Store as JSON string for PostgreSQL
-            metadata: chunk.metadata || {},
-            pageNumber: chunk.metadata?.loc?.pageNumber || null,
-            sectionTitle: this.extractSectionTitle(chunk.pageContent)
-          });
-
-          // Log progress every 10 chunks
-          if ((i + 1) % 10 === 0) {
-            logger.info(`Processed ${i + 1}/${chunks.length} chunks for document ${documentId}`);
-          }
-
-        } catch (embeddingError) {
-          logger.error(`Failed to generate embedding for chunk ${i}:`, embeddingError);
-          // Continue with null embedding - you might want to retry or skip
-          processedChunks.push({
-            documentId,
-            chunkIndex: i,
-            content: chunk.pageContent,
-            embedding: null,
-            metadata: chunk.metadata || {},
-            pageNumber: chunk.metadata?.loc?.pageNumber || null,
-            sectionTitle: this.extractSectionTitle(chunk.pageContent)
-          });
+      // Chunks whose text is unchanged from an earlier version or run keep their embedding
+      const reusableEmbeddings = await this.getReusableEmbeddings(documentId, version);
+      const contentHashes = chunks.map(chunk => hashContent(chunk.pageContent));
+      const toEmbed = chunks.map((_, i) => i).filter(i => !reusableEmbeddings.has(contentHashes[i]));
+      const reusedCount = chunks.length - toEmbed.length;
+
+      if (reusedCount > 0) {
+        logger.info(`Reused ${reusedCount}/${chunks.length} existing embeddings for ${documentId}`);
+      }
+
+      // Embed the rest in concurrent batches (EMBEDDING_BATCH_SIZE, EMBEDDING_CONCURRENCY)
+      await progressEvents.publish(documentId, 'embedding', { current: reusedCount, total: chunks.length });
+      const { embeddings, errors } = await ollamaService.generateEmbeddings(
+        toEmbed.map(i => chunks[i].pageContent),
+        {
+          onProgress: (done) => progressEvents.publish(documentId, 'embedding', { current: reusedCount + done, total: chunks.length })
         }
+      );
+
+      const generated = new Map(toEmbed.map((chunkIndex, i) => [chunkIndex, embeddings[i]]));
+      if (errors.length > 0) {
+        // Failed chunks are saved without an embedding for reprocessFailedEmbeddings to fill in later
+        logger.error(`Failed to generate ${errors.length} embedding(s) for document ${documentId}`);
       }
 
+      const processedChunks = chunks.map((chunk, i) => {
+        const vector = generated.get(i);
+        const embedding = reusableEmbeddings.get(contentHashes[i])
+          || (vector ? { json: JSON.stringify(vector), dimensions: vector.length } : null);
+
+        return {
+          documentId,
+          version,
+          chunkIndex: i,
+          content: chunk.pageContent,
+          contentHash: contentHashes[i],
+          tsConfig: language.config,
+          embedding: embedding?.json ?? null, // JSON string for PostgreSQL
+          embeddingModel: embedding ? ollamaService.embeddingModel : null,
+          embeddingDimensions: embedding?.dimensions ?? null,
+          metadata: chunk.metadata || {},
+          pageNumber: chunk.metadata?.loc?.pageNumber || null,
+          sectionTitle: this.resolveSectionTitle(chunk)
+        };
+      });
+
       // Save chunks to database
-      await this.saveChunks(processedChunks);
+      if (processedChunks.length > 0) {
+        await this.saveChunks(processedChunks);
+      }
 
-      // Update document status
+      // Entities are a search aid; a document whose extraction fails is still usable
+      if (processedChunks.length > 0 && entityExtractor.enabled) {
+        try {
+          await progressEvents.publish(documentId, 'extracting', { current: 0, total: processedChunks.length });
+          await entityExtractor.processChunks(documentId, version, processedChunks, (done, total) =>
+            progressEvents.publish(documentId, 'extracting', { current: done, total })
+          );
+        } catch (error) {
+          logger.warn(`Entity extraction failed for document ${documentId}:`, error.message);
+        }
+      }
+
+      // Summaries are optional too; a failed one is recorded on the document and can be regenerated
+      if (processedChunks.length > 0 && summaryService.enabled) {
+        try {
+          await progressEvents.publish(documentId, 'summarizing');
+          await summaryService.generateForDocument(documentId);
+        } catch (error) {
+          logger.warn(`Summarization failed for document ${documentId}:`, error.message);
+        }
+      }
+
+      // Tagging runs last so the model can use the abstract; tags can always be curated by hand
+      if (processedChunks.length > 0 && tagService.enabled) {
+        try {
+          await progressEvents.publish(documentId, 'tagging');
+          await tagService.generateForDocument(documentId);
+        } catch (error) {
+          logger.warn(`Tagging failed for document ${documentId}:`, error.message);
+        }
+      }
+
+      // Attachments and mailbox messages go through the queue as documents of their own
+      if (children.length > 0) {
+        const registered = await documentService.replaceChildDocuments(documentId, children, options);
+        logger.info(`Registered ${registered.length}/${children.length} child documents for ${documentId}`);
+      }
+
+      // Update document status; uploads linked to this one as duplicates follow it
       await query(
-        'UPDATE documents SET status = $1, chunk_count = $2, processed_date = CURRENT_TIMESTAMP WHERE id = $3',
+        'UPDATE documents SET status = $1, chunk_count = $2, processed_date = CURRENT_TIMESTAMP WHERE id = $3 OR canonical_document_id = $3',
         ['completed', processedChunks.length, documentId]
       );
+      await this.updateVersionStatus(documentId, version, 'completed', processedChunks.length);
 
       logger.info(`Document processing completed: ${documentId} with ${processedChunks.length} chunks`);
+      await progressEvents.publish(documentId, 'completed', { chunkCount: processedChunks.length });
       return { success: true, chunkCount: processedChunks.length };
 
     } catch (error) {
+      // The status is left alone: the job processor decides whether this attempt is retried or final
       logger.error(`Document processing failed for ${documentId}:`, error);
-      
-      // Update status to failed
-      await query(
-        'UPDATE documents SET status = $1 WHERE id = $2',
-        ['failed', documentId]
-      );
-
       throw error;
     }
   }
 
-  async loadDocument(filePath, mimeType) {
+  /**
+   * Record that processing a document gave up for good
+   * @param {string} documentId
+   * @param {number} [version] - Revision that failed; defaults to the document's current version
+   * @param {string} message - Error of the last attempt
+   */
+  async markFailed(documentId, version, message) {
+    const result = await query(
+      `UPDATE documents SET status = 'failed'
+       WHERE id = $1 OR canonical_document_id = $1
+       RETURNING id, current_version`,
+      [documentId]
+    );
+    const document = result.rows.find(row => row.id === documentId);
+    if (document) {
+      await this.updateVersionStatus(documentId, version ?? document.current_version ?? 1, 'failed');
+    }
+    await progressEvents.publish(documentId, 'failed', { error: message });
+  }
+
+  async loadDocument(filePath, mimeType, options = {}) {
     try {
       let loader;
       
       switch (mimeType) {
         case 'application/pdf':
-          loader = new PDFLoader(filePath);
+          // Scanned pages have no text layer; OCR them unless the upload opted out
+          loader = options.ocr === false
+            ? new PDFLoader(filePath)
+            : new OcrPdfLoader(filePath, { language: options.ocrLanguage });
           break;
         case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
           loader = new DocxLoader(filePath);
@@ -124,12 +226,40 @@ class DocumentProcessor {
         case 'text/plain':
           loader = new TextLoader(filePath);
           break;
+        case 'text/markdown':
+          loader = new MarkdownLoader(filePath);
+          break;
+        case 'text/html':
+          loader = new HtmlLoader(filePath);
+          break;
+        case 'text/csv':
+        case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+        case 'application/vnd.ms-excel':
+          loader = new SpreadsheetLoader(filePath);
+          break;
+        case EML_MIME_TYPE:
+          loader = new EmailLoader(filePath);
+          break;
+        case MBOX_MIME_TYPE:
+          loader = new EmailLoader(filePath, { mailbox: true });
+          break;
+        case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+          // One document per slide, so chunks never span two slides
+          loader = new PptxLoader(filePath);
+          break;
         default:
           throw new Error(`Unsupported file type: ${mimeType}`);
       }
 
       const documents = await loader.load();
-      return documents;
+      const properties = await this.readProperties(filePath, mimeType);
+
+      // Loaders may also describe the document as a whole and the files found inside it
+      return {
+        documents: documents || [],
+        documentMetadata: properties ? { ...loader.documentMetadata, properties } : loader.documentMetadata || null,
+        children: loader.children || []
+      };
       
     } catch (error) {
       logger.error('Failed to load document:', error);
@@ -137,6 +267,36 @@ class DocumentProcessor {
     }
   }
 
+  // Title, author, dates etc. embedded in PDF and DOCX files; a file with unreadable properties still gets processed
+  async readProperties(filePath, mimeType) {
+    try {
+      return await readDocumentProperties(filePath, mimeType);
+    } catch (error) {
+      logger.warn(`Could not read document properties of ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  // Loaders mark chunks that are already sized (spreadsheet row groups) so no strategy re-cuts them
+  async splitDocuments(documents, chunker) {
+    const chunks = [];
+    for (const document of documents) {
+      if (document.metadata?.preserveChunk) {
+        const { preserveChunk, ...metadata } = document.metadata;
+        chunks.push({ ...document, metadata });
+      } else {
+        chunks.push(...await chunker.splitDocuments([document]));
+      }
+    }
+    return chunks;
+  }
+
+  // Loaders that understand structure (HTML, Markdown, spreadsheets) pass a location title along
+  resolveSectionTitle(chunk) {
+    const title = chunk.metadata?.sectionTitle || this.extractSectionTitle(chunk.pageContent);
+    return title ? title.substring(0, 255) : null;
+  }
+
   extractSectionTitle(content) {
     // Simple heuristic to extract section titles
     const lines = content.split('\n');
@@ -154,10 +314,44 @@ class DocumentProcessor {
     return null;
   }
 
+  /**
+   * Embeddings already stored for this version (on reprocessing) or earlier ones, keyed by chunk content hash.
+   * Only vectors of the active embedding model qualify.
+   * @returns {Promise<Map<string, {json: string, dimensions: number}>>}
+   */
+  async getReusableEmbeddings(documentId, version) {
+    const result = await query(
+      `SELECT DISTINCT ON (content_hash) content_hash, embedding, embedding_dimensions
+       FROM document_chunks
+       WHERE document_id = $1 AND version <= $2 AND embedding IS NOT NULL AND content_hash IS NOT NULL
+         AND embedding_model = $3
+       ORDER BY content_hash, version DESC`,
+      [documentId, version, ollamaService.embeddingModel]
+    );
+    return new Map(result.rows.map(row => [
+      row.content_hash,
+      { json: JSON.stringify(row.embedding), dimensions: row.embedding_dimensions }
+    ]));
+  }
+
+  // Version rows exist once a document has had a revision uploaded; before that this is a no-op
+  async updateVersionStatus(documentId, version, status, chunkCount = null) {
+    await query(
+      `UPDATE document_versions
+       SET status = $3, chunk_count = COALESCE($4, chunk_count), processed_date = CURRENT_TIMESTAMP
+       WHERE document_id = $1 AND version = $2`,
+      [documentId, version, status, chunkCount]
+    );
+  }
+
   async saveChunks(chunks) {
+    const { documentId, version } = chunks[0];
+
     try {
-      // Delete existing chunks for this document
-      await query('DELETE FROM document_chunks WHERE document_id = $1', [chunks[0].documentId]);
+      await progressEvents.publish(documentId, 'saving', { total: chunks.length });
+
+      // Replace the chunks of this version only; earlier versions stay queryable
+      await query('DELETE FROM document_chunks WHERE document_id = $1 AND version = $2', [documentId, version]);
 
       // Insert new chunks in batches for better performance
       const batchSize = 50;
@@ -169,22 +363,30 @@ class DocumentProcessor {
         let paramIndex = 1;
 
         for (const chunk of batch) {
-          placeholders.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6})`);
-          values.push(
+          const columns = [
             chunk.documentId,
+            chunk.version,
             chunk.chunkIndex,
             chunk.content,
+            chunk.content.length,
+            chunk.contentHash,
+            chunk.tsConfig,
             chunk.embedding, // JSON string
+            chunk.embeddingModel,
+            chunk.embeddingDimensions,
             JSON.stringify(chunk.metadata),
             chunk.pageNumber,
             chunk.sectionTitle
-          );
-          paramIndex += 7;
+          ];
+          placeholders.push(`(${columns.map((_, offset) => `$${paramIndex + offset}`).join(', ')})`);
+          values.push(...columns);
+          paramIndex += columns.length;
         }
 
         const insertQuery = `
           INSERT INTO document_chunks 
-          (document_id, chunk_index, content, embedding, metadata, page_number, section_title)
+          (document_id, version, chunk_index, content, content_length, content_hash, ts_config, embedding, embedding_model,
+           embedding_dimensions, metadata, page_number, section_title)
           VALUES ${placeholders.join(', ')}
         `;
 
@@ -197,24 +399,33 @@ class DocumentProcessor {
     }
 
 
+    await progressEvents.publish(documentId, 'indexing', { total: chunks.length });
     const collection = await chroma.getOrCreateCollection('documents');
+    // The vector store only holds the version being processed, which is always the latest
+    await collection.delete({ where: { documentId } });
     for (const chunk of chunks) {
+      // Chroma rejects entries without an embedding; reprocessFailedEmbeddings adds them once they have one
+      if (!chunk.embedding) continue;
       await collection.add({
         ids: [chunk.documentId + '-' + chunk.chunkIndex],
         embeddings: [JSON.parse(chunk.embedding)],
         documents: [chunk.content],
-        metadatas: [{ documentId: chunk.documentId, chunkIndex: chunk.chunkIndex, ...chunk.metadata }]
+        metadatas: [{ documentId: chunk.documentId, chunkIndex: chunk.chunkIndex, version: chunk.version, ...chunk.metadata }]
       });
     }
     logger.info(`Saved ${chunks.length} chunks to database and vector store`);
   }
   
 
-  // Method to reprocess documents with failed embeddings
+  // Method to reprocess documents with failed embeddings. Only the current version is in the vector store, so
+  // only its chunks are retried.
   async reprocessFailedEmbeddings(documentId) {
     try {
       const result = await query(
-        'SELECT id, content FROM document_chunks WHERE document_id = $1 AND embedding IS NULL',
+        `SELECT c.id, c.document_id, c.version, c.chunk_index, c.content, c.metadata
+         FROM document_chunks c
+         JOIN documents d ON d.id = c.document_id AND d.current_version = c.version
+         WHERE c.document_id = $1 AND c.embedding IS NULL`,
         [documentId]
       );
 
@@ -228,19 +439,24 @@ class DocumentProcessor {
       logger.info(`Reprocessing ${failedChunks.length} failed embeddings for document ${documentId}`);
 
       let processedCount = 0;
-      for (const chunk of failedChunks) {
-        try {
-          const embedding = await ollamaService.generateEmbedding(chunk.content);
-          
-          await query(
-            'UPDATE document_chunks SET embedding = $1 WHERE id = $2',
-            [JSON.stringify(embedding), chunk.id]
-          );
-
-          processedCount++;
-        } catch (error) {
-          logger.error(`Failed to reprocess embedding for chunk ${chunk.id}:`, error);
-        }
+      const { embeddings } = await ollamaService.generateEmbeddings(failedChunks.map(chunk => chunk.content));
+      const collection = await chroma.getOrCreateCollection('documents');
+      for (const [i, chunk] of failedChunks.entries()) {
+        const embedding = embeddings[i];
+        if (!embedding) continue;
+
+        await query(
+          'UPDATE document_chunks SET embedding = $1, embedding_model = $2, embedding_dimensions = $3 WHERE id = $4',
+          [JSON.stringify(embedding), ollamaService.embeddingModel, embedding.length, chunk.id]
+        );
+        // Same id and metadata as saveChunks gives the chunks it had to leave out
+        await collection.add({
+          ids: [chunk.document_id + '-' + chunk.chunk_index],
+          embeddings: [embedding],
+          documents: [chunk.content],
+          metadatas: [{ documentId: chunk.document_id, chunkIndex: chunk.chunk_index, version: chunk.version, ...chunk.metadata }]
+        });
+        processedCount++;
       }
 
       logger.info(`Reprocessed ${processedCount}/${failedChunks.length} embeddings for document ${documentId}`);
@@ -253,6 +469,11 @@ class DocumentProcessor {
   }
 }
 
+// Same hash the versions diff uses to match chunks across revisions
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
 const documentProcessor = new DocumentProcessor();
 export default documentProcessor;
   
\ No newline at end of file
@@ -0,0 +1,415 @@
+// services/documentService.js - Registers documents created on the server (attachments, archive members)
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import jobProcessor from './jobProcessor.js';
+import storage from './storage/index.js';
+import logger from '../utils/logger.js';
+import { ChromaClient } from 'chromadb';
+
+const chroma = new ChromaClient({ path: process.env.CHROMA_URL || 'http://localhost:8000' });
+
+/**
+ * WHERE conditions on the embedded file properties in documents.metadata.properties
+ * @param {Object} filters - author, title, subject, keyword (substring matches), created_after, created_before,
+ *   modified_after, modified_before
+ * @param {number} startIndex - Index of the first placeholder to use
+ * @param {string} [metadata] - SQL expression for the metadata column to filter on
+ * @returns {{conditions: Array<string>, params: Array, nextIndex: number}}
+ */
+export function buildPropertyFilters(filters, startIndex, metadata = 'd.metadata') {
+  const conditions = [];
+  const params = [];
+  let paramIndex = startIndex;
+
+  for (const field of ['author', 'title', 'subject']) {
+    if (filters[field]) {
+      conditions.push(`${metadata}->'properties'->>'${field}' ILIKE $${paramIndex++}`);
+      params.push(`%${filters[field]}%`);
+    }
+  }
+
+  if (filters.keyword) {
+    conditions.push(`EXISTS (SELECT 1 FROM jsonb_array_elements_text(${metadata}->'properties'->'keywords') k WHERE k ILIKE $${paramIndex++})`);
+    params.push(`%${filters.keyword}%`);
+  }
+
+  // Dates are stored as ISO strings, so they cast cleanly
+  const ranges = [
+    ['created_after', 'createdAt', '>='],
+    ['created_before', 'createdAt', '<'],
+    ['modified_after', 'modifiedAt', '>='],
+    ['modified_before', 'modifiedAt', '<']
+  ];
+  for (const [filter, property, operator] of ranges) {
+    if (filters[filter]) {
+      conditions.push(`(${metadata}->'properties'->>'${property}')::timestamptz ${operator} $${paramIndex++}`);
+      params.push(filters[filter]);
+    }
+  }
+
+  return { conditions, params, nextIndex: paramIndex };
+}
+
+export const documentService = {
+  /**
+   * SHA-256 of a file on disk, streamed so large uploads are not read into memory
+   * @param {string} filePath
+   * @returns {Promise<string>} - Hex digest
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      createReadStream(filePath)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  },
+
+  /**
+   * Find the original upload with this content, ignoring failed ones so a broken upload can be retried
+   * @param {string} contentHash
+   * @returns {Promise<Object|null>}
+   */
+  async findByContentHash(contentHash) {
+    const result = await query(
+      `SELECT id, filename, original_filename, status, chunk_count, upload_date
+       FROM documents
+       WHERE content_hash = $1 AND canonical_document_id IS NULL AND status != 'failed'
+       ORDER BY upload_date
+       LIMIT 1`,
+      [contentHash]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Move a staged file into storage, register it and queue it, as POST /api/documents/upload does.
+   * Identical content is either refused or registered as a link to the earlier upload's chunks.
+   * @param {Object} upload
+   * @param {Object} upload.file - multer-style file: path, filename, originalname, size, mimetype
+   * @param {string} [upload.duplicate] - 'reject' or 'link'
+   * @param {number} [upload.maxRetries] - Overrides JOB_MAX_RETRIES for the processing job
+   * @param {Object} [upload.options] - Processing options for DocumentProcessor (ocr, ocrLanguage, chunking)
+   * @param {Object} [upload.metadata] - Initial documents.metadata
+   * @returns {Promise<{document: Object|null, existing: Object|null}>} - document is null when a duplicate was
+   *   rejected; existing is the earlier upload with the same content
+   */
+  async ingestFile({ file, duplicate = 'reject', maxRetries, options, metadata = {} }) {
+    const contentHash = await this.hashFile(file.path);
+    const existing = await this.findByContentHash(contentHash);
+    const contentType = path.extname(file.originalname).slice(1).toLowerCase();
+
+    if (existing) {
+      await fs.unlink(file.path).catch(() => {});
+      return this.linkDuplicate(existing, { originalFilename: file.originalname, duplicate, metadata });
+    }
+
+    const documentId = uuidv4();
+    await storage.put(file.filename, file.path, { contentType: file.mimetype });
+
+    let result;
+    try {
+      result = await query(
+        `INSERT INTO documents 
+         (id, filename, original_filename, file_size, mime_type, content_type, status, content_hash, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          documentId,
+          file.filename,
+          file.originalname,
+          file.size,
+          file.mimetype,
+          contentType,
+          'pending',
+          contentHash,
+          JSON.stringify(metadata)
+        ]
+      );
+    } catch (error) {
+      await storage.delete(file.filename).catch(() => {});
+      // The same content was uploaded concurrently and the other upload became the original
+      const winner = error.code === '23505' && await this.findByContentHash(contentHash);
+      if (winner) {
+        return this.linkDuplicate(winner, { originalFilename: file.originalname, duplicate, metadata });
+      }
+      throw error;
+    }
+
+    // Add document processing job to queue
+    try {
+      const jobId = await jobProcessor.enqueueDocument({
+        documentId,
+        fileKey: file.filename,
+        mimeType: file.mimetype,
+        maxRetries,
+        options
+      });
+      logger.info(`Added processing job ${jobId} for document: ${documentId}`);
+    } catch (queueError) {
+      logger.warn('Failed to add job to queue:', queueError.message);
+    }
+
+    logger.info(`Document uploaded: ${documentId}`, {
+      filename: file.originalname,
+      size: file.size,
+      type: file.mimetype
+    });
+
+    return { document: result.rows[0], existing: null };
+  },
+
+  /**
+   * Apply the duplicate policy to an upload whose content matches an earlier one
+   * @param {Object} existing - The earlier upload, as returned by findByContentHash
+   * @param {Object} upload
+   * @param {string} upload.originalFilename - Name shown to users
+   * @param {string} upload.duplicate - 'reject' or 'link'
+   * @param {Object} upload.metadata - Initial documents.metadata of the linked row
+   * @returns {Promise<{document: Object|null, existing: Object}>} - document is null when rejected
+   */
+  async linkDuplicate(existing, { originalFilename, duplicate, metadata }) {
+    if (duplicate === 'reject') {
+      return { document: null, existing };
+    }
+
+    const linked = await query(
+      `INSERT INTO documents
+       (filename, original_filename, file_size, mime_type, content_type, status, chunk_count,
+        processed_date, content_hash, canonical_document_id, metadata)
+       SELECT filename, $1, file_size, mime_type, $2, status, chunk_count,
+              processed_date, content_hash, id, $4
+       FROM documents WHERE id = $3
+       RETURNING *`,
+      [originalFilename, path.extname(originalFilename).slice(1).toLowerCase(), existing.id, JSON.stringify(metadata)]
+    );
+
+    logger.info(`Document uploaded as duplicate of ${existing.id}: ${linked.rows[0].id}`);
+    return { document: linked.rows[0], existing };
+  },
+
+  /**
+   * Delete a document with its chunks, files and child documents. Linked duplicates take over the chunks and file.
+   * @param {string} documentId
+   * @returns {Promise<boolean>} - false if the document does not exist
+   */
+  async deleteDocument(documentId) {
+    // Attachments would go with the row through the cascade, leaving their files and linked duplicates behind
+    const children = await query('SELECT id FROM documents WHERE parent_document_id = $1', [documentId]);
+    for (const { id } of children.rows) {
+      await this.deleteDocument(id);
+    }
+
+    // The current file plus those of earlier versions, which the documents row no longer references
+    const files = await query(
+      `SELECT filename FROM documents WHERE id = $1
+       UNION
+       SELECT filename FROM document_versions WHERE document_id = $1`,
+      [documentId]
+    );
+
+    // Linked duplicates share this document's chunks and file; keep them alive
+    const successorId = await this.promoteDuplicate(documentId);
+    if (successorId) {
+      logger.info(`Chunks of ${documentId} handed over to linked duplicate ${successorId}`);
+    }
+
+    // Delete from database (cascading will delete chunks and related data)
+    const deleteResult = await query('DELETE FROM documents WHERE id = $1 RETURNING *', [documentId]);
+
+    if (deleteResult.rows.length === 0) {
+      return false;
+    }
+
+    // Linked duplicates share their file with the document they point to, and may still point at an older version's
+    for (const { filename } of files.rows) {
+      const inUse = await query(
+        `SELECT 1 FROM documents WHERE filename = $1
+         UNION ALL
+         SELECT 1 FROM document_versions WHERE filename = $1
+         LIMIT 1`,
+        [filename]
+      );
+      if (inUse.rows.length > 0) continue;
+
+      try {
+        await storage.delete(filename);
+        logger.info(`Stored file deleted: ${filename}`);
+      } catch (fileError) {
+        logger.warn(`Could not delete stored file: ${filename}`, fileError);
+      }
+    }
+
+    logger.info(`Document deleted: ${documentId}`);
+    return true;
+  },
+
+  /**
+   * Before deleting a document, hand its chunks to the oldest upload linked to it so the copies keep their content
+   * @param {string} documentId
+   * @returns {Promise<string|null>} - The id of the new canonical document, if there was a linked one
+   */
+  async promoteDuplicate(documentId) {
+    const result = await query(
+      'SELECT id FROM documents WHERE canonical_document_id = $1 ORDER BY upload_date LIMIT 1',
+      [documentId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const successorId = result.rows[0].id;
+    // The successor starts its own history at version 1; older versions go with the deleted document
+    await query(
+      `UPDATE document_chunks SET document_id = $1, version = 1
+       WHERE document_id = $2 AND version = (SELECT current_version FROM documents WHERE id = $2)`,
+      [successorId, documentId]
+    );
+    await query('UPDATE document_tags SET document_id = $1 WHERE document_id = $2', [successorId, documentId]);
+
+    // What was derived from the content goes along; the successor keeps its own name and upload metadata
+    await query(
+      `UPDATE documents s
+       SET status = d.status, chunk_count = d.chunk_count, processed_date = d.processed_date,
+           abstract = d.abstract, summary = d.summary, summary_model = d.summary_model,
+           summary_status = d.summary_status, summary_error = d.summary_error,
+           summary_started_at = d.summary_started_at, summary_generated_at = d.summary_generated_at,
+           metadata = COALESCE(s.metadata, '{}'::jsonb) || jsonb_strip_nulls(jsonb_build_object(
+             'properties', d.metadata->'properties',
+             'chunking', d.metadata->'chunking',
+             'language', d.metadata->'language'
+           ))
+       FROM documents d
+       WHERE s.id = $1 AND d.id = $2`,
+      [successorId, documentId]
+    );
+
+    // Only one original per content is allowed, so the deleted document stops being one before the successor starts
+    await query(
+      'UPDATE documents SET canonical_document_id = $1 WHERE (id = $2 OR canonical_document_id = $2) AND id != $1',
+      [successorId, documentId]
+    );
+    await query('UPDATE documents SET canonical_document_id = NULL WHERE id = $1', [successorId]);
+
+    await this.moveVectors(documentId, successorId);
+
+    return successorId;
+  },
+
+  /**
+   * Re-key a document's entries in the vector store so chat citations point to the document that now owns them
+   * @param {string} fromDocumentId
+   * @param {string} toDocumentId - Takes the chunks over as its version 1
+   */
+  async moveVectors(fromDocumentId, toDocumentId) {
+    try {
+      const collection = await chroma.getOrCreateCollection('documents');
+      const entries = await collection.get({
+        where: { documentId: fromDocumentId },
+        include: ['embeddings', 'documents', 'metadatas']
+      });
+      if (entries.ids.length > 0) {
+        const metadatas = entries.metadatas.map(metadata => ({ ...metadata, documentId: toDocumentId, version: 1 }));
+        await collection.add({
+          ids: metadatas.map(metadata => toDocumentId + '-' + metadata.chunkIndex),
+          embeddings: entries.embeddings,
+          documents: entries.documents,
+          metadatas
+        });
+      }
+      await collection.delete({ where: { documentId: fromDocumentId } });
+    } catch (error) {
+      logger.warn(`Could not move vectors of ${fromDocumentId} to ${toDocumentId}:`, error.message);
+    }
+  },
+
+  /**
+   * Store a file, insert its documents row and queue it for processing
+   * @param {Object} doc
+   * @param {string} doc.originalFilename - Name shown to users
+   * @param {string} doc.mimeType - One of SUPPORTED_MIME_TYPES
+   * @param {Buffer} doc.content - File contents
+   * @param {string} [doc.parentDocumentId] - Document this one was extracted from
+   * @param {Object} [doc.metadata] - Initial documents.metadata
+   * @param {number} [doc.maxRetries] - Overrides JOB_MAX_RETRIES for the processing job
+   * @param {Object} [doc.options] - Processing options for DocumentProcessor (ocr, ocrLanguage, chunking)
+   * @returns {Promise<Object>} - The inserted documents row, or a row linked to the original when a document
+   *   without a parent has content that is already stored
+   */
+  async registerDocument({ originalFilename, mimeType, content, parentDocumentId = null, metadata = {}, maxRetries, options }) {
+    const documentId = uuidv4();
+    const filename = `${documentId}${path.extname(originalFilename)}`;
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+
+    await storage.put(filename, content, { contentType: mimeType });
+
+    let row;
+    try {
+      const result = await query(
+        `INSERT INTO documents
+         (id, filename, original_filename, file_size, mime_type, content_type, status, metadata, parent_document_id, content_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9)
+         RETURNING *`,
+        [
+          documentId,
+          filename,
+          originalFilename,
+          content.length,
+          mimeType,
+          path.extname(originalFilename).slice(1).toLowerCase(),
+          JSON.stringify(metadata),
+          parentDocumentId,
+          contentHash
+        ]
+      );
+      row = result.rows[0];
+    } catch (error) {
+      await storage.delete(filename).catch(() => {});
+      // Archive members are originals like any upload, so content that is already stored is linked to it
+      const existing = error.code === '23505' && await this.findByContentHash(contentHash);
+      if (existing) {
+        const { document } = await this.linkDuplicate(existing, { originalFilename, duplicate: 'link', metadata });
+        return document;
+      }
+      throw error;
+    }
+
+    try {
+      await jobProcessor.enqueueDocument({ documentId, fileKey: filename, mimeType, maxRetries, options });
+    } catch (queueError) {
+      logger.warn(`Failed to queue document ${documentId}:`, queueError.message);
+    }
+
+    return row;
+  },
+
+  /**
+   * Replace the child documents of a parent, e.g. when an email is reprocessed
+   * @param {string} parentDocumentId
+   * @param {Array<Object>} children - Arguments for registerDocument, without parentDocumentId
+   * @param {Object} [options] - Processing options the children inherit from their parent
+   * @returns {Promise<Array<Object>>} - The inserted documents rows
+   */
+  async replaceChildDocuments(parentDocumentId, children, options) {
+    // Uploads linked to an old child as duplicates keep its chunks, and files still in use stay in storage
+    const removed = await query('SELECT id FROM documents WHERE parent_document_id = $1', [parentDocumentId]);
+    for (const { id } of removed.rows) {
+      await this.deleteDocument(id);
+    }
+
+    const rows = [];
+    for (const child of children) {
+      try {
+        rows.push(await this.registerDocument({ ...child, parentDocumentId, options }));
+      } catch (error) {
+        logger.warn(`Failed to register child document ${child.originalFilename} of ${parentDocumentId}:`, error.message);
+      }
+    }
+    return rows;
+  }
+};
@@ -0,0 +1,117 @@
+// services/embeddingCache.js - Redis cache of embedding vectors keyed by model and text hash
+import crypto from 'crypto';
+import { getRedisClient } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const KEY_PREFIX = 'embedding_cache:';
+// Sorted set of cache keys scored by write time, used to evict the oldest entries
+const INDEX_KEY = 'embedding_cache_index';
+const STATS_KEY = 'embedding_cache_stats';
+
+const enabled = process.env.EMBEDDING_CACHE_ENABLED !== 'false';
+const ttl = parseInt(process.env.EMBEDDING_CACHE_TTL) || 7 * 24 * 60 * 60; // seconds
+const maxEntries = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || 10000;
+
+function cacheKey(model, text) {
+  return `${KEY_PREFIX}${model}:${crypto.createHash('sha256').update(text, 'utf8').digest('hex')}`;
+}
+
+export const embeddingCache = {
+  /**
+   * Look up cached vectors. Counts a hit or miss per text.
+   * @param {string} model - Embedding model the vectors must come from
+   * @param {string[]} texts - Texts exactly as they are sent to the model
+   * @returns {Promise<Array<number[]|null>>} - One entry per text, null when not cached
+   */
+  async getMany(model, texts) {
+    if (!enabled || texts.length === 0) {
+      return texts.map(() => null);
+    }
+
+    try {
+      const redis = getRedisClient();
+      const values = await redis.mGet(texts.map(text => cacheKey(model, text)));
+      const vectors = values.map(value => (value ? JSON.parse(value) : null));
+
+      const hits = vectors.filter(Boolean).length;
+      await redis.multi()
+        .hIncrBy(STATS_KEY, 'hits', hits)
+        .hIncrBy(STATS_KEY, 'misses', texts.length - hits)
+        .exec();
+
+      return vectors;
+    } catch (error) {
+      // The cache is best effort; embedding must work without Redis
+      logger.debug('Embedding cache lookup failed:', error.message);
+      return texts.map(() => null);
+    }
+  },
+
+  async get(model, text) {
+    const [vector] = await this.getMany(model, [text]);
+    return vector;
+  },
+
+  /**
+   * Store vectors, then evict the oldest entries beyond EMBEDDING_CACHE_MAX_ENTRIES
+   * @param {string} model
+   * @param {Array<{text: string, embedding: number[]}>} entries
+   */
+  async setMany(model, entries) {
+    if (!enabled || entries.length === 0) {
+      return;
+    }
+
+    try {
+      const redis = getRedisClient();
+      const now = Date.now();
+      const write = redis.multi();
+      for (const { text, embedding } of entries) {
+        const key = cacheKey(model, text);
+        write.set(key, JSON.stringify(embedding), { EX: ttl });
+        write.zAdd(INDEX_KEY, { score: now, value: key });
+      }
+      // Entries that reached their TTL are already gone from Redis
+      write.zRemRangeByScore(INDEX_KEY, 0, now - ttl * 1000);
+      await write.exec();
+
+      const excess = (await redis.zCard(INDEX_KEY)) - maxEntries;
+      if (excess > 0) {
+        const evicted = await redis.zPopMinCount(INDEX_KEY, excess);
+        await redis.del(evicted.map(entry => entry.value));
+      }
+    } catch (error) {
+      logger.debug('Embedding cache write failed:', error.message);
+    }
+  },
+
+  async set(model, text, embedding) {
+    await this.setMany(model, [{ text, embedding }]);
+  },
+
+  /**
+   * Hit and miss counters since the cache was last cleared, shared by the API and workers
+   */
+  async getStats() {
+    const stats = { enabled, ttl_seconds: ttl, max_entries: maxEntries };
+
+    try {
+      const redis = getRedisClient();
+      await redis.zRemRangeByScore(INDEX_KEY, 0, Date.now() - ttl * 1000);
+      const counters = await redis.hGetAll(STATS_KEY);
+      const hits = parseInt(counters.hits) || 0;
+      const misses = parseInt(counters.misses) || 0;
+
+      return {
+        ...stats,
+        entries: await redis.zCard(INDEX_KEY),
+        hits,
+        misses,
+        hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : 0
+      };
+    } catch (error) {
+      logger.warn('Could not read embedding cache stats:', error.message);
+      return { ...stats, error: error.message };
+    }
+  }
+};
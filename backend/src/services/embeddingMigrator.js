@@ -0,0 +1,314 @@
+// services/embeddingMigrator.js - Background re-embedding of the corpus after EMBEDDING_MODEL changes
+import { randomUUID } from 'crypto';
+import { ChromaClient, ChromaNotFoundError } from 'chromadb';
+import { query } from '../config/database.js';
+import { getRedisClient } from '../config/redis.js';
+import ollamaService from '../config/ollama.js';
+import logger from '../utils/logger.js';
+
+const LOCK_KEY = 'embedding_migration:lock';
+
+const chroma = new ChromaClient({ path: process.env.CHROMA_URL || 'http://localhost:8000' });
+
+const migrationError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Chunks still carrying a vector from another model (or none at all)
+const NEEDS_EMBEDDING = '(dc.embedding IS NULL OR dc.embedding_model IS DISTINCT FROM $1)';
+
+class EmbeddingMigrator {
+  constructor() {
+    this.pollInterval = parseInt(process.env.EMBEDDING_MIGRATION_POLL_INTERVAL) || 5000;
+    this.lockTtl = parseInt(process.env.EMBEDDING_MIGRATION_LOCK_TTL) || 300000;
+    this.workerId = randomUUID();
+    this.running = false;
+    this.loop = null;
+  }
+
+  /**
+   * Queue a re-embedding run. The target must be the active model, since that is what search and
+   * new uploads use; set EMBEDDING_MODEL and restart before migrating.
+   * @param {Object} [run]
+   * @param {string} [run.model] - Defaults to the active model
+   * @param {number} [run.batchSize] - Chunks embedded per batch (progress is saved after each)
+   * @returns {Promise<Object>} - The embedding_migrations row
+   */
+  async createMigration({ model = ollamaService.embeddingModel, batchSize = 50 } = {}) {
+    if (model !== ollamaService.embeddingModel) {
+      throw migrationError(
+        `Target model "${model}" is not the active EMBEDDING_MODEL ("${ollamaService.embeddingModel}")`,
+        400
+      );
+    }
+
+    const active = await query(
+      "SELECT id FROM embedding_migrations WHERE status IN ('pending', 'running', 'paused') LIMIT 1"
+    );
+    if (active.rows.length > 0) {
+      throw migrationError(`Migration ${active.rows[0].id} is still in progress; resume or finish it first`, 409);
+    }
+
+    const pending = await query(`SELECT COUNT(*) FROM document_chunks dc WHERE ${NEEDS_EMBEDDING}`, [model]);
+    const result = await query(
+      `INSERT INTO embedding_migrations (target_model, batch_size, total_chunks)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [model, batchSize, parseInt(pending.rows[0].count)]
+    );
+
+    logger.info(`Queued re-embedding of ${result.rows[0].total_chunks} chunks with ${model}`);
+    return result.rows[0];
+  }
+
+  async listMigrations(limit = 20) {
+    const result = await query('SELECT * FROM embedding_migrations ORDER BY created_at DESC LIMIT $1', [limit]);
+    return result.rows.map(withProgress);
+  }
+
+  async getMigration(migrationId) {
+    const result = await query('SELECT * FROM embedding_migrations WHERE id = $1', [migrationId]);
+    return result.rows[0] ? withProgress(result.rows[0]) : null;
+  }
+
+  /**
+   * Stop a run after its current batch; resume() continues from the saved cursor
+   */
+  async pause(migrationId) {
+    const result = await query(
+      `UPDATE embedding_migrations SET status = 'paused', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('pending', 'running')
+       RETURNING *`,
+      [migrationId]
+    );
+    return result.rows[0] ? withProgress(result.rows[0]) : null;
+  }
+
+  /**
+   * Pick a paused or failed run up again from its cursor
+   */
+  async resume(migrationId) {
+    const result = await query(
+      `UPDATE embedding_migrations SET status = 'pending', error_message = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('paused', 'failed')
+       RETURNING *`,
+      [migrationId]
+    );
+    return result.rows[0] ? withProgress(result.rows[0]) : null;
+  }
+
+  /**
+   * Poll for queued runs; a run left 'running' by a stopped worker is picked up again
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.loop = this.runLoop();
+    logger.info('Embedding migrator started');
+  }
+
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    await this.loop;
+    this.loop = null;
+    logger.info('Embedding migrator stopped');
+  }
+
+  async runLoop() {
+    while (this.running) {
+      let worked = false;
+      try {
+        worked = await this.runNextBatch();
+      } catch (error) {
+        logger.error('Embedding migration batch failed:', error.message);
+      }
+
+      if (!worked) {
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+    }
+  }
+
+  /**
+   * Embed one batch of the oldest active run. Only one worker holds the lock at a time.
+   * @returns {Promise<boolean>} - Whether there was anything to do
+   */
+  async runNextBatch() {
+    const redis = getRedisClient();
+    const locked = await redis.set(LOCK_KEY, this.workerId, { NX: true, PX: this.lockTtl });
+    if (!locked) {
+      return false;
+    }
+
+    try {
+      const result = await query(
+        `SELECT * FROM embedding_migrations
+         WHERE status IN ('pending', 'running')
+         ORDER BY created_at
+         LIMIT 1`
+      );
+      const migration = result.rows[0];
+      if (!migration) {
+        return false;
+      }
+
+      if (migration.target_model !== ollamaService.embeddingModel) {
+        await this.finish(migration.id, 'failed',
+          `EMBEDDING_MODEL changed to "${ollamaService.embeddingModel}" while migrating to "${migration.target_model}"`);
+        return true;
+      }
+
+      if (migration.status === 'pending') {
+        await query(
+          `UPDATE embedding_migrations
+           SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [migration.id]
+        );
+      }
+
+      // Walking the chunks in id order lets the cursor mark everything before it as handled
+      const batch = await query(
+        `SELECT dc.id, dc.document_id, dc.chunk_index, dc.content, dc.version = d.current_version as is_current
+         FROM document_chunks dc
+         JOIN documents d ON d.id = dc.document_id
+         WHERE ${NEEDS_EMBEDDING} AND ($2::uuid IS NULL OR dc.id > $2)
+         ORDER BY dc.id
+         LIMIT $3`,
+        [migration.target_model, migration.cursor_chunk_id, migration.batch_size]
+      );
+
+      if (batch.rows.length === 0) {
+        try {
+          await this.rebuildVectorStore(migration.target_model);
+        } catch (error) {
+          logger.error(`Rebuilding the vector store for migration ${migration.id} failed:`, error.message);
+          await this.finish(migration.id, 'failed', `Rebuilding the vector store failed: ${error.message}`);
+          return true;
+        }
+        await this.finish(migration.id, 'completed');
+        logger.info(`Embedding migration ${migration.id} to ${migration.target_model} completed`);
+        return true;
+      }
+
+      let processed = 0;
+      const vectorStoreUpdates = [];
+      const { embeddings } = await ollamaService.generateEmbeddings(batch.rows.map(chunk => chunk.content));
+      for (const [i, chunk] of batch.rows.entries()) {
+        const embedding = embeddings[i];
+        if (!embedding) continue;
+
+        await query(
+          'UPDATE document_chunks SET embedding = $1, embedding_model = $2, embedding_dimensions = $3 WHERE id = $4',
+          [JSON.stringify(embedding), migration.target_model, embedding.length, chunk.id]
+        );
+        if (chunk.is_current) {
+          vectorStoreUpdates.push({ id: `${chunk.document_id}-${chunk.chunk_index}`, embedding });
+        }
+        processed++;
+      }
+
+      await this.updateVectorStore(vectorStoreUpdates);
+
+      await query(
+        `UPDATE embedding_migrations
+         SET processed_chunks = processed_chunks + $2, failed_chunks = failed_chunks + $3,
+             cursor_chunk_id = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [migration.id, processed, batch.rows.length - processed, batch.rows[batch.rows.length - 1].id]
+      );
+      return true;
+    } finally {
+      if (await redis.get(LOCK_KEY) === this.workerId) {
+        await redis.del(LOCK_KEY);
+      }
+    }
+  }
+
+  // Chat retrieval reads vectors from Chroma, which only holds the current version of each document
+  async updateVectorStore(updates) {
+    if (updates.length === 0) {
+      return;
+    }
+
+    try {
+      const collection = await chroma.getOrCreateCollection('documents');
+      await collection.update({
+        ids: updates.map(update => update.id),
+        embeddings: updates.map(update => update.embedding)
+      });
+    } catch (error) {
+      // A model with a different dimension does not fit the old collection until rebuildVectorStore replaces it
+      logger.warn('Could not update re-embedded vectors in the vector store:', error.message);
+    }
+  }
+
+  /**
+   * Replace the vector store with the current version of every chunk, as saveChunks writes them. Chroma fixes a
+   * collection's dimension with its first vector, so a model with another dimension needs a new collection.
+   * @param {string} model - Only chunks embedded with this model are added
+   */
+  async rebuildVectorStore(model) {
+    try {
+      await chroma.deleteCollection({ name: 'documents' });
+    } catch (error) {
+      if (!(error instanceof ChromaNotFoundError)) throw error;
+    }
+    const collection = await chroma.getOrCreateCollection('documents');
+
+    let cursor = null;
+    let added = 0;
+    for (;;) {
+      const result = await query(
+        `SELECT dc.id, dc.document_id, dc.version, dc.chunk_index, dc.content, dc.metadata, dc.embedding
+         FROM document_chunks dc
+         JOIN documents d ON d.id = dc.document_id AND d.current_version = dc.version
+         WHERE dc.embedding IS NOT NULL AND dc.embedding_model = $1 AND ($2::uuid IS NULL OR dc.id > $2)
+         ORDER BY dc.id
+         LIMIT 500`,
+        [model, cursor]
+      );
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      await collection.add({
+        ids: result.rows.map(chunk => `${chunk.document_id}-${chunk.chunk_index}`),
+        embeddings: result.rows.map(chunk => chunk.embedding),
+        documents: result.rows.map(chunk => chunk.content),
+        metadatas: result.rows.map(chunk => ({
+          documentId: chunk.document_id, chunkIndex: chunk.chunk_index, version: chunk.version, ...chunk.metadata
+        }))
+      });
+      added += result.rows.length;
+      cursor = result.rows[result.rows.length - 1].id;
+    }
+
+    logger.info(`Rebuilt the vector store with ${added} chunks embedded by ${model}`);
+  }
+
+  async finish(migrationId, status, errorMessage = null) {
+    await query(
+      `UPDATE embedding_migrations
+       SET status = $2, error_message = $3, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [migrationId, status, errorMessage]
+    );
+  }
+}
+
+function withProgress(migration) {
+  const handled = migration.processed_chunks + migration.failed_chunks;
+  return {
+    ...migration,
+    progress: migration.total_chunks > 0 ? Math.min(Math.round((handled / migration.total_chunks) * 1000) / 10, 100) : 100
+  };
+}
+
+const embeddingMigrator = new EmbeddingMigrator();
+export default embeddingMigrator;
@@ -0,0 +1,235 @@
+// services/entityExtractor.js - People, organizations, locations, dates and amounts mentioned in chunks
+import ollamaService from '../config/ollama.js';
+import { query } from '../config/database.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+export const ENTITY_TYPES = ['person', 'organization', 'location', 'date', 'money'];
+
+// rules: patterns only; model: patterns plus the Ollama model (the only source of locations); off: skip the stage
+const MODE = process.env.ENTITY_EXTRACTION_MODE || 'model';
+const MODEL = process.env.ENTITY_EXTRACTION_MODEL || ollamaService.chatModel;
+const CONCURRENCY = parseInt(process.env.ENTITY_EXTRACTION_CONCURRENCY) || 2;
+const MAX_MODEL_INPUT = 4000;
+// After this many failed model calls in one document the rest of it is done with patterns only
+const MAX_MODEL_FAILURES = 3;
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const AMOUNT = '\\d{1,3}(?:[,.\\s]\\d{3})*(?:[.,]\\d+)?(?:\\s?(?:million|billion|thousand|mn|bn|[mk])\\b)?';
+const CURRENCY_CODE = '(?:USD|EUR|GBP|CHF|JPY|CAD|AUD|INR|CNY)';
+
+const RULES = [
+  { type: 'date', pattern: /\b\d{4}-\d{2}-\d{2}\b/g },
+  { type: 'date', pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}\\.?,?\\s+\\d{4}\\b`, 'g') },
+  { type: 'date', pattern: new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'g') },
+  { type: 'date', pattern: /\b\d{1,2}[/.]\d{1,2}[/.]\d{4}\b/g },
+  { type: 'money', pattern: new RegExp(`[$€£¥]\\s?${AMOUNT}`, 'g') },
+  { type: 'money', pattern: new RegExp(`\\b${CURRENCY_CODE}\\s?${AMOUNT}`, 'g') },
+  { type: 'money', pattern: new RegExp(`\\b${AMOUNT}\\s?(?:${CURRENCY_CODE}|dollars|euros|pounds)\\b`, 'g') },
+  {
+    type: 'organization',
+    pattern: /\b(?:[A-Z][\w&'-]*\s+){0,4}[A-Z][\w&'-]*,?\s+(?:Inc|Corp|Corporation|Ltd|Limited|LLC|LLP|GmbH|AG|SA|PLC|Co|Company|Group|Holdings)\b\.?/g
+  },
+  // Only names with a title; untitled names are left to the model
+  { type: 'person', pattern: /\b(?:Mr|Mrs|Ms|Dr|Prof)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2}/g, strip: /^(?:Mr|Mrs|Ms|Dr|Prof)\.?\s+/ }
+];
+
+export const entityExtractor = {
+  get enabled() {
+    return MODE !== 'off';
+  },
+
+  /**
+   * Find the entities in every chunk of a document version and store them, replacing earlier results
+   * @param {string} documentId
+   * @param {number} version
+   * @param {Array<{chunkIndex: number, content: string}>} chunks
+   * @param {function(number, number): void} [onProgress] - Called with (chunks done, total)
+   * @returns {Promise<number>} - Number of chunk mentions stored
+   */
+  async processChunks(documentId, version, chunks, onProgress) {
+    let modelFailures = 0;
+    let done = 0;
+
+    const extracted = await mapWithConcurrency(chunks, CONCURRENCY, async (chunk) => {
+      const useModel = MODE === 'model' && modelFailures < MAX_MODEL_FAILURES;
+      let modelEntities = [];
+      if (useModel) {
+        try {
+          modelEntities = await this.extractWithModel(chunk.content);
+        } catch (error) {
+          modelFailures++;
+          logger.warn(`Entity extraction model failed for chunk ${chunk.chunkIndex} of ${documentId}:`, error.message);
+        }
+      }
+
+      const entities = mergeMentions(chunk.content, this.extractWithRules(chunk.content), modelEntities);
+      onProgress?.(++done, chunks.length);
+      return { chunkIndex: chunk.chunkIndex, entities };
+    });
+
+    if (modelFailures >= MAX_MODEL_FAILURES) {
+      logger.warn(`Entity extraction for ${documentId} fell back to patterns after ${modelFailures} model failures`);
+    }
+
+    return this.saveMentions(documentId, version, extracted);
+  },
+
+  /**
+   * @param {string} text
+   * @returns {Array<{type: string, text: string}>}
+   */
+  extractWithRules(text) {
+    const found = [];
+    for (const rule of RULES) {
+      for (const match of text.matchAll(rule.pattern)) {
+        const surface = (rule.strip ? match[0].replace(rule.strip, '') : match[0]).trim().replace(/[,;:]$/, '');
+        found.push({ type: rule.type, text: surface });
+      }
+    }
+    return found;
+  },
+
+  /**
+   * Ask the model for entities; anything it names that does not occur in the text is dropped
+   * @param {string} text
+   * @returns {Promise<Array<{type: string, text: string}>>}
+   */
+  async extractWithModel(text) {
+    const input = text.slice(0, MAX_MODEL_INPUT);
+    const prompt = `Extract the named entities from the text below.
+Return JSON of the form {"entities": [{"text": "...", "type": "..."}]} where type is one of ${ENTITY_TYPES.join(', ')}.
+Copy each entity exactly as it is written in the text. Return {"entities": []} if there are none.
+
+Text:
+"""
+${input}
+"""`;
+
+    const response = await ollamaService.generate(prompt, { model: MODEL, format: 'json' });
+    let parsed;
+    try {
+      parsed = JSON.parse(response);
+    } catch {
+      throw new Error('Model did not return JSON');
+    }
+
+    const haystack = input.toLowerCase();
+    return (Array.isArray(parsed?.entities) ? parsed.entities : [])
+      .filter(entity => typeof entity?.text === 'string' && ENTITY_TYPES.includes(String(entity.type).toLowerCase()))
+      .map(entity => ({ type: entity.type.toLowerCase(), text: entity.text.trim() }))
+      .filter(entity => entity.text.length >= 2 && entity.text.length <= 200 && haystack.includes(entity.text.toLowerCase()));
+  },
+
+  // Chunks are rewritten on every run, so their old mentions are already gone (ON DELETE CASCADE)
+  async saveMentions(documentId, version, extracted) {
+    const chunkRows = await query(
+      'SELECT id, chunk_index FROM document_chunks WHERE document_id = $1 AND version = $2',
+      [documentId, version]
+    );
+    const chunkIds = new Map(chunkRows.rows.map(row => [row.chunk_index, row.id]));
+
+    const entities = new Map();
+    for (const { entities: found } of extracted) {
+      for (const entity of found) {
+        const key = `${entity.type}:${entity.normalized}`;
+        if (!entities.has(key)) entities.set(key, entity);
+      }
+    }
+    if (entities.size === 0) {
+      return 0;
+    }
+
+    // The no-op update makes RETURNING include entities that already existed
+    const upserted = await query(
+      `INSERT INTO entities (type, name, normalized_name)
+       SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+       ON CONFLICT (type, normalized_name) DO UPDATE SET type = EXCLUDED.type
+       RETURNING id, type, normalized_name`,
+      [
+        [...entities.values()].map(entity => entity.type),
+        [...entities.values()].map(entity => entity.name),
+        [...entities.values()].map(entity => entity.normalized)
+      ]
+    );
+    const entityIds = new Map(upserted.rows.map(row => [`${row.type}:${row.normalized_name}`, row.id]));
+
+    const mentions = extracted.flatMap(({ chunkIndex, entities: found }) =>
+      found
+        .filter(() => chunkIds.has(chunkIndex))
+        .map(entity => ({
+          chunkId: chunkIds.get(chunkIndex),
+          entityId: entityIds.get(`${entity.type}:${entity.normalized}`),
+          count: entity.count,
+          source: entity.source
+        }))
+    );
+
+    await query('DELETE FROM chunk_entities WHERE chunk_id = ANY($1::uuid[])', [[...chunkIds.values()]]);
+    await query(
+      `INSERT INTO chunk_entities (chunk_id, entity_id, mention_count, source)
+       SELECT * FROM unnest($1::uuid[], $2::uuid[], $3::int[], $4::text[])
+       ON CONFLICT (chunk_id, entity_id) DO NOTHING`,
+      [
+        mentions.map(mention => mention.chunkId),
+        mentions.map(mention => mention.entityId),
+        mentions.map(mention => mention.count),
+        mentions.map(mention => mention.source)
+      ]
+    );
+
+    logger.info(`Stored ${mentions.length} entity mentions (${entities.size} entities) for ${documentId}`);
+    return mentions.length;
+  }
+};
+
+// One entry per entity in a chunk, with how often it occurs and whether only the model found it
+function mergeMentions(text, ruleEntities, modelEntities) {
+  const merged = new Map();
+  const add = (entity, source) => {
+    const normalized = normalizeEntity(entity.type, entity.text);
+    if (!normalized) return;
+
+    const key = `${entity.type}:${normalized}`;
+    const existing = merged.get(key);
+    if (existing) {
+      if (source === 'rules') existing.source = 'rules';
+      return;
+    }
+    merged.set(key, { type: entity.type, name: entity.text, normalized, source, count: countOccurrences(text, entity.text) });
+  };
+
+  ruleEntities.forEach(entity => add(entity, 'rules'));
+  modelEntities.forEach(entity => add(entity, 'model'));
+  return [...merged.values()];
+}
+
+// Dates that parse are keyed by day so "12 March 2024" and "2024-03-12" are one entity
+function normalizeEntity(type, text) {
+  const cleaned = text.replace(/\s+/g, ' ').replace(/^the\s+/i, '').replace(/[.,;:]+$/, '').trim();
+  if (cleaned.length < 2) return null;
+
+  if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(cleaned)) {
+    return cleaned;
+  }
+  if (type === 'date') {
+    // Non-ISO strings parse as local time, so read them back the same way
+    const date = new Date(cleaned.replace(/(\d)(st|nd|rd|th)\b/, '$1'));
+    if (!Number.isNaN(date.getTime()) && !/^\d{1,2}[/.]/.test(cleaned)) {
+      return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0'))
+        .join('-');
+    }
+  }
+  return cleaned.toLowerCase();
+}
+
+function countOccurrences(text, surface) {
+  const haystack = text.toLowerCase();
+  const needle = surface.toLowerCase();
+  let count = 0;
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+    count++;
+  }
+  return Math.max(count, 1);
+}
@@ -1,296 +1,401 @@
-// src/services/ollamaService.js - Integrated with your project structure
+// services/jobProcessor.js - Background worker for the document processing queue
+import path from 'path';
+import { query } from '../config/database.js';
+import {
+  addToQueue,
+  getFromQueue,
+  addToDelayedQueue,
+  promoteDelayedJobs,
+  getRedisClient
+} from '../config/redis.js';
+import documentProcessor from './documentProcessor.js';
+import { summaryService } from './summaryService.js';
+import embeddingMigrator from './embeddingMigrator.js';
+import watchFolderService from './watchFolderService.js';
+import resumableUploadService from './resumableUploadService.js';
+import { progressEvents } from './progressEvents.js';
 import logger from '../utils/logger.js';
 
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'llama3.2';
-const REQUEST_TIMEOUT = parseInt(process.env.OLLAMA_TIMEOUT) || 60000;
+export const DOCUMENT_PROCESSING_QUEUE = 'document_processing';
+export const DEAD_LETTER_QUEUE = `${DOCUMENT_PROCESSING_QUEUE}:dead`;
+// Jobs on the processing queue that regenerate a summary instead of processing a file
+export const SUMMARY_JOB = 'summary';
+
+class JobProcessor {
+  constructor() {
+    this.concurrency = parseInt(process.env.MAX_CONCURRENT_JOBS) || 3;
+    this.idleDelay = parseInt(process.env.WORKER_IDLE_DELAY) || 1000;
+    this.maxRetries = parseInt(process.env.JOB_MAX_RETRIES ?? 3);
+    this.retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_DELAY) || 5000;
+    this.retryMaxDelay = parseInt(process.env.JOB_RETRY_MAX_DELAY) || 300000;
+    this.running = false;
+    this.loops = [];
+    this.activeJobs = 0;
+    this.promoteTimer = null;
+    this.lastPromoteError = null;
+  }
 
-export const setupJobProcessors = {
   /**
-   * Check if Ollama is available
+   * Record a pending processing job and push it onto the Redis queue
+   * @param {Object} job - documentId, fileKey (storage key of the file) and mimeType of the upload
+   * @param {number} [job.maxRetries] - Overrides JOB_MAX_RETRIES for this job
+   * @param {Object} [job.options] - Processing options handed to DocumentProcessor (ocr, ocrLanguage, chunking, version)
+   * @returns {Promise<string>} - The processing_jobs row id
    */
-  async isAvailable() {
-    try {
-      logger.debug(`Checking Ollama availability at ${OLLAMA_BASE_URL}`);
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/version`, {
-        method: 'GET',
-        signal: controller.signal,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      
-      const isAvailable = response.ok;
-      logger.info(`Ollama availability: ${isAvailable ? '✅ Available' : '❌ Unavailable'}`);
-      
-      if (isAvailable) {
-        const versionData = await response.json();
-        logger.debug('Ollama version:', versionData);
-      }
-      
-      return isAvailable;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        logger.error('Ollama availability check timed out');
-      } else {
-        logger.error('Ollama availability check failed:', error.message);
-      }
-      return false;
-    }
-  },
+  async enqueueDocument({ documentId, fileKey, mimeType, maxRetries, options }) {
+    const result = await query(
+      `INSERT INTO processing_jobs (document_id, job_type, status)
+       VALUES ($1, $2, 'pending')
+       RETURNING id`,
+      [documentId, DOCUMENT_PROCESSING_QUEUE]
+    );
+    const jobId = result.rows[0].id;
+
+    await addToQueue(DOCUMENT_PROCESSING_QUEUE, {
+      jobId,
+      documentId,
+      fileKey,
+      mimeType,
+      ...(maxRetries !== undefined && { maxRetries }),
+      ...(options && { options }),
+      timestamp: new Date().toISOString()
+    });
+    await progressEvents.publish(documentId, 'queued', { jobId });
+
+    return jobId;
+  }
 
   /**
-   * Generate embeddings for a text using Ollama's embedding API
-   * @param {string} text - The text to generate embeddings for
-   * @param {string} model - Model to use for embeddings
-   * @returns {Promise<number[]>} - Embedding vector
+   * Queue a summary run for the worker; the document's summary_status must already be 'generating'
+   * @param {string} documentId - A document with its own chunks (not a linked duplicate)
+   * @returns {Promise<string>} - The processing_jobs row id
    */
-  async generateEmbedding(text, model = DEFAULT_MODEL) {
-    try {
-      logger.debug(`Generating embedding for text length: ${text.length} with model: ${model}`);
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000);
-      
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/embeddings`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          model: model, 
-          prompt: text.substring(0, 2000) // Limit text length to prevent timeout
-        }),
-        signal: controller.signal
-      });
+  async enqueueSummary(documentId) {
+    const result = await query(
+      `INSERT INTO processing_jobs (document_id, job_type, status)
+       VALUES ($1, $2, 'pending')
+       RETURNING id`,
+      [documentId, SUMMARY_JOB]
+    );
+    const jobId = result.rows[0].id;
 
-      clearTimeout(timeoutId);
+    await addToQueue(DOCUMENT_PROCESSING_QUEUE, {
+      jobId,
+      documentId,
+      type: SUMMARY_JOB,
+      timestamp: new Date().toISOString()
+    });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama embeddings API error (${response.status}): ${errorText}`);
-      }
+    return jobId;
+  }
 
-      const data = await response.json();
-      
-      if (!data.embedding || !Array.isArray(data.embedding)) {
-        throw new Error('Invalid embedding response from Ollama');
-      }
-      
-      logger.debug(`Embedding generated successfully, dimensions: ${data.embedding.length}`);
-      return data.embedding;
-    } catch (error) {
-      logger.error('Error generating embedding:', error.message);
-      throw new Error(`Failed to generate embedding: ${error.message}`);
+  /**
+   * Start polling the queue with `concurrency` parallel consumers
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.promoteTimer = setInterval(() => {
+      this.promoteDelayed();
+    }, this.idleDelay);
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.loops.push(this.runLoop(i + 1));
     }
-  },
+
+    logger.info(`Job processor started with ${this.concurrency} consumer(s) on ${DOCUMENT_PROCESSING_QUEUE}`);
+  }
 
   /**
-   * Generate AI response with optional document context
-   * @param {string} prompt - User question or prompt
-   * @param {string} context - Optional context text from documents
-   * @param {Array} chatHistory - Previous messages for context
-   * @param {string} model - Model to use
-   * @returns {Promise<{ message: { content: string } }>}
+   * Stop taking new jobs and wait for the ones in flight to finish
    */
-  async generateWithContext(prompt, context = '', chatHistory = [], model = DEFAULT_MODEL) {
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearInterval(this.promoteTimer);
+    this.promoteTimer = null;
+    logger.info(`Stopping job processor, waiting for ${this.activeJobs} active job(s)...`);
+    await Promise.all(this.loops);
+    this.loops = [];
+    logger.info('Job processor stopped');
+  }
+
+  // Runs every idleDelay, so a Redis outage is logged once rather than on every attempt
+  async promoteDelayed() {
     try {
-      logger.info(`Generating response with model: ${model}`);
-      
-      // Build the full prompt
-      const fullPrompt = this.buildPrompt(prompt, context, chatHistory);
-      logger.debug(`Full prompt length: ${fullPrompt.length} characters`);
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-      const requestBody = { 
-        model, 
-        prompt: fullPrompt, 
-        stream: false,
-        options: {
-          temperature: parseFloat(process.env.OLLAMA_TEMPERATURE) || 0.7,
-          top_p: parseFloat(process.env.OLLAMA_TOP_P) || 0.9,
-          num_predict: parseInt(process.env.OLLAMA_MAX_TOKENS) || 2000,
-          stop: ['Human:', 'User:', '\n\nHuman:', '\n\nUser:']
-        }
-      };
-
-      logger.debug('Ollama request options:', requestBody.options);
-
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
+      await promoteDelayedJobs(DOCUMENT_PROCESSING_QUEUE);
+      if (this.lastPromoteError) {
+        logger.info('Promoting delayed jobs recovered');
+        this.lastPromoteError = null;
+      }
+    } catch (error) {
+      if (error.message !== this.lastPromoteError) {
+        logger.error('Failed to promote delayed jobs:', error.message);
+        this.lastPromoteError = error.message;
+      }
+    }
+  }
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        logger.error(`Ollama generate API error (${response.status}): ${errorText}`);
-        
-        // Handle specific error cases
-        if (response.status === 404) {
-          throw new Error(`Model '${model}' not found. Available models can be checked with 'ollama list'`);
-        } else if (response.status === 400) {
-          throw new Error('Invalid request format or parameters');
-        } else {
-          throw new Error(`Ollama API error (${response.status}): ${errorText}`);
-        }
+  async runLoop(consumerId) {
+    while (this.running) {
+      let job;
+      try {
+        job = await getFromQueue(DOCUMENT_PROCESSING_QUEUE);
+      } catch (error) {
+        logger.error(`Consumer ${consumerId} could not read from queue:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, this.idleDelay));
+        continue;
       }
 
-      const data = await response.json();
-      
-      if (!data.response || typeof data.response !== 'string') {
-        logger.warn('Empty or invalid response from Ollama:', data);
-        throw new Error('Invalid response format from AI service');
+      if (!job) {
+        continue;
       }
 
-      const responseText = data.response.trim();
-      logger.info(`AI response generated successfully (${responseText.length} characters)`);
-      
-      return { 
-        message: { 
-          content: responseText || 'I apologize, but I couldn\'t generate a response. Please try again.' 
-        } 
-      };
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        logger.error(`AI response generation timed out after ${REQUEST_TIMEOUT}ms`);
-        throw new Error('Request timed out. Please try again with a shorter message.');
+      this.activeJobs++;
+      try {
+        await this.handleJob(job);
+      } catch (error) {
+        logger.error(`Consumer ${consumerId} failed to handle job:`, error);
+      } finally {
+        this.activeJobs--;
       }
-      
-      logger.error('Error generating AI response:', error.message);
-      throw error; // Re-throw to preserve original error details
     }
-  },
+  }
 
-  /**
-   * Build prompt with context and chat history
-   * @param {string} userMessage - The user's message
-   * @param {string} documentContext - Document context if available
-   * @param {Array} chatHistory - Previous conversation messages
-   * @returns {string} - Formatted prompt
-   */
-  buildPrompt(userMessage, documentContext, chatHistory) {
-    let prompt = 'You are a helpful AI assistant specialized in document analysis and general knowledge. ';
-    
-    // Add document context if available
-    if (documentContext && documentContext.trim()) {
-      prompt += `Use the following document context to help answer questions, but also use your general knowledge when appropriate.\n\n`;
-      prompt += `DOCUMENT CONTEXT:\n${documentContext.trim()}\n\n`;
-      prompt += `Instructions:\n`;
-      prompt += `- Answer based on the context above when relevant\n`;
-      prompt += `- If the context doesn't contain relevant information, use your general knowledge\n`;
-      prompt += `- Always be helpful, accurate, and informative\n`;
-      prompt += `- Cite the context when you use information from it\n\n`;
-    }
-    
-    // Add recent chat history for continuity (last 5 messages to avoid token limits)
-    if (chatHistory && chatHistory.length > 0) {
-      prompt += 'Recent conversation for context:\n';
-      const recentHistory = chatHistory.slice(-5);
-      recentHistory.forEach((msg, index) => {
-        if (msg.role === 'user') {
-          prompt += `Human: ${msg.content}\n`;
-        } else if (msg.role === 'assistant') {
-          prompt += `Assistant: ${msg.content}\n`;
-        }
-      });
-      prompt += '\n';
+  async handleJob(job) {
+    if (job.type === SUMMARY_JOB) {
+      return this.handleSummaryJob(job);
     }
-    
-    // Add the current user message
-    prompt += `Human: ${userMessage}\n`;
-    prompt += `Assistant: `;
-    
-    return prompt;
-  },
 
-  /**
-   * Get available models from Ollama
-   * @returns {Promise<Array>} - List of available models
-   */
-  async getAvailableModels() {
+    const { documentId, mimeType, options = {} } = job;
+    // Jobs queued before files moved to pluggable storage carry a path into the upload directory
+    const fileKey = job.fileKey ?? path.basename(job.filePath);
+    const jobId = job.jobId || await this.createJobRecord(documentId);
+    const retryCount = job.retryCount || 0;
+
+    logger.info(`Starting job ${jobId} for document ${documentId}`);
+
+    await query(
+      `UPDATE processing_jobs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP, completed_at = NULL,
+           error_message = NULL, retry_count = $2
+       WHERE id = $1`,
+      [jobId, retryCount]
+    );
+
     try {
-      logger.info('Fetching available models from Ollama...');
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-      
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/tags`, {
-        signal: controller.signal,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch models (${response.status}): ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const models = data.models || [];
-      
-      logger.info(`Found ${models.length} available models:`, models.map(m => m.name));
-      return models;
+      const result = await documentProcessor.processDocument(documentId, fileKey, mimeType, options);
+
+      await query(
+        `UPDATE processing_jobs
+         SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [jobId]
+      );
+
+      logger.info(`Job ${jobId} completed with ${result.chunkCount} chunks`);
+      return result;
     } catch (error) {
-      if (error.name === 'AbortError') {
-        logger.error('Fetching models timed out');
+      const maxRetries = job.maxRetries ?? this.maxRetries;
+
+      if (retryCount < maxRetries) {
+        await this.scheduleRetry({ ...job, jobId }, error);
       } else {
-        logger.error('Error fetching available models:', error.message);
+        await this.deadLetter({ ...job, jobId }, error);
       }
-      return [];
+      return null;
     }
-  },
+  }
+
+  // Not retried: the failure is recorded on the document's summary and regenerating is one request away
+  async handleSummaryJob({ jobId, documentId }) {
+    await query(
+      `UPDATE processing_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [jobId]
+    );
+
+    try {
+      await summaryService.generateForDocument(documentId);
+      await query(
+        `UPDATE processing_jobs SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [jobId]
+      );
+      logger.info(`Summary job ${jobId} completed for document ${documentId}`);
+    } catch (error) {
+      await query(
+        `UPDATE processing_jobs SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error_message = $2 WHERE id = $1`,
+        [jobId, error.message]
+      );
+      logger.error(`Summary job ${jobId} failed for document ${documentId}:`, error.message);
+    }
+  }
 
   /**
-   * Pull a model if it doesn't exist
-   * @param {string} modelName - Name of the model to pull
-   * @returns {Promise<boolean>} - Success status
+   * Put a failed job back on the delayed queue with exponential backoff
    */
-  async pullModel(modelName) {
-    try {
-      logger.info(`Attempting to pull model: ${modelName}`);
-      
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/pull`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: modelName })
-      });
+  async scheduleRetry(job, error) {
+    const retryCount = (job.retryCount || 0) + 1;
+    const delay = Math.min(this.retryBaseDelay * Math.pow(2, retryCount - 1), this.retryMaxDelay);
 
-      if (!response.ok) {
-        throw new Error(`Failed to pull model (${response.status})`);
-      }
+    await query(
+      `UPDATE processing_jobs
+       SET status = 'pending', started_at = NULL, error_message = $2, retry_count = $3
+       WHERE id = $1`,
+      [job.jobId, error.message, retryCount]
+    );
+    await query("UPDATE documents SET status = 'pending' WHERE id = $1", [job.documentId]);
 
-      logger.info(`Model ${modelName} pulled successfully`);
-      return true;
-    } catch (error) {
-      logger.error(`Error pulling model ${modelName}:`, error.message);
-      return false;
+    await addToDelayedQueue(DOCUMENT_PROCESSING_QUEUE, { ...job, retryCount }, delay);
+    await progressEvents.publish(job.documentId, 'retrying', { retryCount, delay, error: error.message });
+
+    logger.warn(`Job ${job.jobId} failed (${error.message}), retry ${retryCount} in ${delay}ms`);
+  }
+
+  /**
+   * Park a job that ran out of retries on the dead-letter list and mark its document failed
+   */
+  async deadLetter(job, error) {
+    await query(
+      `UPDATE processing_jobs
+       SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error_message = $2
+       WHERE id = $1`,
+      [job.jobId, error.message]
+    );
+    await documentProcessor.markFailed(job.documentId, job.options?.version, error.message);
+
+    await addToQueue(DEAD_LETTER_QUEUE, {
+      ...job,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+
+    logger.error(`Job ${job.jobId} failed for document ${job.documentId} after ${job.retryCount || 0} retries:`, error.message);
+  }
+
+  /**
+   * List dead-lettered jobs, newest first
+   */
+  async listDeadJobs(offset = 0, limit = 50) {
+    const redis = getRedisClient();
+    const [total, items] = await Promise.all([
+      redis.lLen(DEAD_LETTER_QUEUE),
+      redis.lRange(DEAD_LETTER_QUEUE, offset, offset + limit - 1)
+    ]);
+
+    return { total, jobs: items.map(item => JSON.parse(item)) };
+  }
+
+  /**
+   * Move dead-lettered jobs back onto the main queue with a fresh retry budget
+   * @param {string[]} [jobIds] - Jobs to requeue; all of them when omitted
+   * @returns {Promise<string[]>} - Ids of the requeued jobs
+   */
+  async requeueDeadJobs(jobIds) {
+    const entries = await this.takeDeadJobs(jobIds);
+    const requeued = [];
+
+    for (const job of entries) {
+      const { error, failedAt, ...rest } = job;
+      try {
+        await query("UPDATE documents SET status = 'pending' WHERE id = $1", [job.documentId]);
+      } catch (updateError) {
+        // Its content was uploaded again and processed as another document, which is the one original now
+        if (updateError.code !== '23505') throw updateError;
+        logger.warn(`Kept job ${job.jobId} dead-lettered: another document already has the content of ${job.documentId}`);
+        await addToQueue(DEAD_LETTER_QUEUE, job);
+        continue;
+      }
+      await query(
+        `UPDATE processing_jobs
+         SET status = 'pending', started_at = NULL, completed_at = NULL,
+             error_message = NULL, retry_count = 0
+         WHERE id = $1`,
+        [job.jobId]
+      );
+      await addToQueue(DOCUMENT_PROCESSING_QUEUE, {
+        ...rest,
+        retryCount: 0,
+        timestamp: new Date().toISOString()
+      });
+      await progressEvents.publish(job.documentId, 'queued', { jobId: job.jobId });
+      requeued.push(job.jobId);
     }
-  },
+
+    logger.info(`Requeued ${requeued.length} dead-lettered job(s)`);
+    return requeued;
+  }
 
   /**
-   * Check if a specific model is available
-   * @param {string} modelName - Name of the model to check
-   * @returns {Promise<boolean>} - Whether the model is available
+   * Drop dead-lettered jobs for good
+   * @param {string[]} [jobIds] - Jobs to purge; all of them when omitted
+   * @returns {Promise<string[]>} - Ids of the purged jobs
    */
-  async isModelAvailable(modelName) {
-    try {
-      const models = await this.getAvailableModels();
-      return models.some(model => model.name === modelName);
-    } catch (error) {
-      logger.error(`Error checking model availability for ${modelName}:`, error.message);
-      return false;
+  async purgeDeadJobs(jobIds) {
+    const entries = await this.takeDeadJobs(jobIds);
+    logger.info(`Purged ${entries.length} dead-lettered job(s)`);
+    return entries.map(job => job.jobId);
+  }
+
+  async takeDeadJobs(jobIds) {
+    const redis = getRedisClient();
+    const items = await redis.lRange(DEAD_LETTER_QUEUE, 0, -1);
+    const taken = [];
+
+    for (const item of items) {
+      const job = JSON.parse(item);
+      if (jobIds && !jobIds.includes(job.jobId)) {
+        continue;
+      }
+      // Another admin request may have taken it already
+      if (await redis.lRem(DEAD_LETTER_QUEUE, 1, item)) {
+        taken.push(job);
+      }
     }
+    return taken;
+  }
+
+  // Jobs queued before processing_jobs rows existed carry no jobId
+  async createJobRecord(documentId) {
+    const result = await query(
+      `INSERT INTO processing_jobs (document_id, job_type, status)
+       VALUES ($1, $2, 'pending')
+       RETURNING id`,
+      [documentId, DOCUMENT_PROCESSING_QUEUE]
+    );
+    return result.rows[0].id;
   }
-};
\ No newline at end of file
+}
+
+const jobProcessor = new JobProcessor();
+
+/**
+ * Start the in-process worker unless the API runs with a separate worker
+ * (`RUN_INLINE_WORKER=false`, see src/worker.js)
+ */
+export async function setupJobProcessors() {
+  if (process.env.RUN_INLINE_WORKER === 'false') {
+    logger.info('Inline job processor disabled, expecting a separate worker process');
+    return false;
+  }
+
+  jobProcessor.start();
+  embeddingMigrator.start();
+  watchFolderService.start();
+  resumableUploadService.start();
+  return true;
+}
+
+export async function stopJobProcessors() {
+  await jobProcessor.stop();
+  await embeddingMigrator.stop();
+  await watchFolderService.stop();
+  resumableUploadService.stop();
+}
+
+export default jobProcessor;
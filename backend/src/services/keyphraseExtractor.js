@@ -0,0 +1,235 @@
+// services/keyphraseExtractor.js - Keyphrases of a document by TF-IDF over document_chunks, optionally refined by the model
+import ollamaService from '../config/ollama.js';
+import { query } from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// tfidf: keyphrases as scored; model: the model picks and tidies tags from the top candidates; off: skip the stage
+const MODE = process.env.AUTO_TAGGING_MODE || 'tfidf';
+const MODEL = process.env.AUTO_TAGGING_MODEL || ollamaService.chatModel;
+const MAX_TAGS = parseInt(process.env.AUTO_TAGGING_MAX_TAGS) || 8;
+// Candidates ranked by frequency that get a document frequency lookup; the model sees the best of them
+const MAX_CANDIDATES = 50;
+const MODEL_CANDIDATES = 25;
+const MAX_PHRASE_WORDS = 3;
+const MAX_TAG_LENGTH = 60;
+
+export const keyphraseExtractor = {
+  get enabled() {
+    return MODE !== 'off';
+  },
+
+  /**
+   * Keyphrases of the current version of a document
+   * @param {string} documentId - A document with its own chunks (not a linked duplicate)
+   * @returns {Promise<Array<{name: string, score: number|null}>>} - Best first, at most AUTO_TAGGING_MAX_TAGS
+   */
+  async extract(documentId) {
+    const result = await query(
+      `SELECT dc.content, dc.ts_config, d.original_filename, d.abstract
+       FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+       WHERE d.id = $1
+       ORDER BY dc.chunk_index`,
+      [documentId]
+    );
+    if (result.rows.length === 0) {
+      return [];
+    }
+
+    const { ts_config: config, original_filename: title, abstract } = result.rows[0];
+    const text = result.rows.map(row => row.content).join('\n\n');
+    const phrases = await this.rankPhrases(text, config);
+    const keyphrases = selectDistinct(phrases, MAX_TAGS);
+
+    if (MODE !== 'model' || phrases.length === 0) {
+      return keyphrases;
+    }
+
+    try {
+      const refined = await this.refineWithModel(phrases.slice(0, MODEL_CANDIDATES), text, { title, abstract });
+      if (refined.length > 0) {
+        return refined;
+      }
+    } catch (error) {
+      logger.warn(`Keyphrase refinement failed for ${documentId}, keeping TF-IDF keyphrases:`, error.message);
+    }
+    return keyphrases;
+  },
+
+  /**
+   * Score the 1-3 word phrases of a text by frequency times inverse document frequency over the corpus
+   * @param {string} text
+   * @param {string} config - Text-search configuration of the document; its stop words never start or end a phrase
+   * @returns {Promise<Array<{name: string, key: string, score: number}>>} - Highest score first
+   */
+  async rankPhrases(text, config) {
+    const segments = splitSegments(text);
+    const vocabulary = [...new Set(segments.flat().map(word => word.toLowerCase()))];
+    if (vocabulary.length === 0) {
+      return [];
+    }
+
+    // Postgres knows the stop words of every configuration; they come back from to_tsvector as nothing
+    const stopResult = await query(
+      `SELECT w FROM unnest($1::text[]) AS v(w) WHERE to_tsvector($2::regconfig, w) = ''::tsvector`,
+      [vocabulary, config]
+    );
+    const stopWords = new Set(stopResult.rows.map(row => row.w));
+
+    const counts = [...countPhrases(segments, stopWords).values()]
+      .sort((a, b) => b.count * lengthBoost(b.words) - a.count * lengthBoost(a.words))
+      .slice(0, MAX_CANDIDATES * 4);
+    if (counts.length === 0) {
+      return [];
+    }
+
+    // "Invoice" and "invoices" are one keyphrase: phrases with the same lexemes are counted together
+    const stemResult = await query(
+      `SELECT p.phrase, array_to_string(tsvector_to_array(to_tsvector($2::regconfig, p.phrase)), ' ') as stems
+       FROM unnest($1::text[]) AS p(phrase)`,
+      [counts.map(phrase => phrase.key), config]
+    );
+    const stems = new Map(stemResult.rows.map(row => [row.phrase, row.stems || row.phrase]));
+    const candidates = mergeByStem(counts, stems)
+      .map(phrase => ({ ...phrase, weight: phrase.count * lengthBoost(phrase.words) }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, MAX_CANDIDATES);
+
+    // Document frequency among current versions of documents in the same language
+    const frequency = await query(
+      `SELECT p.phrase,
+              (SELECT COUNT(DISTINCT dc.document_id)
+               FROM document_chunks dc
+               JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+               WHERE dc.ts_config = $2::regconfig::text AND dc.content_tsv @@ phraseto_tsquery($2::regconfig, p.phrase))::int as df
+       FROM unnest($1::text[]) AS p(phrase)`,
+      [candidates.map(candidate => candidate.key), config]
+    );
+    const totalResult = await query(
+      `SELECT COUNT(DISTINCT dc.document_id)::int as total
+       FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+       WHERE dc.ts_config = $1`,
+      [config]
+    );
+    const total = totalResult.rows[0].total;
+    const documentFrequency = new Map(frequency.rows.map(row => [row.phrase, row.df]));
+
+    return candidates
+      .map(candidate => {
+        const idf = Math.log((total + 1) / ((documentFrequency.get(candidate.key) || 0) + 1)) + 1;
+        return { name: candidate.name, key: candidate.key, score: Number((candidate.weight * idf).toFixed(4)) };
+      })
+      .sort((a, b) => b.score - a.score);
+  },
+
+  /**
+   * Let the model choose tags from the candidates; tags with words that are not in the text are dropped
+   * @param {Array<{name: string, score: number}>} candidates
+   * @param {string} text
+   * @param {{title?: string, abstract?: string}} context
+   * @returns {Promise<Array<{name: string, score: number|null}>>}
+   */
+  async refineWithModel(candidates, text, { title, abstract }) {
+    const prompt = `Choose up to ${MAX_TAGS} topic tags for the document "${title}".
+${abstract ? `Abstract: ${abstract}\n` : ''}Candidate keyphrases, most relevant first: ${candidates.map(candidate => candidate.name).join('; ')}
+Pick the candidates that best describe what the document is about. You may shorten or merge them, but only use words that appear in the candidates.
+Return JSON of the form {"tags": ["...", "..."]}.`;
+
+    const response = await ollamaService.generate(prompt, { model: MODEL, format: 'json' });
+    let parsed;
+    try {
+      parsed = JSON.parse(response);
+    } catch {
+      throw new Error('Model did not return JSON');
+    }
+
+    const words = new Set(splitSegments(text).flat().map(word => word.toLowerCase()));
+    const scores = new Map(candidates.map(candidate => [candidate.key, candidate.score]));
+    const tags = (Array.isArray(parsed?.tags) ? parsed.tags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.replace(/\s+/g, ' ').trim())
+      .filter(tag => tag.length >= 2 && tag.length <= MAX_TAG_LENGTH)
+      .filter(tag => splitWords(tag).every(word => words.has(word.toLowerCase())))
+      .map(tag => ({ name: tag, key: tag.toLowerCase(), score: scores.get(tag.toLowerCase()) ?? null }));
+
+    return selectDistinct(tags, MAX_TAGS);
+  }
+};
+
+// Phrases never cross punctuation or line breaks
+function splitSegments(text) {
+  return text.split(/[.!?;:,()[\]{}"“”«»|/\\\n\r\t]+/).map(splitWords).filter(words => words.length > 0);
+}
+
+function splitWords(text) {
+  return text.split(/[^\p{L}\p{N}'’-]+/u)
+    .map(word => word.replace(/^['’-]+|['’-]+$/g, ''))
+    .filter(word => /\p{L}/u.test(word));
+}
+
+// Every run of up to MAX_PHRASE_WORDS words that neither starts nor ends with a stop word
+function countPhrases(segments, stopWords) {
+  const counts = new Map();
+
+  for (const words of segments) {
+    const lower = words.map(word => word.toLowerCase());
+    for (let start = 0; start < words.length; start++) {
+      if (stopWords.has(lower[start])) continue;
+
+      for (let length = 1; length <= MAX_PHRASE_WORDS && start + length <= words.length; length++) {
+        const last = lower[start + length - 1];
+        if (stopWords.has(last) || (length === 1 && last.length < 3)) continue;
+
+        const key = lower.slice(start, start + length).join(' ');
+        const surface = words.slice(start, start + length).join(' ');
+        const phrase = counts.get(key) || { key, words: length, count: 0, forms: new Map() };
+        phrase.count++;
+        phrase.forms.set(surface, (phrase.forms.get(surface) || 0) + 1);
+        counts.set(key, phrase);
+      }
+    }
+  }
+
+  // Name each phrase by its most common spelling
+  for (const phrase of counts.values()) {
+    phrase.name = [...phrase.forms].sort((a, b) => b[1] - a[1])[0][0];
+    delete phrase.forms;
+  }
+  return counts;
+}
+
+// The most frequent form names the merged phrase
+function mergeByStem(phrases, stems) {
+  const merged = new Map();
+  for (const phrase of phrases) {
+    const stem = `${phrase.words}:${stems.get(phrase.key) || phrase.key}`;
+    const existing = merged.get(stem);
+    if (!existing) {
+      merged.set(stem, { ...phrase });
+    } else {
+      existing.count += phrase.count;
+    }
+  }
+  return [...merged.values()];
+}
+
+// Longer phrases are rarer but say more
+function lengthBoost(words) {
+  return 1 + 0.5 * (words - 1);
+}
+
+// Best phrases first, skipping any that contains or is contained in one already taken
+function selectDistinct(phrases, max) {
+  const selected = [];
+  for (const phrase of phrases) {
+    const overlaps = selected.some(taken =>
+      ` ${taken.key} `.includes(` ${phrase.key} `) || ` ${phrase.key} `.includes(` ${taken.key} `)
+    );
+    if (!overlaps) {
+      selected.push({ name: phrase.name, score: phrase.score });
+    }
+    if (selected.length === max) break;
+  }
+  return selected;
+}
@@ -0,0 +1,89 @@
+// services/languageService.js - Document language detection and the matching Postgres text-search configuration
+import { franc } from 'franc';
+
+// ISO 639-3 codes (as returned by franc) of the languages Postgres ships a stemming configuration for
+const TEXT_SEARCH_CONFIGS = {
+  ara: 'arabic',
+  dan: 'danish',
+  nld: 'dutch',
+  eng: 'english',
+  fin: 'finnish',
+  fra: 'french',
+  deu: 'german',
+  ell: 'greek',
+  hun: 'hungarian',
+  ind: 'indonesian',
+  gle: 'irish',
+  ita: 'italian',
+  lit: 'lithuanian',
+  npi: 'nepali',
+  nob: 'norwegian',
+  nno: 'norwegian',
+  por: 'portuguese',
+  ron: 'romanian',
+  rus: 'russian',
+  spa: 'spanish',
+  swe: 'swedish',
+  tam: 'tamil',
+  tur: 'turkish'
+};
+
+// ISO 639-1 codes callers are more likely to send
+const TWO_LETTER_CODES = {
+  ar: 'ara', da: 'dan', nl: 'nld', en: 'eng', fi: 'fin', fr: 'fra', de: 'deu', el: 'ell', hu: 'hun', id: 'ind',
+  ga: 'gle', it: 'ita', lt: 'lit', ne: 'npi', no: 'nob', nb: 'nob', nn: 'nno', pt: 'por', ro: 'ron', ru: 'rus',
+  es: 'spa', sv: 'swe', ta: 'tam', tr: 'tur'
+};
+
+// Used for languages without a configuration: no stemming or stop words, but still tokenized
+export const FALLBACK_TEXT_SEARCH_CONFIG = 'simple';
+
+// What chunks indexed before language detection existed were parsed with
+export const DEFAULT_TEXT_SEARCH_CONFIG = 'english';
+
+// Detection looks at the start of the text only; more does not change the answer
+const SAMPLE_LENGTH = 20000;
+const MIN_SAMPLE_LENGTH = parseInt(process.env.LANGUAGE_DETECTION_MIN_LENGTH) || 50;
+
+export const languageService = {
+  /**
+   * Guess the language of a document from its text
+   * @param {string} text
+   * @returns {{code: string, config: string}} - ISO 639-3 code ('und' when unsure) and text-search configuration
+   */
+  detectLanguage(text) {
+    const sample = (text || '').slice(0, SAMPLE_LENGTH);
+    const code = sample.trim().length >= MIN_SAMPLE_LENGTH
+      ? franc(sample, { minLength: MIN_SAMPLE_LENGTH })
+      : 'und';
+
+    if (code === 'und') {
+      // Too little text to tell; keep the configuration everything used before detection
+      return { code, config: DEFAULT_TEXT_SEARCH_CONFIG };
+    }
+    return { code, config: TEXT_SEARCH_CONFIGS[code] || FALLBACK_TEXT_SEARCH_CONFIG };
+  },
+
+  /**
+   * Map a caller-supplied language to a text-search configuration
+   * @param {string} language - Configuration name ('german'), ISO 639-1 ('de') or ISO 639-3 ('deu') code
+   * @returns {string|null} - null when the language is not known
+   */
+  resolveConfig(language) {
+    const key = String(language).toLowerCase();
+    if (key === FALLBACK_TEXT_SEARCH_CONFIG || Object.values(TEXT_SEARCH_CONFIGS).includes(key)) {
+      return key;
+    }
+    return TEXT_SEARCH_CONFIGS[TWO_LETTER_CODES[key] || key] || null;
+  },
+
+  // Everything resolveConfig accepts, for request validation
+  get acceptedLanguages() {
+    return [
+      FALLBACK_TEXT_SEARCH_CONFIG,
+      ...new Set(Object.values(TEXT_SEARCH_CONFIGS)),
+      ...Object.keys(TEXT_SEARCH_CONFIGS),
+      ...Object.keys(TWO_LETTER_CODES)
+    ];
+  }
+};
@@ -0,0 +1,123 @@
+// services/loaders/documentProperties.js - Embedded properties of PDF and DOCX files (title, author, dates, ...)
+import fs from 'fs/promises';
+import JSZip from 'jszip';
+
+const PDF_MIME_TYPE = 'application/pdf';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Read the properties embedded in a file. Every field is optional; dates are ISO strings and
+ * keywords an array, so they can be filtered on in SQL.
+ * @param {string} filePath
+ * @param {string} mimeType
+ * @returns {Promise<Object|null>} - {title, author, subject, keywords, createdAt, modifiedAt, pageCount, ...},
+ *   or null for types without embedded properties
+ */
+export async function readDocumentProperties(filePath, mimeType) {
+  switch (mimeType) {
+    case PDF_MIME_TYPE:
+      return compact(await readPdfProperties(filePath));
+    case DOCX_MIME_TYPE:
+      return compact(await readDocxProperties(filePath));
+    default:
+      return null;
+  }
+}
+
+// The Info dictionary and the XMP packet often disagree; XMP is the newer of the two, so it wins
+async function readPdfProperties(filePath) {
+  // The same pdf.js build PDFLoader uses
+  const { default: pdfjs } = await import('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await fs.readFile(filePath)), verbosity: 0 }).promise;
+
+  try {
+    const { info = {}, metadata } = await pdf.getMetadata().catch(() => ({}));
+    const xmp = (name) => cleanText(metadata?.get(name));
+
+    return {
+      title: xmp('dc:title') || cleanText(info.Title),
+      author: xmp('dc:creator') || cleanText(info.Author),
+      subject: xmp('dc:description') || cleanText(info.Subject),
+      keywords: splitKeywords(xmp('pdf:keywords') || info.Keywords),
+      createdAt: toIsoDate(xmp('xmp:createdate')) || parsePdfDate(info.CreationDate),
+      modifiedAt: toIsoDate(xmp('xmp:modifydate')) || parsePdfDate(info.ModDate),
+      creator: xmp('xmp:creatortool') || cleanText(info.Creator),
+      producer: xmp('pdf:producer') || cleanText(info.Producer),
+      pageCount: pdf.numPages
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Core properties live in docProps/core.xml; the page count Word last saw is in docProps/app.xml
+async function readDocxProperties(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const core = await zip.file('docProps/core.xml')?.async('string') || '';
+  const app = await zip.file('docProps/app.xml')?.async('string') || '';
+
+  return {
+    title: xmlField(core, 'dc:title'),
+    author: xmlField(core, 'dc:creator'),
+    subject: xmlField(core, 'dc:subject'),
+    description: xmlField(core, 'dc:description'),
+    keywords: splitKeywords(xmlField(core, 'cp:keywords')),
+    category: xmlField(core, 'cp:category'),
+    lastModifiedBy: xmlField(core, 'cp:lastModifiedBy'),
+    createdAt: toIsoDate(xmlField(core, 'dcterms:created')),
+    modifiedAt: toIsoDate(xmlField(core, 'dcterms:modified')),
+    creator: xmlField(app, 'Application'),
+    pageCount: parseInt(xmlField(app, 'Pages')) || null
+  };
+}
+
+function xmlField(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  if (!match) return null;
+  const text = match[1].replace(/<[^>]+>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)));
+  return cleanText(text);
+}
+
+// XMP lists (several dc:creator entries) come back one per line
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.split(/\s*\n\s*/).filter(Boolean).join('; ').replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function splitKeywords(value) {
+  if (typeof value !== 'string') return null;
+  const keywords = value.split(/[,;\n]/).map(keyword => keyword.trim()).filter(Boolean);
+  return keywords.length > 0 ? [...new Set(keywords)] : null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// PDF dates look like D:20240131154500+01'00' with everything after the year optional
+function parsePdfDate(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) return toIsoDate(value);
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  let offset = 'Z';
+  if (zone && zone !== 'Z') {
+    const [, sign, hours, minutes = '00'] = zone.match(/([+-])(\d{2})'?(\d{2})?/);
+    offset = `${sign}${hours}:${minutes}`;
+  }
+  return toIsoDate(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+}
+
+// Leave out what the file did not say, so the stored object only holds real values
+function compact(properties) {
+  const entries = Object.entries(properties).filter(([, value]) => value !== null && value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
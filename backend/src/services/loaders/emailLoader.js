@@ -0,0 +1,120 @@
+// services/loaders/emailLoader.js - EML/MBOX loader that expands attachments into child documents
+import fs from 'fs/promises';
+import { simpleParser } from 'mailparser';
+import { Document } from 'langchain/document';
+import { SUPPORTED_MIME_TYPES, resolveMimeType } from '../../config/fileTypes.js';
+
+export const EML_MIME_TYPE = 'message/rfc822';
+export const MBOX_MIME_TYPE = 'application/mbox';
+
+/**
+ * Loads a single message (.eml) or a whole mailbox (.mbox).
+ *
+ * Besides the documents to chunk, the loader leaves two things for DocumentProcessor:
+ * - documentMetadata: merged into documents.metadata (message headers, mailbox size)
+ * - children: files to register as child documents of this one
+ *
+ * A message is chunked itself and its supported attachments become children.
+ * A mailbox has no content of its own; each message becomes a child .eml.
+ */
+export class EmailLoader {
+  constructor(filePath, { mailbox = false } = {}) {
+    this.filePath = filePath;
+    this.mailbox = mailbox;
+    this.documentMetadata = null;
+    this.children = [];
+  }
+
+  async load() {
+    const raw = await fs.readFile(this.filePath);
+    return this.mailbox ? this.loadMailbox(raw.toString('utf8')) : this.loadMessage(raw);
+  }
+
+  async loadMessage(raw) {
+    const message = await simpleParser(raw);
+    const email = extractHeaders(message);
+    const body = (message.text || '').trim();
+
+    this.documentMetadata = { email };
+    this.children = (message.attachments || [])
+      .map(attachment => ({
+        originalFilename: attachment.filename || 'attachment',
+        mimeType: resolveMimeType(attachment.filename, attachment.contentType),
+        content: attachment.content
+      }))
+      .filter(child => child.content?.length > 0 && SUPPORTED_MIME_TYPES.includes(child.mimeType))
+      .map(child => ({ ...child, metadata: { attachment: { subject: email.subject } } }));
+
+    // Headers go into the chunk text too, so text and semantic search can match them
+    const headerBlock = [
+      email.subject && `Subject: ${email.subject}`,
+      email.from && `From: ${email.from}`,
+      email.to.length > 0 && `To: ${email.to.join(', ')}`,
+      email.date && `Date: ${email.date}`
+    ].filter(Boolean).join('\n');
+
+    if (!body && !headerBlock) {
+      return [];
+    }
+
+    return [new Document({
+      pageContent: [headerBlock, body].filter(Boolean).join('\n\n'),
+      metadata: {
+        source: this.filePath,
+        sectionTitle: email.subject || null
+      }
+    })];
+  }
+
+  async loadMailbox(text) {
+    const messages = splitMbox(text);
+
+    this.documentMetadata = { mailbox: { messageCount: messages.length } };
+    this.children = [];
+
+    for (let i = 0; i < messages.length; i++) {
+      const { subject } = await simpleParser(messages[i], { skipHtmlToText: true, skipTextToHtml: true });
+      this.children.push({
+        originalFilename: `${toFilename(subject) || `message-${i + 1}`}.eml`,
+        mimeType: EML_MIME_TYPE,
+        content: Buffer.from(messages[i], 'utf8'),
+        metadata: { mailbox: { messageIndex: i + 1 } }
+      });
+    }
+
+    return [];
+  }
+}
+
+/**
+ * Split an mbox file into raw RFC 822 messages, undoing mboxrd ">From " quoting
+ * @param {string} text - Mailbox contents
+ * @returns {string[]} - Raw messages
+ */
+export function splitMbox(text) {
+  return text
+    .split(/^From .*\r?\n/m)
+    .map(message => message.replace(/^>(>*From )/gm, '$1').trim())
+    .filter(Boolean);
+}
+
+function extractHeaders(message) {
+  const addresses = (field) => (field ? [].concat(field) : [])
+    .flatMap(group => group.value || [])
+    .map(entry => entry.address?.toLowerCase())
+    .filter(Boolean);
+
+  return {
+    subject: message.subject || null,
+    from: message.from?.text || null,
+    fromAddress: addresses(message.from)[0] || null,
+    to: addresses(message.to),
+    cc: addresses(message.cc),
+    date: message.date ? message.date.toISOString() : null,
+    messageId: message.messageId || null
+  };
+}
+
+function toFilename(subject) {
+  return (subject || '').replace(/[^\w\s.-]/g, '').trim().replace(/\s+/g, '_').substring(0, 100);
+}
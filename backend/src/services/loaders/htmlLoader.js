@@ -0,0 +1,126 @@
+// services/loaders/htmlLoader.js - HTML loader that keeps the heading hierarchy
+import fs from 'fs/promises';
+import { parse } from 'node-html-parser';
+import { Document } from 'langchain/document';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'nav', 'iframe'];
+// Paragraph-like blocks are separated by a blank line, line-like blocks by a newline
+const PARAGRAPH_TAGS = [
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote',
+  'pre', 'ul', 'ol', 'table', 'dl', 'figure', 'address', 'details', 'hr'
+];
+const LINE_TAGS = ['li', 'dt', 'dd', 'figcaption', 'summary', 'br'];
+// Whitespace between the children of these is layout, not content
+const STRUCTURAL_TAGS = ['ul', 'ol', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'dl'];
+
+/**
+ * Strip markup from an HTML string and cut it into sections at every heading
+ * @param {string} html - HTML source
+ * @returns {Array<{headingPath: string[], content: string}>} - Sections in document order
+ */
+export function htmlToSections(html) {
+  // pre is left out of the parser's raw-text elements so code blocks are walked as text, not kept as markup
+  const root = parse(html, { comment: false, blockTextElements: { script: true, noscript: true, style: true } });
+  const body = root.querySelector('body') || root;
+
+  const sections = [];
+  const headingStack = []; // [{ level, text }]
+  let current = { headingPath: [], parts: [] };
+
+  const startSection = (level, text) => {
+    sections.push(current);
+    while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+      headingStack.pop();
+    }
+    headingStack.push({ level, text });
+    current = { headingPath: headingStack.map(h => h.text), parts: [text, '\n'] };
+  };
+
+  const walk = (node) => {
+    // Text node
+    if (node.nodeType === 3) {
+      const parentTag = (node.parentNode?.rawTagName || '').toLowerCase();
+      if (!STRUCTURAL_TAGS.includes(parentTag) || node.text.trim()) {
+        current.parts.push(node.text);
+      }
+      return;
+    }
+
+    const tag = (node.rawTagName || '').toLowerCase();
+    if (SKIPPED_TAGS.includes(tag)) {
+      return;
+    }
+
+    if (HEADING_TAGS.includes(tag)) {
+      const text = node.text.replace(/\s+/g, ' ').trim();
+      if (text) {
+        startSection(parseInt(tag[1]), text);
+      }
+      return;
+    }
+
+    // Keep table rows on one line so a row never gets split from its cells
+    if (tag === 'tr') {
+      const cells = node.childNodes
+        .filter(child => ['td', 'th'].includes((child.rawTagName || '').toLowerCase()))
+        .map(cell => cell.text.replace(/\s+/g, ' ').trim());
+      current.parts.push('\n', cells.join(' | '));
+      return;
+    }
+
+    const isParagraph = PARAGRAPH_TAGS.includes(tag);
+    if (isParagraph) current.parts.push('\n\n');
+    if (LINE_TAGS.includes(tag)) current.parts.push('\n');
+    if (tag === 'li') current.parts.push('- ');
+
+    node.childNodes.forEach(walk);
+
+    if (isParagraph) current.parts.push('\n\n');
+  };
+
+  walk(body);
+  sections.push(current);
+
+  return sections
+    .map(section => ({
+      headingPath: section.headingPath,
+      content: normalizeWhitespace(section.parts.join(''))
+    }))
+    // Drop sections that hold nothing but their own heading
+    .filter(section => section.content && section.content !== section.headingPath[section.headingPath.length - 1]);
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build one LangChain document per section, carrying the heading path in metadata
+ */
+export function sectionsToDocuments(sections, source) {
+  return sections.map(section => new Document({
+    pageContent: section.content,
+    metadata: {
+      source,
+      headingPath: section.headingPath,
+      sectionTitle: section.headingPath.join(' > ') || null
+    }
+  }));
+}
+
+export class HtmlLoader {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const html = await fs.readFile(this.filePath, 'utf8');
+    return sectionsToDocuments(htmlToSections(html), this.filePath);
+  }
+}
@@ -0,0 +1,23 @@
+// services/loaders/markdownLoader.js - Markdown loader that keeps the heading hierarchy
+import fs from 'fs/promises';
+import { marked } from 'marked';
+import { htmlToSections, sectionsToDocuments } from './htmlLoader.js';
+
+export class MarkdownLoader {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const markdown = await fs.readFile(this.filePath, 'utf8');
+
+    // Render to HTML so Markdown and HTML share one sectioning pass
+    const html = marked.parse(stripFrontMatter(markdown), { gfm: true });
+    return sectionsToDocuments(htmlToSections(html), this.filePath);
+  }
+}
+
+// YAML front matter is wiki metadata, not content
+function stripFrontMatter(markdown) {
+  return markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '');
+}
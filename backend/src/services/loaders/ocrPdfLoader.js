@@ -0,0 +1,80 @@
+// services/loaders/ocrPdfLoader.js - PDF loader that OCRs pages without a usable text layer
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import { Document } from 'langchain/document';
+import { ocrService } from '../ocrService.js';
+import logger from '../../utils/logger.js';
+
+// Below this many characters a page is treated as scanned
+const MIN_TEXT_LENGTH = parseInt(process.env.OCR_MIN_TEXT_LENGTH) || 20;
+
+export class OcrPdfLoader {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {string} options.language - Tesseract language code(s)
+   */
+  constructor(filePath, { language = ocrService.defaultLanguage } = {}) {
+    this.filePath = filePath;
+    this.language = language;
+    this.documentMetadata = null;
+  }
+
+  async load() {
+    // PDFLoader leaves out pages with no text items at all, so index what it did return
+    const textPages = await new PDFLoader(this.filePath).load();
+    const byPage = new Map(textPages.map(page => [page.metadata.loc.pageNumber, page]));
+
+    if (!await ocrService.isAvailable()) {
+      return textPages;
+    }
+
+    const pageCount = textPages[0]?.metadata?.pdf?.totalPages ?? await ocrService.getPageCount(this.filePath);
+    const pages = [];
+    const ocrPages = [];
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = byPage.get(pageNumber);
+      if (page && page.pageContent.trim().length >= MIN_TEXT_LENGTH) {
+        pages.push(page);
+        continue;
+      }
+
+      try {
+        const { text, confidence } = await ocrService.recognizePdfPage(this.filePath, pageNumber, this.language);
+        if (!text) {
+          continue;
+        }
+
+        ocrPages.push({ pageNumber, confidence });
+        pages.push(new Document({
+          pageContent: text,
+          metadata: {
+            ...(page?.metadata || { source: this.filePath }),
+            // Carried onto every chunk of the page by the text splitter
+            ocr: { confidence, language: this.language },
+            loc: { pageNumber }
+          }
+        }));
+      } catch (error) {
+        logger.warn(`OCR failed for page ${pageNumber} of ${this.filePath}:`, error.message);
+        if (page) pages.push(page);
+      }
+    }
+
+    if (ocrPages.length > 0) {
+      const scored = ocrPages.filter(page => page.confidence !== null);
+      this.documentMetadata = {
+        ocr: {
+          language: this.language,
+          pages: ocrPages.map(page => page.pageNumber),
+          averageConfidence: scored.length > 0
+            ? Math.round(scored.reduce((sum, page) => sum + page.confidence, 0) / scored.length * 10) / 10
+            : null
+        }
+      };
+      logger.info(`OCR recovered text for ${ocrPages.length}/${pageCount} pages of ${this.filePath}`);
+    }
+
+    return pages;
+  }
+}
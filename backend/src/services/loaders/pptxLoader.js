@@ -0,0 +1,115 @@
+// services/loaders/pptxLoader.js - PowerPoint loader, one document per slide
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { Document } from 'langchain/document';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export class PptxLoader {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const zip = await JSZip.loadAsync(await fs.readFile(this.filePath));
+    const slidePaths = await this.getSlidePaths(zip);
+    const documents = [];
+
+    for (let i = 0; i < slidePaths.length; i++) {
+      const slideNumber = i + 1;
+      const slideText = extractText(await zip.file(slidePaths[i]).async('string'));
+      const notesText = await this.getNotesText(zip, slidePaths[i]);
+
+      const parts = [];
+      if (slideText) parts.push(slideText);
+      if (notesText) parts.push(`Speaker notes:\n${notesText}`);
+      if (parts.length === 0) continue;
+
+      // loc.pageNumber is what DocumentProcessor stores as page_number
+      documents.push(new Document({
+        pageContent: parts.join('\n\n'),
+        metadata: {
+          source: this.filePath,
+          slideNumber,
+          hasNotes: Boolean(notesText),
+          loc: { pageNumber: slideNumber }
+        }
+      }));
+    }
+
+    return documents;
+  }
+
+  // Slides in presentation order, which is not necessarily the order of their file names
+  async getSlidePaths(zip) {
+    const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+    const relsXml = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string');
+
+    if (presentation && relsXml) {
+      const targets = parseRelationships(relsXml);
+      const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+        .map(match => targets[match[1]])
+        .filter(Boolean)
+        .map(target => path.posix.join('ppt', target.replace(/^\//, '').replace(/^ppt\//, '')))
+        .filter(slidePath => zip.file(slidePath));
+
+      if (ordered.length > 0) {
+        return ordered;
+      }
+    }
+
+    return Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => slideIndex(a) - slideIndex(b));
+  }
+
+  async getNotesText(zip, slidePath) {
+    const relsPath = path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`);
+    const relsXml = await zip.file(relsPath)?.async('string');
+    if (!relsXml) return '';
+
+    const notesTarget = Object.values(parseRelationships(relsXml)).find(target => target.includes('notesSlide'));
+    if (!notesTarget) return '';
+
+    const notesXml = await zip.file(path.posix.join(path.posix.dirname(slidePath), notesTarget))?.async('string');
+    return notesXml ? extractText(notesXml) : '';
+  }
+}
+
+function parseRelationships(xml) {
+  const targets = {};
+  for (const match of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = match[0].match(/\bId="([^"]+)"/)?.[1];
+    const target = match[0].match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) targets[id] = target;
+  }
+  return targets;
+}
+
+function slideIndex(name) {
+  return parseInt(name.match(/(\d+)\.xml$/)[1]);
+}
+
+// One line per <a:p> paragraph; fields (slide numbers, dates) are placeholders, not content
+function extractText(xml) {
+  return xml
+    .replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '')
+    .split(/<\/a:p>/)
+    .map(paragraph => [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)]
+      .map(match => decodeXml(match[1]))
+      .join('')
+      .trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return String.fromCodePoint(value);
+    }
+    return XML_ENTITIES[code] ?? entity;
+  });
+}
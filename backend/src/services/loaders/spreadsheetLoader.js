@@ -0,0 +1,92 @@
+// services/loaders/spreadsheetLoader.js - CSV/XLSX loader that chunks by whole rows
+import XLSX from 'xlsx';
+import { Document } from 'langchain/document';
+
+// Roughly the text splitter's chunk size, so row groups embed like any other chunk
+const DEFAULT_CHUNK_SIZE = 1000;
+const CELL_SEPARATOR = ' | ';
+
+export class SpreadsheetLoader {
+  /**
+   * @param {string} filePath - Path to a .csv, .xlsx or .xls file
+   * @param {Object} options
+   * @param {number} options.chunkSize - Target characters per chunk, header included
+   */
+  constructor(filePath, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    this.filePath = filePath;
+    this.chunkSize = chunkSize;
+  }
+
+  async load() {
+    // raw: true keeps CSV cells as typed, instead of guessing dates out of them
+    const workbook = XLSX.readFile(this.filePath, { raw: true, cellDates: true });
+    const documents = [];
+
+    for (const sheetName of workbook.SheetNames) {
+      documents.push(...this.loadSheet(sheetName, workbook.Sheets[sheetName]));
+    }
+
+    return documents;
+  }
+
+  loadSheet(sheetName, sheet) {
+    if (!sheet || !sheet['!ref']) {
+      return [];
+    }
+
+    // Row numbers in metadata match what the user sees in their spreadsheet app
+    const firstRowNumber = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+      .map((cells, i) => ({ rowNumber: firstRowNumber + i, line: serializeRow(cells) }))
+      .filter(row => row.line);
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const [header, ...dataRows] = rows;
+    const documents = [];
+    let group = [];
+    let groupLength = header.line.length;
+
+    for (const row of dataRows) {
+      if (group.length > 0 && groupLength + row.line.length + 1 > this.chunkSize) {
+        documents.push(this.buildDocument(sheetName, header, group));
+        group = [];
+        groupLength = header.line.length;
+      }
+      group.push(row);
+      groupLength += row.line.length + 1;
+    }
+    documents.push(this.buildDocument(sheetName, header, group));
+
+    return documents;
+  }
+
+  buildDocument(sheetName, header, rows) {
+    // A sheet holding only a header row still gets one chunk
+    const covered = rows.length > 0 ? rows : [header];
+    const rowStart = covered[0].rowNumber;
+    const rowEnd = covered[covered.length - 1].rowNumber;
+
+    return new Document({
+      pageContent: [header.line, ...rows.map(row => row.line)].join('\n'),
+      metadata: {
+        source: this.filePath,
+        sheetName,
+        rowStart,
+        rowEnd,
+        sectionTitle: rowStart === rowEnd ? `${sheetName} row ${rowStart}` : `${sheetName} rows ${rowStart}–${rowEnd}`,
+        // Already sized to whole rows; the text splitter would cut rows apart
+        preserveChunk: true
+      }
+    });
+  }
+}
+
+function serializeRow(cells) {
+  if (cells.every(cell => String(cell).trim() === '')) {
+    return '';
+  }
+  return cells.map(cell => String(cell).replace(/\s+/g, ' ').trim()).join(CELL_SEPARATOR);
+}
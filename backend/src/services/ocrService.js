@@ -0,0 +1,166 @@
+// services/ocrService.js - Local OCR through the tesseract and poppler (pdftoppm/pdfinfo) CLIs
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import logger from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+export const ocrService = {
+  defaultLanguage: process.env.OCR_LANGUAGE || 'eng',
+  dpi: parseInt(process.env.OCR_DPI) || 300,
+  pageTimeout: parseInt(process.env.OCR_PAGE_TIMEOUT) || 120000,
+  available: null,
+  languages: null,
+
+  /**
+   * Check once whether the tesseract and pdftoppm binaries are installed
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    if (this.available === null) {
+      try {
+        await execFileAsync('tesseract', ['--version'], { timeout: 10000 });
+        await execFileAsync('pdftoppm', ['-v'], { timeout: 10000 });
+        this.available = true;
+      } catch (error) {
+        logger.warn('OCR unavailable - install tesseract-ocr and poppler-utils to enable it:', error.message);
+        this.available = false;
+      }
+    }
+    return this.available;
+  },
+
+  /**
+   * Read the language data tesseract has installed. The server calls this once at startup so requests can be
+   * checked against installedLanguages without running tesseract.
+   * @returns {Promise<Array<string>|null>} - null when tesseract is not installed
+   */
+  async loadLanguages() {
+    try {
+      const { stdout, stderr } = await execFileAsync('tesseract', ['--list-langs'], { timeout: 10000 });
+      // Older tesseract versions print the list to stderr; the first line is a header
+      this.languages = `${stdout}\n${stderr}`.split('\n').map(line => line.trim())
+        .filter(line => line && !line.startsWith('List of'));
+    } catch (error) {
+      this.languages = null;
+    }
+    return this.languages;
+  },
+
+  /**
+   * Language data found by loadLanguages
+   * @returns {Array<string>|null} - null when tesseract is not installed or the list was not loaded
+   */
+  installedLanguages() {
+    return this.languages;
+  },
+
+  /**
+   * Number of pages in a PDF, read with pdfinfo
+   * @param {string} pdfPath
+   * @returns {Promise<number>}
+   */
+  async getPageCount(pdfPath) {
+    const { stdout } = await execFileAsync('pdfinfo', [pdfPath], { timeout: 30000 });
+    const match = stdout.match(/^Pages:\s+(\d+)/m);
+    return match ? parseInt(match[1]) : 0;
+  },
+
+  /**
+   * Render one PDF page to an image and run it through tesseract
+   * @param {string} pdfPath
+   * @param {number} pageNumber - 1-based
+   * @param {string} language - Tesseract language code(s), e.g. "eng" or "eng+deu"
+   * @returns {Promise<{text: string, confidence: number|null}>} - Confidence is the mean word confidence, 0-100
+   */
+  async recognizePdfPage(pdfPath, pageNumber, language = this.defaultLanguage) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dkm-ocr-'));
+    const imagePrefix = path.join(workDir, 'page');
+
+    try {
+      await renderPage(pdfPath, pageNumber, imagePrefix, this.dpi, this.pageTimeout);
+
+      const { stdout } = await execFileAsync(
+        'tesseract',
+        [`${imagePrefix}.png`, 'stdout', '-l', language, 'tsv'],
+        { timeout: this.pageTimeout, maxBuffer: 20 * 1024 * 1024 }
+      );
+
+      return parseTsv(stdout);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  },
+
+  /**
+   * Render one PDF page to a PNG image
+   * @param {string} pdfPath
+   * @param {number} pageNumber - 1-based
+   * @param {number} dpi
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdfPage(pdfPath, pageNumber, dpi) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dkm-page-'));
+    const imagePrefix = path.join(workDir, 'page');
+
+    try {
+      await renderPage(pdfPath, pageNumber, imagePrefix, dpi, this.pageTimeout);
+      return await fs.readFile(`${imagePrefix}.png`);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+};
+
+// pdftoppm writes the page to <imagePrefix>.png
+async function renderPage(pdfPath, pageNumber, imagePrefix, dpi, timeout) {
+  await execFileAsync('pdftoppm', [
+    '-r', String(dpi),
+    '-f', String(pageNumber),
+    '-l', String(pageNumber),
+    '-png', '-singlefile',
+    pdfPath, imagePrefix
+  ], { timeout });
+}
+
+// Tesseract TSV: one row per layout element; level 5 rows are words with a 0-100 confidence
+function parseTsv(tsv) {
+  const lines = [];
+  const confidences = [];
+  let currentKey = null;
+  let currentParagraph = null;
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') continue;
+
+    const [, , block, paragraph, line, , , , , , conf, ...textParts] = columns;
+    const word = textParts.join('\t').trim();
+    if (!word) continue;
+
+    const paragraphKey = `${block}.${paragraph}`;
+    const lineKey = `${paragraphKey}.${line}`;
+
+    if (lineKey !== currentKey) {
+      // Blank line between paragraphs so the text splitter can use them as boundaries
+      if (currentParagraph !== null && paragraphKey !== currentParagraph) lines.push('');
+      lines.push(word);
+      currentKey = lineKey;
+      currentParagraph = paragraphKey;
+    } else {
+      lines[lines.length - 1] += ` ${word}`;
+    }
+
+    const confidence = parseFloat(conf);
+    if (confidence >= 0) confidences.push(confidence);
+  }
+
+  const confidence = confidences.length > 0
+    ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 10) / 10
+    : null;
+
+  return { text: lines.join('\n').trim(), confidence };
+}
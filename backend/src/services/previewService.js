@@ -0,0 +1,89 @@
+// services/previewService.js - Original files of documents and per-page previews of them
+import { query } from '../config/database.js';
+import storage from './storage/index.js';
+import { ocrService } from './ocrService.js';
+import documentProcessor from './documentProcessor.js';
+
+const PREVIEW_DPI = parseInt(process.env.PREVIEW_DPI) || 110;
+
+const previewError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const previewService = {
+  /**
+   * The stored file of a document's current version
+   * @param {string} documentId
+   * @returns {Promise<Object|null>} - {id, filename (storage key), original_filename, mime_type, size}; null when
+   *   the document does not exist, size null when its file is missing from storage
+   */
+  async getFile(documentId) {
+    const result = await query(
+      'SELECT id, filename, original_filename, mime_type FROM documents WHERE id = $1',
+      [documentId]
+    );
+    const document = result.rows[0];
+    if (!document) {
+      return null;
+    }
+
+    const stat = await storage.stat(document.filename);
+    return { ...document, size: stat?.size ?? null };
+  },
+
+  /**
+   * Preview of one page: a PNG rendering for PDFs, the extracted text for everything else. Pages are those
+   * the loader reports (PDF pages, PPTX slides); a format without pages is a single page.
+   * @param {string} documentId
+   * @param {number} pageNumber - 1-based
+   * @returns {Promise<{pageCount: number, image?: Buffer, text?: string}|null>} - null when the document does
+   *   not exist
+   */
+  async getPage(documentId, pageNumber) {
+    const document = await this.getFile(documentId);
+    if (!document) {
+      return null;
+    }
+    if (document.size === null) {
+      throw previewError('File not found', 404);
+    }
+
+    return storage.withLocalCopy(document.filename, (filePath) =>
+      document.mime_type === 'application/pdf'
+        ? renderPdfPage(filePath, pageNumber)
+        : extractPageText(filePath, document.mime_type, pageNumber)
+    );
+  }
+};
+
+async function renderPdfPage(filePath, pageNumber) {
+  try {
+    const pageCount = await ocrService.getPageCount(filePath);
+    if (pageNumber > pageCount) {
+      throw previewError(`Page ${pageNumber} not found; the last page is ${pageCount}`, 404);
+    }
+
+    return { pageCount, image: await ocrService.renderPdfPage(filePath, pageNumber, PREVIEW_DPI) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw previewError('PDF page previews need poppler-utils (pdfinfo, pdftoppm) installed', 503);
+    }
+    throw error;
+  }
+}
+
+async function extractPageText(filePath, mimeType, pageNumber) {
+  // Text is read the way processing reads it, without OCR since only PDFs are OCR'd
+  const { documents } = await documentProcessor.loadDocument(filePath, mimeType, { ocr: false });
+
+  const pages = new Map();
+  for (const document of documents) {
+    const page = document.metadata?.loc?.pageNumber || 1;
+    pages.set(page, [...(pages.get(page) || []), document.pageContent]);
+  }
+  const pageCount = Math.max(1, ...pages.keys());
+
+  if (pageNumber > pageCount) {
+    throw previewError(`Page ${pageNumber} not found; the last page is ${pageCount}`, 404);
+  }
+
+  return { pageCount, text: (pages.get(pageNumber) || []).join('\n\n') };
+}
@@ -0,0 +1,74 @@
+import { getRedisClient } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const CHANNEL_PREFIX = 'document_events:';
+const LATEST_PREFIX = 'document_progress:';
+const LATEST_TTL = 24 * 60 * 60; // seconds
+
+let subscriberPromise = null;
+
+// Subscribed connections cannot run other commands, so share one duplicate
+function getSubscriber() {
+  if (!subscriberPromise) {
+    const subscriber = getRedisClient().duplicate();
+    subscriber.on('error', (error) => {
+      logger.error('Redis subscriber error:', error);
+    });
+    subscriberPromise = subscriber.connect().then(() => subscriber);
+    subscriberPromise.catch(() => {
+      subscriberPromise = null;
+    });
+  }
+  return subscriberPromise;
+}
+
+export const progressEvents = {
+  /**
+   * Broadcast a processing stage change for a document
+   * @param {string} documentId - Document being processed
+   * @param {string} stage - queued, loading, splitting, embedding, saving, indexing, extracting, summarizing,
+   *   tagging, completed, failed or retrying
+   * @param {Object} details - Stage specific fields (current/total, chunkCount, error, ...)
+   */
+  async publish(documentId, stage, details = {}) {
+    const event = {
+      documentId,
+      stage,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      const redis = getRedisClient();
+      const payload = JSON.stringify(event);
+      await redis.set(`${LATEST_PREFIX}${documentId}`, payload, { EX: LATEST_TTL });
+      await redis.publish(`${CHANNEL_PREFIX}${documentId}`, payload);
+    } catch (error) {
+      // Progress is best effort; processing must not fail because of it
+      logger.debug(`Could not publish progress for ${documentId}:`, error.message);
+    }
+
+    return event;
+  },
+
+  /**
+   * Get the last event published for a document, if it is still cached
+   */
+  async getLatest(documentId) {
+    const payload = await getRedisClient().get(`${LATEST_PREFIX}${documentId}`);
+    return payload ? JSON.parse(payload) : null;
+  },
+
+  /**
+   * Listen to events for a document
+   * @returns {Promise<Function>} - Call to unsubscribe
+   */
+  async subscribe(documentId, listener) {
+    const subscriber = await getSubscriber();
+    const channel = `${CHANNEL_PREFIX}${documentId}`;
+    const handler = (message) => listener(JSON.parse(message));
+
+    await subscriber.subscribe(channel, handler);
+    return () => subscriber.unsubscribe(channel, handler).catch(() => {});
+  }
+};
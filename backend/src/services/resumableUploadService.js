@@ -0,0 +1,357 @@
+// services/resumableUploadService.js - Large uploads sent in parts that can be resumed after a dropped connection
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { getRedisClient } from '../config/redis.js';
+import { ARCHIVE_MIME_TYPE } from '../config/fileTypes.js';
+import { documentService } from './documentService.js';
+import { archiveService } from './archiveService.js';
+import { batchService } from './batchService.js';
+import storage, { STAGING_DIR } from './storage/index.js';
+import logger from '../utils/logger.js';
+
+export const MAX_RESUMABLE_UPLOAD_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024;
+export const RESUMABLE_UPLOAD_PART_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_PART_SIZE) || 8 * 1024 * 1024;
+// An upload that has not received a part for this long is abandoned and its parts are deleted
+const EXPIRY_MS = (parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 15 * 60 * 1000;
+// A finished upload is remembered this long, so a client that lost the response to complete can ask again
+const COMPLETED_TTL_MS = 60 * 60 * 1000;
+const COMPLETE_LOCK_MS = 10 * 60 * 1000;
+
+const EXPIRY_KEY = 'resumable_uploads:expiry';
+const uploadKey = (uploadId) => `resumable_upload:${uploadId}`;
+const partsKey = (uploadId) => `resumable_upload:${uploadId}:parts`;
+const lockKey = (uploadId) => `resumable_upload:${uploadId}:lock`;
+// Parts live in storage next to the documents, so any API node can take the next part
+const partStorageKey = (uploadId, index) => `${uploadId}.part${index}`;
+
+const uploadError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+class ResumableUploadService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start an upload. Parts are numbered from 0 and all have partSize bytes except the last.
+   * @param {Object} upload
+   * @param {string} upload.filename - Original file name
+   * @param {number} upload.size - Total size in bytes
+   * @param {string} upload.mimeType - One of UPLOADABLE_MIME_TYPES
+   * @param {string} [upload.checksum] - SHA-256 of the whole file, checked when the upload completes
+   * @param {string} [upload.duplicate] - 'reject' or 'link', as for a direct upload
+   * @param {number} [upload.maxRetries] - Overrides JOB_MAX_RETRIES for the processing job
+   * @param {Object} [upload.options] - Processing options for DocumentProcessor (ocr, ocrLanguage, chunking)
+   * @returns {Promise<Object>} - The upload state
+   */
+  async create({ filename, size, mimeType, checksum, duplicate, maxRetries, options }) {
+    const now = Date.now();
+    const upload = {
+      id: uuidv4(),
+      filename,
+      size,
+      mimeType,
+      checksum: checksum?.toLowerCase() || null,
+      partSize: RESUMABLE_UPLOAD_PART_SIZE,
+      partCount: Math.ceil(size / RESUMABLE_UPLOAD_PART_SIZE),
+      duplicate,
+      maxRetries,
+      options,
+      status: 'uploading',
+      documentId: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + EXPIRY_MS
+    };
+
+    const redis = getRedisClient();
+    await redis.set(uploadKey(upload.id), JSON.stringify(upload));
+    await redis.zAdd(EXPIRY_KEY, { score: upload.expiresAt, value: upload.id });
+
+    logger.info(`Resumable upload ${upload.id} started for ${filename} (${size} bytes in ${upload.partCount} parts)`);
+    return this.describe(upload, {});
+  }
+
+  /**
+   * Where an upload stands, so a client can send the parts that are missing
+   * @param {string} uploadId
+   * @returns {Promise<Object>}
+   */
+  async getState(uploadId) {
+    const upload = await this.load(uploadId);
+    return this.describe(upload, await this.getParts(uploadId));
+  }
+
+  /**
+   * Store one part. Sending a part again replaces it.
+   * @param {string} uploadId
+   * @param {number} index
+   * @param {Buffer} data
+   * @param {string} [checksum] - SHA-256 of the part, as sent by the client
+   * @returns {Promise<Object>} - The upload state afterwards
+   */
+  async appendPart(uploadId, index, data, checksum) {
+    const upload = await this.load(uploadId);
+    const redis = getRedisClient();
+    if (upload.status !== 'uploading' || await redis.exists(lockKey(uploadId))) {
+      throw uploadError('This upload is already complete or being completed', 409);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= upload.partCount) {
+      throw uploadError(`Part index must be between 0 and ${upload.partCount - 1}`, 400);
+    }
+
+    const expectedSize = Math.min(upload.partSize, upload.size - index * upload.partSize);
+    if (data.length !== expectedSize) {
+      throw uploadError(`Part ${index} must be ${expectedSize} bytes, got ${data.length}`, 400);
+    }
+
+    const digest = sha256(data);
+    if (checksum && checksum.toLowerCase() !== digest) {
+      throw uploadError(`Checksum mismatch for part ${index}`, 400);
+    }
+
+    await storage.put(partStorageKey(uploadId, index), data, { contentType: 'application/octet-stream' });
+
+    // Every part pushes the expiry back, so only uploads nobody is working on expire
+    upload.expiresAt = Date.now() + EXPIRY_MS;
+    await redis.hSet(partsKey(uploadId), String(index), JSON.stringify({ size: data.length, checksum: digest }));
+    await redis.set(uploadKey(uploadId), JSON.stringify(upload));
+    await redis.zAdd(EXPIRY_KEY, { score: upload.expiresAt, value: uploadId });
+
+    return this.describe(upload, await this.getParts(uploadId));
+  }
+
+  /**
+   * Join the parts, verify the checksum and register the file like a direct upload
+   * @param {string} uploadId
+   * @returns {Promise<{upload: Object, document?: Object|null, existing?: Object|null, batch?: Object, entries?: Array}>}
+   *   - The ingestFile result for documents, or the expandArchive result for ZIP archives
+   */
+  async complete(uploadId) {
+    const upload = await this.load(uploadId);
+    if (upload.status === 'completed') {
+      if (upload.batchId) {
+        const { batch, entries } = await batchService.getBatch(upload.batchId) || {};
+        if (!batch) {
+          throw uploadError('The batch of this upload no longer exists', 404);
+        }
+        return { upload: this.describe(upload, {}), batch, entries };
+      }
+      const result = await query('SELECT * FROM documents WHERE id = $1', [upload.documentId]);
+      return { upload: this.describe(upload, {}), document: result.rows[0] || null, existing: null };
+    }
+
+    const redis = getRedisClient();
+    const locked = await redis.set(lockKey(uploadId), '1', { NX: true, PX: COMPLETE_LOCK_MS });
+    if (!locked) {
+      throw uploadError('This upload is already being completed', 409);
+    }
+
+    let filePath = null;
+    try {
+      const parts = await this.getParts(uploadId);
+      const missing = [];
+      for (let index = 0; index < upload.partCount; index++) {
+        if (!parts[index]) missing.push(index);
+      }
+      if (missing.length > 0) {
+        throw uploadError(`Missing parts: ${missing.join(', ')}`, 400);
+      }
+
+      const filename = `${uuidv4()}${path.extname(upload.filename)}`;
+      filePath = path.join(STAGING_DIR, filename);
+      const digest = await this.assemble(upload, filePath);
+
+      if (upload.checksum && upload.checksum !== digest) {
+        await this.discard(uploadId, upload.partCount);
+        throw uploadError('Checksum mismatch: the assembled file does not match the checksum sent when the upload started', 400);
+      }
+
+      const { duplicate, maxRetries, options } = upload;
+      if (upload.mimeType === ARCHIVE_MIME_TYPE) {
+        const { batch, entries } = await archiveService.expandArchive({
+          filePath,
+          originalFilename: upload.filename,
+          maxRetries,
+          options
+        });
+        const completed = await this.markCompleted(upload, { batchId: batch.id });
+        logger.info(`Resumable upload ${uploadId} completed as batch ${batch.id}`);
+        return { upload: this.describe(completed, {}), batch, entries };
+      }
+
+      const file = { path: filePath, filename, originalname: upload.filename, size: upload.size, mimetype: upload.mimeType };
+      const { document, existing } = await documentService.ingestFile({ file, duplicate, maxRetries, options });
+      filePath = null;
+
+      if (!document) {
+        await this.discard(uploadId, upload.partCount);
+        return { upload: this.describe(upload, parts), document, existing };
+      }
+
+      const completed = await this.markCompleted(upload, { documentId: document.id });
+      logger.info(`Resumable upload ${uploadId} completed as document ${document.id}`);
+      return { upload: this.describe(completed, {}), document, existing };
+    } finally {
+      if (filePath) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+      await redis.del(lockKey(uploadId)).catch(() => {});
+    }
+  }
+
+  /**
+   * Cancel an upload and delete its parts
+   * @param {string} uploadId
+   */
+  async abort(uploadId) {
+    const upload = await this.load(uploadId);
+    await this.discard(uploadId, upload.partCount);
+    logger.info(`Resumable upload ${uploadId} aborted`);
+  }
+
+  // Parts are streamed into one staging file, hashing as they go
+  async assemble(upload, filePath) {
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+    const hash = crypto.createHash('sha256');
+    const output = createWriteStream(filePath);
+    let size = 0;
+
+    try {
+      for (let index = 0; index < upload.partCount; index++) {
+        for await (const chunk of await storage.get(partStorageKey(upload.id, index))) {
+          hash.update(chunk);
+          size += chunk.length;
+          if (!output.write(chunk)) {
+            await once(output, 'drain');
+          }
+        }
+      }
+      output.end();
+      await once(output, 'finish');
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    if (size !== upload.size) {
+      throw uploadError(`The parts add up to ${size} bytes, expected ${upload.size}`, 400);
+    }
+    return hash.digest('hex');
+  }
+
+  async load(uploadId) {
+    const value = await getRedisClient().get(uploadKey(uploadId));
+    const upload = value ? JSON.parse(value) : null;
+    if (!upload || (upload.status === 'uploading' && upload.expiresAt < Date.now())) {
+      throw uploadError('Upload not found or expired', 404);
+    }
+    return upload;
+  }
+
+  async getParts(uploadId) {
+    const fields = await getRedisClient().hGetAll(partsKey(uploadId));
+    return Object.fromEntries(Object.entries(fields).map(([index, part]) => [index, JSON.parse(part)]));
+  }
+
+  // Parts go; the completed state stays for COMPLETED_TTL_MS so repeating complete returns the same result
+  async markCompleted(upload, result) {
+    const redis = getRedisClient();
+    await this.deleteParts(upload.id, upload.partCount);
+    const completed = { ...upload, status: 'completed', ...result };
+    await redis.set(uploadKey(upload.id), JSON.stringify(completed), { PX: COMPLETED_TTL_MS });
+    await redis.zRem(EXPIRY_KEY, upload.id);
+    return completed;
+  }
+
+  describe(upload, parts) {
+    const received = Object.keys(parts).map(Number).sort((a, b) => a - b);
+    return {
+      upload_id: upload.id,
+      filename: upload.filename,
+      size: upload.size,
+      mime_type: upload.mimeType,
+      part_size: upload.partSize,
+      part_count: upload.partCount,
+      received_parts: received,
+      received_bytes: received.reduce((total, index) => total + parts[index].size, 0),
+      status: upload.status,
+      document_id: upload.documentId,
+      batch_id: upload.batchId,
+      created_at: upload.createdAt,
+      expires_at: new Date(upload.expiresAt).toISOString()
+    };
+  }
+
+  async deleteParts(uploadId, partCount) {
+    for (let index = 0; index < partCount; index++) {
+      await storage.delete(partStorageKey(uploadId, index)).catch((error) => {
+        logger.warn(`Could not delete part ${index} of upload ${uploadId}:`, error.message);
+      });
+    }
+    await getRedisClient().del(partsKey(uploadId));
+  }
+
+  async discard(uploadId, partCount) {
+    await this.deleteParts(uploadId, partCount);
+    const redis = getRedisClient();
+    await redis.del(uploadKey(uploadId));
+    await redis.zRem(EXPIRY_KEY, uploadId);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.expireAbandoned().catch((error) => logger.warn('Could not expire abandoned uploads:', error.message));
+    }, SWEEP_INTERVAL);
+    this.expireAbandoned().catch((error) => logger.warn('Could not expire abandoned uploads:', error.message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete the parts of uploads that stopped receiving them
+   * @returns {Promise<number>} - Number of uploads expired
+   */
+  async expireAbandoned() {
+    const redis = getRedisClient();
+    const due = await redis.zRangeByScore(EXPIRY_KEY, 0, Date.now());
+    let expired = 0;
+
+    for (const uploadId of due) {
+      // zRem only succeeds for one process, so two sweeps never expire the same upload
+      if (!await redis.zRem(EXPIRY_KEY, uploadId)) continue;
+
+      const value = await redis.get(uploadKey(uploadId));
+      const upload = value ? JSON.parse(value) : null;
+      // A part arrived after the sweep read the set; the upload is alive again
+      if (upload?.status === 'uploading' && upload.expiresAt > Date.now()) {
+        await redis.zAdd(EXPIRY_KEY, { score: upload.expiresAt, value: uploadId });
+        continue;
+      }
+
+      await this.discard(uploadId, upload?.partCount ?? 0);
+      expired++;
+    }
+
+    if (expired > 0) {
+      logger.info(`Expired ${expired} abandoned upload(s)`);
+    }
+    return expired;
+  }
+}
+
+const resumableUploadService = new ResumableUploadService();
+
+export default resumableUploadService;
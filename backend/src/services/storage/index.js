@@ -0,0 +1,50 @@
+// services/storage/index.js - Where uploaded files are kept: local disk or S3-compatible object storage
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { LocalStorage } from './localStorage.js';
+import { S3Storage } from './s3Storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+// Multer and the watch folders write here first; files move into storage once they are accepted
+export const STAGING_DIR = process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'dkm-uploads');
+
+/**
+ * A storage driver configured from the environment. Every driver stores files under flat keys
+ * (documents.filename, document_versions.filename) and provides:
+ * - put(key, source, {contentType}): store a Buffer or move a file from disk into storage
+ * - get(key, {start, end}): readable stream of the file or an inclusive byte range of it; rejects with code ENOENT
+ *   when missing
+ * - stat(key): {size, modifiedAt}, or null when missing
+ * - delete(key): remove the file; missing files are ignored
+ * - list(): async iterator over every key
+ * - withLocalCopy(key, fn): call fn with a path on local disk holding the file and return its result
+ * @param {string} [driver] - local or s3; defaults to STORAGE_DRIVER
+ */
+export function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.STORAGE_PATH || path.join(__dirname, '../../../uploads')
+      });
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"; use one of ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+const storage = createStorage();
+
+export default storage;
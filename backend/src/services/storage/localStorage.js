@@ -0,0 +1,73 @@
+// services/storage/localStorage.js - Stored files in a directory on local disk
+import path from 'path';
+import fs from 'fs/promises';
+
+export class LocalStorage {
+  /**
+   * @param {Object} config
+   * @param {string} config.root - Directory the files are kept in
+   */
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (path.dirname(filePath) !== path.resolve(this.root)) {
+      throw Object.assign(new Error(`Invalid storage key: ${key}`), { statusCode: 400 });
+    }
+    return filePath;
+  }
+
+  async put(key, source) {
+    const destination = this.resolve(key);
+    await fs.mkdir(this.root, { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fs.writeFile(destination, source);
+      return;
+    }
+
+    try {
+      await fs.rename(source, destination);
+    } catch (error) {
+      // The staging directory may be on another filesystem
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(source, destination);
+      await fs.unlink(source);
+    }
+  }
+
+  async get(key, { start, end } = {}) {
+    const filePath = this.resolve(key);
+    // Open first so a missing file rejects here rather than erroring on the stream later
+    const handle = await fs.open(filePath, 'r');
+    return handle.createReadStream({ start, end });
+  }
+
+  async stat(key) {
+    const stat = await fs.stat(this.resolve(key)).catch(() => null);
+    return stat?.isFile() ? { size: stat.size, modifiedAt: stat.mtime } : null;
+  }
+
+  async delete(key) {
+    await fs.unlink(this.resolve(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async *list() {
+    const entries = await fs.readdir(this.root, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      if (entry.isFile()) yield entry.name;
+    }
+  }
+
+  // Files are already on disk; loaders read them in place
+  async withLocalCopy(key, fn) {
+    const filePath = this.resolve(key);
+    await fs.access(filePath);
+    return fn(filePath);
+  }
+}
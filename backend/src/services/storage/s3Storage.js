@@ -0,0 +1,132 @@
+// services/storage/s3Storage.js - Stored files in an S3 bucket or an S3-compatible store such as MinIO
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { randomUUID } from 'crypto';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+export class S3Storage {
+  /**
+   * @param {Object} config
+   * @param {string} config.bucket
+   * @param {string} [config.prefix] - Prepended to every key, so one bucket can hold several installations
+   * @param {string} [config.region]
+   * @param {string} [config.endpoint] - For S3-compatible stores, e.g. http://localhost:9000 for MinIO
+   * @param {boolean} [config.forcePathStyle] - MinIO and most self-hosted stores need path-style URLs
+   * @param {string} [config.accessKeyId] - Without keys the SDK's default credential chain is used
+   * @param {string} [config.secretAccessKey]
+   */
+  constructor({ bucket, prefix = '', region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, source, { contentType } = {}) {
+    const body = Buffer.isBuffer(source) ? source : createReadStream(source);
+    const size = Buffer.isBuffer(source) ? source.length : (await fs.stat(source)).size;
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentLength: size,
+      ContentType: contentType
+    }));
+
+    if (!Buffer.isBuffer(source)) {
+      await fs.unlink(source).catch(() => {});
+    }
+  }
+
+  async get(key, { start, end } = {}) {
+    const range = start !== undefined || end !== undefined ? `bytes=${start ?? 0}-${end ?? ''}` : undefined;
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Range: range
+      }));
+      return response.Body;
+    } catch (error) {
+      throw notFound(error, key);
+    }
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  }
+
+  // Deleting a missing object succeeds in S3
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async *list() {
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken
+      }));
+      for (const object of page.Contents || []) {
+        const key = object.Key.slice(this.prefix.length);
+        if (key && !key.includes('/')) yield key;
+      }
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+  }
+
+  // Loaders need a path on disk, so the object is downloaded to a temporary file for the duration of fn
+  async withLocalCopy(key, fn) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dkm-'));
+    const filePath = path.join(directory, `${randomUUID()}${path.extname(key)}`);
+
+    try {
+      await pipeline(await this.get(key), createWriteStream(filePath));
+      return await fn(filePath);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+function isMissing(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+// Same shape as the error the local driver gives for a missing file
+function notFound(error, key) {
+  if (!isMissing(error)) return error;
+  return Object.assign(new Error(`Stored file not found: ${key}`), { code: 'ENOENT' });
+}
@@ -0,0 +1,199 @@
+// services/summaryService.js - Map-reduce summaries of documents with the chat model
+import ollamaService from '../config/ollama.js';
+import { query } from '../config/database.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import jobProcessor from './jobProcessor.js';
+import logger from '../utils/logger.js';
+
+const ENABLED = process.env.SUMMARY_ENABLED !== 'false';
+const MODEL = process.env.SUMMARY_MODEL || ollamaService.chatModel;
+const CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY) || 2;
+// Characters of text (chunks, or summaries on later rounds) sent in one request
+const SECTION_SIZE = parseInt(process.env.SUMMARY_SECTION_SIZE) || 6000;
+// Very long documents are summarized from evenly spaced sections rather than all of them
+const MAX_SECTIONS = parseInt(process.env.SUMMARY_MAX_SECTIONS) || 40;
+// A run that has been 'generating' this long is assumed to have died with its process
+const STALE_AFTER_MINUTES = 30;
+
+const summaryError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const summaryService = {
+  get enabled() {
+    return ENABLED;
+  },
+
+  /**
+   * Summarize the current version of a document and store the abstract and summary on it
+   * @param {string} documentId - A document with its own chunks (not a linked duplicate)
+   * @returns {Promise<{abstract: string, summary: string}|null>} - null when the document has no chunks
+   */
+  async generateForDocument(documentId) {
+    const chunks = await query(
+      `SELECT dc.content
+       FROM document_chunks dc
+       JOIN documents d ON d.id = dc.document_id AND dc.version = d.current_version
+       WHERE d.id = $1
+       ORDER BY dc.chunk_index`,
+      [documentId]
+    );
+    if (chunks.rows.length === 0) {
+      return null;
+    }
+
+    const document = await query('SELECT original_filename FROM documents WHERE id = $1', [documentId]);
+    await query(
+      `UPDATE documents SET summary_status = 'generating', summary_error = NULL, summary_started_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [documentId]
+    );
+
+    try {
+      const result = await this.summarize(chunks.rows.map(chunk => chunk.content), document.rows[0]?.original_filename);
+      await query(
+        `UPDATE documents
+         SET abstract = $2, summary = $3, summary_model = $4, summary_status = 'completed',
+             summary_generated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [documentId, result.abstract, result.summary, MODEL]
+      );
+      logger.info(`Summarized document ${documentId}`);
+      return result;
+    } catch (error) {
+      await query(
+        `UPDATE documents SET summary_status = 'failed', summary_error = $2 WHERE id = $1`,
+        [documentId, error.message]
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Map-reduce: summarize sections of the text, then summaries of summaries until they fit one request,
+   * then write the final summary and an abstract of it
+   * @param {string[]} texts - Chunk contents in document order
+   * @param {string} [title] - File name, given to the model as context
+   * @returns {Promise<{abstract: string, summary: string}>}
+   */
+  async summarize(texts, title = 'the document') {
+    let sections = pickEvenly(packTexts(texts, SECTION_SIZE), MAX_SECTIONS);
+    let round = 0;
+
+    while (sections.length > 1) {
+      const total = sections.length;
+      const prompt = round === 0
+        ? (section, i) => `Summarize part ${i + 1} of ${total} of "${title}" in a few sentences. Keep the names, figures and dates that matter.\n\n${section}`
+        : (section) => `Below are summaries of consecutive parts of "${title}". Merge them into one shorter summary that keeps the main points.\n\n${section}`;
+
+      const summaries = await mapWithConcurrency(sections, CONCURRENCY, (section, i) => this.generate(prompt(section, i)));
+      sections = packTexts(summaries, SECTION_SIZE);
+      round++;
+    }
+
+    const source = round === 0 ? 'text' : 'summaries of its parts';
+    const summary = await this.generate(
+      `Write a summary of "${title}" in one to three paragraphs, based on the ${source} below. Say what kind of document it is, what it covers and any key conclusions, names, figures and dates. Do not add information that is not there.\n\n${sections[0]}`
+    );
+    const abstract = await this.generate(
+      `Write a one or two sentence abstract of "${title}" from this summary. Reply with the abstract only.\n\n${summary}`
+    );
+
+    return { abstract, summary };
+  },
+
+  async generate(prompt) {
+    const text = await ollamaService.generate(prompt, { model: MODEL, temperature: 0.2 });
+    if (!text) {
+      throw new Error('The model returned an empty summary');
+    }
+    return text;
+  },
+
+  /**
+   * Summary of a document; linked duplicates share the summary of the document they point to
+   * @param {string} documentId
+   * @returns {Promise<Object|null>} - null if the document does not exist
+   */
+  async getSummary(documentId) {
+    const result = await query(
+      `SELECT d.id as document_id, o.id as source_document_id, o.abstract, o.summary, o.summary_model,
+              o.summary_status, o.summary_error, o.summary_generated_at, o.status
+       FROM documents d
+       JOIN documents o ON o.id = COALESCE(d.canonical_document_id, d.id)
+       WHERE d.id = $1`,
+      [documentId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Queue a new summary run of a document for the worker
+   * @param {string} documentId
+   * @returns {Promise<Object>} - The summary state after the run was started
+   */
+  async regenerate(documentId) {
+    const current = await this.getSummary(documentId);
+    if (!current) {
+      throw summaryError('Document not found', 404);
+    }
+    if (current.status !== 'completed') {
+      throw summaryError('The document has not finished processing', 409);
+    }
+
+    // Claiming the run in the UPDATE keeps two requests from starting it twice
+    const claimed = await query(
+      `UPDATE documents SET summary_status = 'generating', summary_error = NULL, summary_started_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+         AND (summary_status IS DISTINCT FROM 'generating'
+              OR summary_started_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_AFTER_MINUTES} minutes')
+       RETURNING id`,
+      [current.source_document_id]
+    );
+
+    if (claimed.rows.length > 0) {
+      try {
+        await jobProcessor.enqueueSummary(current.source_document_id);
+      } catch (error) {
+        await query(
+          `UPDATE documents SET summary_status = 'failed', summary_error = $2 WHERE id = $1`,
+          [current.source_document_id, error.message]
+        );
+        throw error;
+      }
+    }
+
+    return { ...current, summary_status: 'generating', summary_error: null };
+  }
+};
+
+// Join consecutive texts into sections of at most maxSize characters; a longer text is cut
+function packTexts(texts, maxSize) {
+  const sections = [];
+  let current = '';
+
+  for (const text of texts.flatMap(text => splitLong(text, maxSize))) {
+    if (current && current.length + text.length + 2 > maxSize) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${text}` : text;
+  }
+  if (current) sections.push(current);
+
+  return sections;
+}
+
+function splitLong(text, maxSize) {
+  const parts = [];
+  for (let start = 0; start < text.length; start += maxSize) {
+    parts.push(text.slice(start, start + maxSize));
+  }
+  return parts;
+}
+
+function pickEvenly(items, max) {
+  if (items.length <= max) {
+    return items;
+  }
+  logger.info(`Summarizing ${max} of ${items.length} sections`);
+  return Array.from({ length: max }, (_, i) => items[Math.floor((i * items.length) / max)]);
+}
@@ -0,0 +1,273 @@
+// services/tagService.js - Document tags: automatic keyphrases plus tags added, renamed and removed by hand
+import { query } from '../config/database.js';
+import { keyphraseExtractor } from './keyphraseExtractor.js';
+import logger from '../utils/logger.js';
+
+const tagError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Resolving and linking tags is repeated this often when a concurrent cleanup deletes a tag in between
+const TAG_ATTEMPTS = 3;
+
+// Tags are matched case- and whitespace-insensitively
+export const normalizeTag = (name) => String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * WHERE condition keeping documents that carry every one of the given tags
+ * @param {Array<string>} [tags] - Tag names
+ * @param {number} startIndex - Index of the first placeholder to use
+ * @param {string} [documentId] - SQL expression for the id of the document that owns the tags
+ * @returns {{conditions: Array<string>, params: Array, nextIndex: number}}
+ */
+export function buildTagFilter(tags, startIndex, documentId = 'd.id') {
+  const names = [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+  if (names.length === 0) {
+    return { conditions: [], params: [], nextIndex: startIndex };
+  }
+
+  return {
+    conditions: [
+      `(SELECT COUNT(*) FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+        WHERE dt.document_id = ${documentId} AND dt.removed_at IS NULL
+          AND t.normalized_name = ANY($${startIndex}::text[])) = cardinality($${startIndex}::text[])`
+    ],
+    params: [names],
+    nextIndex: startIndex + 1
+  };
+}
+
+export const tagService = {
+  get enabled() {
+    return keyphraseExtractor.enabled;
+  },
+
+  /**
+   * Replace the automatic tags of a document with its current keyphrases. Manual tags stay, and automatic
+   * tags removed by hand are not added back.
+   * @param {string} documentId - A document with its own chunks (not a linked duplicate)
+   * @returns {Promise<number>} - Number of keyphrases found
+   */
+  async generateForDocument(documentId) {
+    const keyphrases = await keyphraseExtractor.extract(documentId);
+
+    const detached = await query(
+      `DELETE FROM document_tags WHERE document_id = $1 AND source = 'auto' AND removed_at IS NULL
+       RETURNING tag_id`,
+      [documentId]
+    );
+
+    if (keyphrases.length > 0) {
+      await this.linkTags(keyphrases.map(keyphrase => keyphrase.name), (tagIds) => query(
+        `INSERT INTO document_tags (document_id, tag_id, source, score)
+         SELECT $1, tag_id, 'auto', score FROM unnest($2::uuid[], $3::real[]) AS k(tag_id, score)
+         ON CONFLICT (document_id, tag_id) DO NOTHING`,
+        [documentId, tagIds, keyphrases.map(keyphrase => keyphrase.score)]
+      ));
+    }
+
+    await this.deleteUnusedTags(detached.rows.map(row => row.tag_id));
+    logger.info(`Tagged document ${documentId} with ${keyphrases.length} keyphrases`);
+    return keyphrases.length;
+  },
+
+  /**
+   * Ids of the tags with these names, creating the missing ones; a name a tag was renamed from finds that tag
+   * @param {Array<string>} names
+   * @returns {Promise<Array<string>>} - In the order of names
+   */
+  async resolveTags(names) {
+    const normalized = names.map(normalizeTag);
+
+    for (let attempt = 1; ; attempt++) {
+      await query(
+        `INSERT INTO tags (name, normalized_name)
+         SELECT n.name, n.normalized_name FROM unnest($1::text[], $2::text[]) AS n(name, normalized_name)
+         WHERE NOT EXISTS (SELECT 1 FROM tags t WHERE n.normalized_name = ANY(t.aliases))
+         ON CONFLICT (normalized_name) DO NOTHING`,
+        [names.map(name => name.replace(/\s+/g, ' ').trim()), normalized]
+      );
+      const result = await query(
+        `SELECT id, normalized_name, aliases FROM tags
+         WHERE normalized_name = ANY($1::text[]) OR aliases && $1::text[]`,
+        [normalized]
+      );
+
+      const ids = normalized.map(name => {
+        const tag = result.rows.find(row => row.normalized_name === name)
+          || result.rows.find(row => row.aliases.includes(name));
+        return tag?.id;
+      });
+      if (ids.every(Boolean)) {
+        return ids;
+      }
+
+      // Another job deleted an unused tag between the insert and the select; create it again
+      if (attempt >= TAG_ATTEMPTS) {
+        throw new Error(`Could not resolve tags: ${normalized.filter((_, i) => !ids[i]).join(', ')}`);
+      }
+    }
+  },
+
+  /**
+   * Resolve tags and link them to a document. A tag deleted as unused by another job after it was resolved
+   * makes the link fail on its foreign key, so both steps are repeated.
+   * @param {Array<string>} names
+   * @param {function(Array<string>): Promise} link - Inserts the document_tags rows for the resolved tag ids
+   */
+  async linkTags(names, link) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await link(await this.resolveTags(names));
+      } catch (error) {
+        if (error.code !== '23503' || attempt >= TAG_ATTEMPTS) throw error;
+      }
+    }
+  },
+
+  /**
+   * Tags of a document; linked duplicates share the tags of the document they point to
+   * @param {string} documentId
+   * @returns {Promise<Array<{id: string, name: string, source: string, score: number|null}>>}
+   */
+  async getDocumentTags(documentId) {
+    const result = await query(
+      `SELECT t.id, t.name, dt.source, dt.score
+       FROM documents d
+       JOIN document_tags dt ON dt.document_id = COALESCE(d.canonical_document_id, d.id)
+       JOIN tags t ON t.id = dt.tag_id
+       WHERE d.id = $1 AND dt.removed_at IS NULL
+       ORDER BY dt.source = 'manual' DESC, dt.score DESC NULLS LAST, t.name`,
+      [documentId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Tag a document by hand
+   * @param {string} documentId
+   * @param {string} name
+   * @returns {Promise<Array<Object>>} - The document's tags afterwards
+   */
+  async addTag(documentId, name) {
+    const ownerId = await this.resolveOwner(documentId);
+
+    // Adding back an automatic tag that was removed makes it a manual one
+    await this.linkTags([name], ([tagId]) => query(
+      `INSERT INTO document_tags (document_id, tag_id, source)
+       VALUES ($1, $2, 'manual')
+       ON CONFLICT (document_id, tag_id) DO UPDATE
+       SET source = CASE WHEN document_tags.removed_at IS NULL THEN document_tags.source ELSE 'manual' END,
+           removed_at = NULL`,
+      [ownerId, tagId]
+    ));
+    return this.getDocumentTags(documentId);
+  },
+
+  /**
+   * Take a tag off a document. An automatic tag is remembered as removed so re-extraction leaves it off.
+   * @param {string} documentId
+   * @param {string} tagId
+   * @returns {Promise<Array<Object>>} - The document's tags afterwards
+   */
+  async removeTag(documentId, tagId) {
+    const ownerId = await this.resolveOwner(documentId);
+
+    const removed = await query(
+      `WITH manual AS (
+         DELETE FROM document_tags WHERE document_id = $1 AND tag_id = $2 AND source = 'manual' RETURNING tag_id
+       ), auto AS (
+         UPDATE document_tags SET removed_at = CURRENT_TIMESTAMP
+         WHERE document_id = $1 AND tag_id = $2 AND source = 'auto' AND removed_at IS NULL RETURNING tag_id
+       )
+       SELECT tag_id FROM manual UNION ALL SELECT tag_id FROM auto`,
+      [ownerId, tagId]
+    );
+    if (removed.rows.length === 0) {
+      throw tagError('Tag not found on this document', 404);
+    }
+
+    await this.deleteUnusedTags([tagId]);
+    return this.getDocumentTags(documentId);
+  },
+
+  /**
+   * Rename a tag everywhere. Renaming to the name of another tag merges the two.
+   * @param {string} tagId
+   * @param {string} name
+   * @returns {Promise<{id: string, name: string}>} - The tag that now carries the name
+   */
+  async renameTag(tagId, name) {
+    const normalized = normalizeTag(name);
+    const tagResult = await query('SELECT id, normalized_name, aliases FROM tags WHERE id = $1', [tagId]);
+    if (tagResult.rows.length === 0) {
+      throw tagError('Tag not found', 404);
+    }
+    const tag = tagResult.rows[0];
+
+    const other = await query('SELECT id FROM tags WHERE normalized_name = $1 AND id != $2', [normalized, tagId]);
+    if (other.rows.length === 0) {
+      const renamed = await query(
+        `UPDATE tags
+         SET name = $2, normalized_name = $3,
+             aliases = CASE WHEN normalized_name = $3 THEN aliases
+                            ELSE array_remove(array_append(aliases, normalized_name), $3) END
+         WHERE id = $1
+         RETURNING id, name`,
+        [tagId, name.replace(/\s+/g, ' ').trim(), normalized]
+      );
+      return renamed.rows[0];
+    }
+
+    // Merge: documents keep the strongest claim (manual over automatic, present over removed)
+    const targetId = other.rows[0].id;
+    await query(
+      `INSERT INTO document_tags (document_id, tag_id, source, score, removed_at, created_at)
+       SELECT document_id, $2, source, score, removed_at, created_at FROM document_tags WHERE tag_id = $1
+       ON CONFLICT (document_id, tag_id) DO UPDATE
+       SET source = CASE WHEN 'manual' IN (document_tags.source, EXCLUDED.source) THEN 'manual' ELSE 'auto' END,
+           score = GREATEST(document_tags.score, EXCLUDED.score),
+           removed_at = CASE WHEN document_tags.removed_at IS NULL OR EXCLUDED.removed_at IS NULL THEN NULL
+                             ELSE document_tags.removed_at END`,
+      [tagId, targetId]
+    );
+    await query('DELETE FROM tags WHERE id = $1', [tagId]);
+    const merged = await query(
+      `UPDATE tags SET aliases = ARRAY(SELECT DISTINCT unnest(aliases || $2::text[]))
+       WHERE id = $1
+       RETURNING id, name`,
+      [targetId, [tag.normalized_name, ...tag.aliases]]
+    );
+
+    logger.info(`Merged tag ${tagId} into ${targetId}`);
+    return merged.rows[0];
+  },
+
+  /**
+   * Remove a tag from every document
+   * @param {string} tagId
+   */
+  async deleteTag(tagId) {
+    const result = await query('DELETE FROM tags WHERE id = $1 RETURNING id', [tagId]);
+    if (result.rows.length === 0) {
+      throw tagError('Tag not found', 404);
+    }
+  },
+
+  // Tags only live as long as a document carries them (or remembers removing them). Only the tags a caller
+  // detached are checked, so a tag another job has just created and not yet linked is left alone.
+  async deleteUnusedTags(tagIds) {
+    if (tagIds.length === 0) return;
+    await query(
+      `DELETE FROM tags t
+       WHERE t.id = ANY($1::uuid[]) AND NOT EXISTS (SELECT 1 FROM document_tags dt WHERE dt.tag_id = t.id)`,
+      [tagIds]
+    );
+  },
+
+  async resolveOwner(documentId) {
+    const result = await query('SELECT COALESCE(canonical_document_id, id) as id FROM documents WHERE id = $1', [documentId]);
+    if (result.rows.length === 0) {
+      throw tagError('Document not found', 404);
+    }
+    return result.rows[0].id;
+  }
+};
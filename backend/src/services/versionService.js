@@ -0,0 +1,228 @@
+// services/versionService.js - Revisions of a document and chunk-level diffs between them
+import path from 'path';
+import fs from 'fs/promises';
+import { query } from '../config/database.js';
+import jobProcessor from './jobProcessor.js';
+import storage from './storage/index.js';
+import logger from '../utils/logger.js';
+
+const versionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const versionService = {
+  /**
+   * Make an uploaded file the next version of a document and queue it for processing.
+   * Earlier versions keep their file and chunks; the document id stays the same.
+   * @param {Object} revision
+   * @param {string} revision.documentId
+   * @param {Object} revision.file - multer file in the staging directory; it is moved into storage
+   * @param {string} revision.contentHash - SHA-256 of the file
+   * @param {number} [revision.maxRetries] - Overrides JOB_MAX_RETRIES for the processing job
+   * @param {Object} [revision.options] - Processing options for DocumentProcessor (ocr, ocrLanguage, chunking)
+   * @returns {Promise<{document: Object, version: Object}>}
+   */
+  async createVersion({ documentId, file, contentHash, maxRetries, options }) {
+    try {
+      const existing = await query('SELECT * FROM documents WHERE id = $1', [documentId]);
+      const document = existing.rows[0];
+
+      if (!document) {
+        throw versionError('Document not found', 404);
+      }
+      if (document.canonical_document_id) {
+        throw versionError('This upload is linked to an identical document; add versions to that document instead', 409);
+      }
+      if (document.parent_document_id) {
+        throw versionError('Extracted documents are replaced when their parent is reprocessed; version the parent instead', 400);
+      }
+      if (['pending', 'processing'].includes(document.status)) {
+        throw versionError('The current version is still being processed', 409);
+      }
+      if (document.content_hash === contentHash) {
+        throw versionError(`Version ${document.current_version} already has this content`, 409);
+      }
+    } catch (error) {
+      await fs.unlink(file.path).catch(() => {});
+      throw error;
+    }
+
+    await storage.put(file.filename, file.path, { contentType: file.mimetype });
+
+    // Documents that were never revised have no version rows yet; record the current one first
+    await query(
+      `INSERT INTO document_versions
+       (document_id, version, filename, original_filename, file_size, mime_type, content_hash, status, chunk_count, processed_date, created_at)
+       SELECT id, current_version, filename, original_filename, file_size, mime_type, content_hash, status, chunk_count, processed_date, upload_date
+       FROM documents WHERE id = $1
+       ON CONFLICT (document_id, version) DO NOTHING`,
+      [documentId]
+    );
+
+    // Incrementing in the UPDATE claims the version number even if two revisions arrive at once
+    let updated;
+    try {
+      updated = await query(
+        `UPDATE documents
+         SET current_version = current_version + 1, filename = $2, original_filename = $3, file_size = $4,
+             mime_type = $5, content_type = $6, content_hash = $7, status = 'pending', chunk_count = 0,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [
+          documentId,
+          file.filename,
+          file.originalname,
+          file.size,
+          file.mimetype,
+          path.extname(file.originalname).slice(1).toLowerCase(),
+          contentHash
+        ]
+      );
+    } catch (error) {
+      await storage.delete(file.filename).catch(() => {});
+      // Only one original may hold a given content
+      if (error.code === '23505') {
+        throw versionError('Another document already has this content', 409);
+      }
+      throw error;
+    }
+    const document = updated.rows[0];
+
+    const versionResult = await query(
+      `INSERT INTO document_versions
+       (document_id, version, filename, original_filename, file_size, mime_type, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [documentId, document.current_version, file.filename, file.originalname, file.size, file.mimetype, contentHash]
+    );
+
+    try {
+      await jobProcessor.enqueueDocument({
+        documentId,
+        fileKey: file.filename,
+        mimeType: file.mimetype,
+        maxRetries,
+        // A revision is chunked like the version before it unless the upload chose a strategy
+        options: { ...options, chunking: options?.chunking ?? document.metadata?.chunking, version: document.current_version }
+      });
+    } catch (queueError) {
+      logger.warn(`Failed to queue version ${document.current_version} of ${documentId}:`, queueError.message);
+    }
+
+    logger.info(`Document ${documentId} updated to version ${document.current_version}`);
+    return { document, version: versionResult.rows[0] };
+  },
+
+  /**
+   * List the versions of a document, oldest first
+   * @param {string} documentId
+   * @returns {Promise<Array<Object>|null>} - null if the document does not exist
+   */
+  async listVersions(documentId) {
+    const document = await getVersionOwner(documentId);
+    if (!document) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT version, original_filename, file_size, mime_type, content_hash, status, chunk_count, processed_date, created_at
+       FROM document_versions
+       WHERE document_id = $1
+       ORDER BY version`,
+      [document.id]
+    );
+    if (result.rows.length > 0) {
+      return result.rows;
+    }
+
+    // Never revised: the document itself is version 1
+    return [{
+      version: document.current_version,
+      original_filename: document.original_filename,
+      file_size: document.file_size,
+      mime_type: document.mime_type,
+      content_hash: document.content_hash,
+      status: document.status,
+      chunk_count: document.chunk_count,
+      processed_date: document.processed_date,
+      created_at: document.upload_date
+    }];
+  },
+
+  /**
+   * Compare the chunks of two versions. Chunks are matched by content hash, so a chunk that only
+   * moved (e.g. because a paragraph was inserted above it) counts as unchanged.
+   * @param {string} documentId
+   * @param {number} fromVersion
+   * @param {number} toVersion
+   * @returns {Promise<Object>} - Added and removed chunks with their content, unchanged chunk index pairs
+   */
+  async diffVersions(documentId, fromVersion, toVersion) {
+    const document = await getVersionOwner(documentId);
+    if (!document) {
+      throw versionError('Document not found', 404);
+    }
+
+    for (const version of [fromVersion, toVersion]) {
+      if (version < 1 || version > document.current_version) {
+        throw versionError(`Version ${version} does not exist; the document has ${document.current_version} version(s)`, 404);
+      }
+    }
+
+    const chunksResult = await query(
+      `SELECT version, chunk_index, content, content_hash, page_number, section_title
+       FROM document_chunks
+       WHERE document_id = $1 AND version = ANY($2::int[])
+       ORDER BY version, chunk_index`,
+      [document.id, [fromVersion, toVersion]]
+    );
+    const fromChunks = chunksResult.rows.filter(chunk => chunk.version === fromVersion);
+    const toChunks = chunksResult.rows.filter(chunk => chunk.version === toVersion);
+
+    // Queue of unmatched old chunks per hash, so repeated identical chunks pair up one-to-one
+    const unmatched = new Map();
+    for (const chunk of fromChunks) {
+      if (!unmatched.has(chunk.content_hash)) unmatched.set(chunk.content_hash, []);
+      unmatched.get(chunk.content_hash).push(chunk);
+    }
+
+    const added = [];
+    const unchanged = [];
+    for (const chunk of toChunks) {
+      const match = unmatched.get(chunk.content_hash)?.shift();
+      if (match) {
+        unchanged.push({ from_index: match.chunk_index, to_index: chunk.chunk_index });
+      } else {
+        added.push(describeChunk(chunk));
+      }
+    }
+    const removed = [...unmatched.values()].flat()
+      .sort((a, b) => a.chunk_index - b.chunk_index)
+      .map(describeChunk);
+
+    return {
+      document_id: document.id,
+      from: fromVersion,
+      to: toVersion,
+      summary: { added: added.length, removed: removed.length, unchanged: unchanged.length },
+      added,
+      removed,
+      unchanged
+    };
+  }
+};
+
+// Linked duplicates share the versions of the document they point to
+async function getVersionOwner(documentId) {
+  const result = await query(
+    `SELECT o.*
+     FROM documents d
+     JOIN documents o ON o.id = COALESCE(d.canonical_document_id, d.id)
+     WHERE d.id = $1`,
+    [documentId]
+  );
+  return result.rows[0] || null;
+}
+
+function describeChunk({ chunk_index, content, page_number, section_title }) {
+  return { chunk_index, content, page_number, section_title };
+}
@@ -0,0 +1,659 @@
+// services/watchFolderService.js - Ingest files dropped into watched directories and follow their changes
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import chokidar from 'chokidar';
+import picomatch from 'picomatch';
+import { query } from '../config/database.js';
+import { getRedisClient } from '../config/redis.js';
+import { SUPPORTED_MIME_TYPES, MAX_UPLOAD_SIZE, resolveMimeType } from '../config/fileTypes.js';
+import { documentService } from './documentService.js';
+import { STAGING_DIR } from './storage/index.js';
+import { versionService } from './versionService.js';
+import { tagService } from './tagService.js';
+import logger from '../utils/logger.js';
+
+const LOCK_KEY = 'watch_folders:lock';
+
+// Hidden files, Office lock files and the partial files browsers and copy tools write before renaming
+const isTemporary = picomatch(['**/.*', '**/~$*', '**/*.tmp', '**/*.part', '**/*.crdownload', '**/*.swp'], { dot: true });
+
+const watchError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Columns an admin may set, with the name the API uses for each
+const SETTINGS = {
+  path: 'path',
+  recursive: 'recursive',
+  include: 'include_patterns',
+  exclude: 'exclude_patterns',
+  default_tags: 'default_tags',
+  use_polling: 'use_polling',
+  enabled: 'enabled'
+};
+
+const FOLDER_COLUMNS = `
+  wf.*,
+  COUNT(f.relative_path) FILTER (WHERE f.status = 'ingested')::int as ingested_files,
+  COUNT(f.relative_path) FILTER (WHERE f.status = 'skipped')::int as skipped_files,
+  COUNT(f.relative_path) FILTER (WHERE f.status = 'failed')::int as failed_files`;
+
+class WatchFolderService {
+  constructor() {
+    this.enabled = process.env.WATCH_FOLDERS_ENABLED !== 'false';
+    this.syncInterval = parseInt(process.env.WATCH_FOLDER_SYNC_INTERVAL) || 10000;
+    // How long a file must stay the same size before it counts as written
+    this.stabilityThreshold = parseInt(process.env.WATCH_FOLDER_STABILITY_MS) || 2000;
+    this.pollInterval = parseInt(process.env.WATCH_FOLDER_POLL_INTERVAL) || 5000;
+    this.roots = (process.env.WATCH_FOLDER_ROOTS || '').split(',').map(root => root.trim()).filter(Boolean).map(root => path.resolve(root));
+    this.workerId = randomUUID();
+    this.running = false;
+    this.timer = null;
+    this.lastSyncError = null;
+    // folder id -> { folder, watcher, matches, seen }; seen collects the initial scan until 'ready'
+    this.watchers = new Map();
+    this.pending = new Map();
+    // Files are handled one at a time so an add and a quick change of the same file cannot race
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Watch folders with file counts, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listFolders() {
+    const result = await query(
+      `SELECT ${FOLDER_COLUMNS}
+       FROM watch_folders wf
+       LEFT JOIN watch_folder_files f ON f.watch_folder_id = wf.id
+       GROUP BY wf.id
+       ORDER BY wf.created_at`
+    );
+    return result.rows;
+  }
+
+  async getFolder(folderId) {
+    const result = await query(
+      `SELECT ${FOLDER_COLUMNS}
+       FROM watch_folders wf
+       LEFT JOIN watch_folder_files f ON f.watch_folder_id = wf.id
+       WHERE wf.id = $1
+       GROUP BY wf.id`,
+      [folderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Files seen in a folder, most recently handled first
+   * @param {string} folderId
+   * @param {Object} filters - page, limit and optionally status
+   * @returns {Promise<{files: Array<Object>, total: number}|null>} - null if the folder does not exist
+   */
+  async listFiles(folderId, { page, limit, status }) {
+    const folder = await query('SELECT id FROM watch_folders WHERE id = $1', [folderId]);
+    if (folder.rows.length === 0) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT f.relative_path, f.document_id, f.file_size, f.modified_at, f.status, f.error, f.updated_at,
+              d.status as document_status
+       FROM watch_folder_files f
+       LEFT JOIN documents d ON d.id = f.document_id
+       WHERE f.watch_folder_id = $1 AND ($2::text IS NULL OR f.status = $2)
+       ORDER BY f.updated_at DESC, f.relative_path
+       LIMIT $3 OFFSET $4`,
+      [folderId, status || null, limit, (page - 1) * limit]
+    );
+    const count = await query(
+      'SELECT COUNT(*) FROM watch_folder_files WHERE watch_folder_id = $1 AND ($2::text IS NULL OR status = $2)',
+      [folderId, status || null]
+    );
+
+    return { files: result.rows, total: parseInt(count.rows[0].count) };
+  }
+
+  /**
+   * Start watching a directory. Files already in it are ingested by the first scan.
+   * @param {Object} settings - Validated path, recursive, include, exclude, default_tags, use_polling, enabled
+   * @returns {Promise<Object>}
+   */
+  async createFolder(settings) {
+    const folderPath = await this.checkPath(settings.path);
+
+    const existing = await query('SELECT id FROM watch_folders WHERE path = $1', [folderPath]);
+    if (existing.rows.length > 0) {
+      throw watchError(`${folderPath} is already watched`, 409);
+    }
+
+    const columns = Object.keys(settings).filter(key => SETTINGS[key]);
+    const values = columns.map(key => (key === 'path' ? folderPath : settings[key]));
+    const result = await query(
+      `INSERT INTO watch_folders (${columns.map(key => SETTINGS[key]).join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      values
+    );
+
+    logger.info(`Watch folder added: ${folderPath}`);
+    this.requestSync();
+    return this.getFolder(result.rows[0].id);
+  }
+
+  /**
+   * Change the settings of a folder; its watcher restarts and rescans with them. Files the new settings no longer
+   * pick up stop being watched and keep their documents, unless removeUnmatched is set.
+   * @param {string} folderId
+   * @param {Object} changes - Validated settings to change
+   * @param {{removeUnmatched?: boolean}} [options]
+   * @returns {Promise<Object|null>} - null if the folder does not exist
+   */
+  async updateFolder(folderId, changes, { removeUnmatched = false } = {}) {
+    const updates = { ...changes };
+    if (updates.path !== undefined) {
+      updates.path = await this.checkPath(updates.path);
+    }
+
+    const columns = Object.keys(updates).filter(key => SETTINGS[key]);
+    const result = await query(
+      `UPDATE watch_folders
+       SET ${columns.map((key, i) => `${SETTINGS[key]} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [folderId, ...columns.map(key => updates[key])]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    if (removeUnmatched) {
+      const folder = await query('SELECT * FROM watch_folders WHERE id = $1', [folderId]);
+      const matches = matchesSettings(folder.rows[0]);
+      const known = await query('SELECT * FROM watch_folder_files WHERE watch_folder_id = $1', [folderId]);
+      for (const file of known.rows.filter(file => !matches(file.relative_path))) {
+        await this.removeFile(folder.rows[0], file, 'no longer matches the settings of');
+      }
+    }
+
+    this.requestSync();
+    return this.getFolder(folderId);
+  }
+
+  /**
+   * Stop watching a folder. Its documents stay unless removeDocuments is set.
+   * @param {string} folderId
+   * @param {{removeDocuments?: boolean}} [options]
+   * @returns {Promise<boolean>} - false if the folder does not exist
+   */
+  async deleteFolder(folderId, { removeDocuments = false } = {}) {
+    const documents = removeDocuments
+      ? await query('SELECT DISTINCT document_id FROM watch_folder_files WHERE watch_folder_id = $1 AND document_id IS NOT NULL', [folderId])
+      : { rows: [] };
+
+    const result = await query('DELETE FROM watch_folders WHERE id = $1 RETURNING path', [folderId]);
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    for (const { document_id: documentId } of documents.rows) {
+      await documentService.deleteDocument(documentId);
+    }
+
+    logger.info(`Watch folder removed: ${result.rows[0].path} (${documents.rows.length} documents deleted)`);
+    this.requestSync();
+    return true;
+  }
+
+  /**
+   * Scan a folder again: new and changed files are ingested, files that are gone are removed
+   * @param {string} folderId
+   * @returns {Promise<Object|null>} - null if the folder does not exist
+   */
+  async rescan(folderId) {
+    const result = await query(
+      'UPDATE watch_folders SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+      [folderId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    this.requestSync();
+    return this.getFolder(folderId);
+  }
+
+  // Watched paths must be absolute, exist, and lie inside WATCH_FOLDER_ROOTS when that is set
+  async checkPath(folderPath) {
+    if (!path.isAbsolute(folderPath)) {
+      throw watchError('path must be absolute', 400);
+    }
+
+    const resolved = path.resolve(folderPath);
+    if (this.roots.length > 0 && !this.roots.some(root => resolved === root || resolved.startsWith(`${root}${path.sep}`))) {
+      throw watchError(`path must be inside one of WATCH_FOLDER_ROOTS (${this.roots.join(', ')})`, 400);
+    }
+
+    const stat = await fs.stat(resolved).catch(() => null);
+    if (!stat?.isDirectory()) {
+      throw watchError(`${resolved} is not a directory`, 400);
+    }
+    return resolved;
+  }
+
+  /**
+   * Watch the enabled folders. Only one process holds the lock and watches at a time; the others
+   * take over if it stops renewing it.
+   */
+  async start() {
+    if (!this.enabled || this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.addConfiguredFolders();
+    } catch (error) {
+      logger.warn('Could not register WATCH_FOLDERS:', error.message);
+    }
+
+    this.tick();
+    logger.info('Watch folder service started');
+  }
+
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.closeAll();
+    await this.queue;
+
+    try {
+      const redis = getRedisClient();
+      if (await redis.get(LOCK_KEY) === this.workerId) {
+        await redis.del(LOCK_KEY);
+      }
+    } catch {
+      // The lock expires on its own
+    }
+    logger.info('Watch folder service stopped');
+  }
+
+  async tick() {
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      await this.sync();
+      this.lastSyncError = null;
+    } catch (error) {
+      if (error.message !== this.lastSyncError) {
+        logger.warn('Watch folder sync failed:', error.message);
+        this.lastSyncError = error.message;
+      }
+    }
+
+    if (this.running) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.tick(), this.syncInterval);
+    }
+  }
+
+  // Settings changed through the API take effect now in this process, or on the next sync elsewhere
+  requestSync() {
+    if (this.running) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.tick(), 0);
+    }
+  }
+
+  // Directories listed in WATCH_FOLDERS are watched with the default settings
+  async addConfiguredFolders() {
+    const paths = (process.env.WATCH_FOLDERS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    for (const folderPath of paths) {
+      await query('INSERT INTO watch_folders (path) VALUES ($1) ON CONFLICT (path) DO NOTHING', [path.resolve(folderPath)]);
+    }
+  }
+
+  /**
+   * Open watchers for enabled folders, and restart those whose settings changed since they were opened
+   */
+  async sync() {
+    if (!(await this.holdLock())) {
+      await this.closeAll();
+      return;
+    }
+
+    const result = await query('SELECT * FROM watch_folders WHERE enabled');
+    const folders = new Map(result.rows.map(folder => [folder.id, folder]));
+
+    for (const [folderId, entry] of this.watchers) {
+      const folder = folders.get(folderId);
+      if (!folder || folder.updated_at.getTime() !== entry.folder.updated_at.getTime()) {
+        await this.close(folderId);
+      }
+    }
+
+    for (const folder of folders.values()) {
+      if (!this.watchers.has(folder.id)) {
+        await this.open(folder);
+      }
+    }
+  }
+
+  async holdLock() {
+    const redis = getRedisClient();
+    const ttl = this.syncInterval * 3;
+
+    if (await redis.set(LOCK_KEY, this.workerId, { NX: true, PX: ttl })) {
+      return true;
+    }
+    if (await redis.get(LOCK_KEY) === this.workerId) {
+      await redis.pExpire(LOCK_KEY, ttl);
+      return true;
+    }
+    return false;
+  }
+
+  async open(folder) {
+    const stat = await fs.stat(folder.path).catch(() => null);
+    if (!stat?.isDirectory()) {
+      // Retried on every sync, so a share that is mounted later is picked up
+      await this.recordError(folder, `${folder.path} is not an accessible directory`);
+      return;
+    }
+
+    const entry = {
+      folder,
+      seen: new Set(),
+      matches: matchesSettings(folder)
+    };
+
+    entry.watcher = chokidar.watch(folder.path, {
+      ignored: (filePath) => {
+        const relativePath = toRelative(folder.path, filePath);
+        return relativePath !== '' && isTemporary(relativePath);
+      },
+      depth: folder.recursive ? undefined : 0,
+      usePolling: folder.use_polling,
+      interval: this.pollInterval,
+      // Wait until a file being copied in has stopped growing
+      awaitWriteFinish: { stabilityThreshold: this.stabilityThreshold, pollInterval: 500 }
+    });
+
+    const onFile = (filePath) => {
+      const relativePath = toRelative(folder.path, filePath);
+      if (!entry.matches(relativePath)) return;
+      entry.seen?.add(relativePath);
+      this.schedule(folder, relativePath);
+    };
+
+    entry.watcher
+      .on('add', onFile)
+      .on('change', onFile)
+      .on('unlink', onFile)
+      .on('error', (error) => this.recordError(folder, error.message))
+      .on('ready', () => {
+        const seen = entry.seen;
+        entry.seen = null;
+        this.enqueue(() => this.reconcile(folder, seen));
+      });
+
+    this.watchers.set(folder.id, entry);
+    await query('UPDATE watch_folders SET last_error = NULL WHERE id = $1 AND last_error IS NOT NULL', [folder.id]);
+    logger.info(`Watching ${folder.path}${folder.recursive ? ' recursively' : ''}`);
+  }
+
+  async close(folderId) {
+    const entry = this.watchers.get(folderId);
+    if (!entry) return;
+
+    this.watchers.delete(folderId);
+    for (const [key, timeout] of this.pending) {
+      if (key.startsWith(`${folderId}:`)) {
+        clearTimeout(timeout);
+        this.pending.delete(key);
+      }
+    }
+    await entry.watcher.close();
+  }
+
+  async closeAll() {
+    for (const folderId of [...this.watchers.keys()]) {
+      await this.close(folderId);
+    }
+  }
+
+  // Several events for one file in quick succession (delete and re-create on save) are handled once
+  schedule(folder, relativePath, delay = this.stabilityThreshold) {
+    const key = `${folder.id}:${relativePath}`;
+    clearTimeout(this.pending.get(key));
+    this.pending.set(key, setTimeout(() => {
+      this.pending.delete(key);
+      this.enqueue(() => this.handleFile(folder, relativePath));
+    }, delay));
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => logger.error('Watch folder task failed:', error.message));
+    return this.queue;
+  }
+
+  /**
+   * Bring the document of one file in line with the file: ingest it, reprocess it as a new version,
+   * or delete it when the file is gone
+   * @param {Object} folder - watch_folders row
+   * @param {string} relativePath - POSIX path inside the folder
+   */
+  async handleFile(folder, relativePath) {
+    if (!this.watchers.has(folder.id)) {
+      return;
+    }
+
+    const filePath = path.join(folder.path, relativePath);
+    const stat = await fs.stat(filePath).catch(() => null);
+    const knownResult = await query(
+      'SELECT * FROM watch_folder_files WHERE watch_folder_id = $1 AND relative_path = $2',
+      [folder.id, relativePath]
+    );
+    const known = knownResult.rows[0];
+
+    if (!stat?.isFile()) {
+      if (known) {
+        await this.removeFile(folder, known);
+      }
+      return;
+    }
+
+    if (known && Number(known.file_size) === stat.size && known.modified_at?.getTime() === stat.mtime.getTime()) {
+      return;
+    }
+
+    const record = (fields) => this.recordFile(folder, relativePath, stat, { documentId: known?.document_id, ...fields });
+
+    if (stat.size === 0) {
+      return record({ status: 'skipped', error: 'Empty file' });
+    }
+    if (stat.size > MAX_UPLOAD_SIZE) {
+      return record({ status: 'skipped', error: 'File exceeds the 50MB limit' });
+    }
+
+    try {
+      const contentHash = await documentService.hashFile(filePath);
+
+      // Touched but not changed
+      if (known?.document_id && known.content_hash === contentHash) {
+        return record({ status: known.status, error: known.error, contentHash });
+      }
+
+      const documentId = known?.document_id
+        ? await this.reviseDocument(folder, relativePath, known.document_id, contentHash)
+        : await this.ingest(folder, relativePath);
+
+      // null: the document is busy; the file is looked at again later
+      if (documentId) {
+        await record({ status: 'ingested', documentId, contentHash });
+      }
+    } catch (error) {
+      logger.warn(`Could not ingest ${filePath}:`, error.message);
+      await record({ status: 'failed', error: error.message });
+    }
+  }
+
+  // The file is copied into storage, so the watched copy can be moved or deleted freely
+  async ingest(folder, relativePath) {
+    const file = await this.stageFile(folder, relativePath);
+
+    // Linking duplicates gives every watched file a document of its own to update and delete
+    const { document } = await documentService.ingestFile({
+      file,
+      duplicate: 'link',
+      metadata: { watchFolder: { id: folder.id, path: folder.path, relativePath } }
+    });
+
+    for (const tag of folder.default_tags) {
+      await tagService.addTag(document.id, tag);
+    }
+
+    logger.info(`Ingested ${relativePath} from ${folder.path} as ${document.id}`);
+    return document.id;
+  }
+
+  async reviseDocument(folder, relativePath, documentId, contentHash) {
+    const result = await query('SELECT id, status, canonical_document_id FROM documents WHERE id = $1', [documentId]);
+    const document = result.rows[0];
+
+    // A linked duplicate has no chunks of its own to revise; it is replaced by a fresh upload
+    if (!document || document.canonical_document_id) {
+      if (document) {
+        await documentService.deleteDocument(documentId);
+      }
+      return this.ingest(folder, relativePath);
+    }
+
+    if (['pending', 'processing'].includes(document.status)) {
+      this.schedule(folder, relativePath, this.syncInterval);
+      return null;
+    }
+
+    const file = await this.stageFile(folder, relativePath);
+    await versionService.createVersion({ documentId, file, contentHash });
+    logger.info(`Reprocessing ${relativePath} from ${folder.path} as a new version of ${documentId}`);
+    return documentId;
+  }
+
+  async removeFile(folder, known, reason = 'was removed from') {
+    if (known.document_id) {
+      await documentService.deleteDocument(known.document_id);
+    }
+    await this.forgetFile(folder, known);
+    logger.info(`${known.relative_path} ${reason} ${folder.path}; deleted its document`);
+  }
+
+  // The file is no longer watched; its document stays as if it had been uploaded
+  async forgetFile(folder, known) {
+    await query(
+      'DELETE FROM watch_folder_files WHERE watch_folder_id = $1 AND relative_path = $2',
+      [folder.id, known.relative_path]
+    );
+  }
+
+  /**
+   * Files recorded before but missing from the first scan: those gone from disk were deleted while nobody was
+   * watching, those still there no longer match the folder's settings and are no longer watched
+   * @param {Object} folder - watch_folders row
+   * @param {Set<string>} seen - Relative paths the scan found
+   */
+  async reconcile(folder, seen) {
+    const known = await query('SELECT * FROM watch_folder_files WHERE watch_folder_id = $1', [folder.id]);
+    const missing = known.rows.filter(file => !seen.has(file.relative_path));
+
+    // An empty folder that had files is more likely an unmounted share than a folder emptied on purpose
+    if (seen.size === 0 && missing.length > 0) {
+      await this.recordError(folder, `${folder.path} is empty; keeping the documents of its ${missing.length} files`);
+      return;
+    }
+
+    for (const file of missing) {
+      if (!this.watchers.has(folder.id)) break;
+
+      const stat = await fs.stat(path.join(folder.path, file.relative_path)).catch((error) => error);
+      if (stat.code === 'ENOENT') {
+        await this.removeFile(folder, file);
+      } else if (stat.isFile?.()) {
+        await this.forgetFile(folder, file);
+        logger.info(`${file.relative_path} no longer matches the settings of ${folder.path}; stopped watching it`);
+      } else {
+        logger.warn(`Could not check ${file.relative_path} in ${folder.path}; keeping its document:`, stat.message);
+      }
+    }
+
+    await query('UPDATE watch_folders SET last_scan_at = CURRENT_TIMESTAMP WHERE id = $1', [folder.id]);
+    logger.info(`Scanned ${folder.path}: ${seen.size} files`);
+  }
+
+  // Staged the way multer stages uploads
+  async stageFile(folder, relativePath) {
+    const source = path.join(folder.path, relativePath);
+    const filename = `${uuidv4()}${path.extname(relativePath)}`;
+    const destination = path.join(STAGING_DIR, filename);
+
+    await fs.mkdir(STAGING_DIR, { recursive: true });
+    await fs.copyFile(source, destination);
+    const { size } = await fs.stat(destination);
+
+    return {
+      path: destination,
+      filename,
+      originalname: path.posix.basename(relativePath),
+      size,
+      mimetype: resolveMimeType(relativePath, null)
+    };
+  }
+
+  async recordFile(folder, relativePath, stat, { documentId = null, contentHash = null, status, error = null }) {
+    await query(
+      `INSERT INTO watch_folder_files
+       (watch_folder_id, relative_path, document_id, file_size, modified_at, content_hash, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (watch_folder_id, relative_path) DO UPDATE
+       SET document_id = EXCLUDED.document_id, file_size = EXCLUDED.file_size, modified_at = EXCLUDED.modified_at,
+           content_hash = COALESCE(EXCLUDED.content_hash, watch_folder_files.content_hash),
+           status = EXCLUDED.status, error = EXCLUDED.error, updated_at = CURRENT_TIMESTAMP`,
+      [folder.id, relativePath, documentId, stat.size, stat.mtime, contentHash, status, error]
+    );
+  }
+
+  // Logged once per distinct error rather than on every retry
+  async recordError(folder, message) {
+    const result = await query(
+      'UPDATE watch_folders SET last_error = $2 WHERE id = $1 AND last_error IS DISTINCT FROM $2 RETURNING id',
+      [folder.id, message]
+    );
+    if (result.rows.length > 0) {
+      logger.warn(`Watch folder ${folder.path}: ${message}`);
+    }
+  }
+}
+
+// Paths are stored and matched with forward slashes on every platform
+function toRelative(folderPath, filePath) {
+  return path.relative(folderPath, filePath).split(path.sep).join('/');
+}
+
+// Whether the folder's settings pick up a file, given its path inside the folder
+function matchesSettings(folder) {
+  const include = folder.include_patterns.length > 0 ? picomatch(folder.include_patterns, { basename: true, nocase: true }) : () => true;
+  const exclude = folder.exclude_patterns.length > 0 ? picomatch(folder.exclude_patterns, { basename: true, nocase: true }) : () => false;
+  return (relativePath) => (folder.recursive || !relativePath.includes('/'))
+    && include(relativePath) && !exclude(relativePath)
+    && SUPPORTED_MIME_TYPES.includes(resolveMimeType(relativePath, null));
+}
+
+const watchFolderService = new WatchFolderService();
+
+export default watchFolderService;
@@ -0,0 +1,24 @@
+// utils/concurrency.js - Bounded parallelism for async work
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping results in input order
+ * @param {Array} items
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index)
+ * @returns {Promise<Array>} - Rejects with the first error thrown by fn
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
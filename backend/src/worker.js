@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+import { connectDatabase, closePool } from './config/database.js';
+import { initRedis, getRedisClient } from './config/redis.js';
+import jobProcessor from './services/jobProcessor.js';
+import embeddingMigrator from './services/embeddingMigrator.js';
+import watchFolderService from './services/watchFolderService.js';
+import resumableUploadService from './services/resumableUploadService.js';
+import logger from './utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+/* ------------------- GRACEFUL SHUTDOWN ------------------- */
+async function gracefulShutdown(signal) {
+  logger.info(`Worker received ${signal}, finishing active jobs...`);
+
+  try {
+    await jobProcessor.stop();
+    await embeddingMigrator.stop();
+    await watchFolderService.stop();
+    resumableUploadService.stop();
+  } catch (err) {
+    logger.error('❌ Error stopping job processor:', err);
+  }
+
+  try {
+    await closePool();
+    logger.info('✅ Database connections closed');
+  } catch (err) {
+    logger.error('❌ Error closing database:', err);
+  }
+
+  try {
+    await getRedisClient().quit();
+    logger.info('✅ Redis connections closed');
+  } catch (err) {
+    logger.error('❌ Error closing Redis:', err);
+  }
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception in worker:', error);
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection in worker at:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+/* ------------------- START WORKER ------------------- */
+async function startWorker() {
+  logger.info('🛠️ Starting document processing worker...');
+
+  // Unlike the API, the worker is useless without its backing services
+  const dbConnected = await connectDatabase();
+  if (!dbConnected) {
+    logger.error('❌ Database: Connection failed, worker cannot start');
+    process.exit(1);
+  }
+  logger.info('✅ Database: Connected');
+
+  try {
+    await initRedis();
+    logger.info('✅ Redis: Connected');
+  } catch (err) {
+    logger.error('❌ Redis: Connection failed, worker cannot start');
+    process.exit(1);
+  }
+
+  jobProcessor.start();
+  embeddingMigrator.start();
+  watchFolderService.start();
+  resumableUploadService.start();
+}
+
+startWorker();
@@ -0,0 +1,89 @@
+import clsx from 'clsx';
+import { DocumentProgressEvent } from '../services/api';
+
+interface ProcessingProgressProps {
+  event: DocumentProgressEvent;
+  className?: string;
+}
+
+const describeStage = (event: DocumentProgressEvent) => {
+  switch (event.stage) {
+    case 'queued':
+      return 'Queued';
+    case 'loading':
+      return 'Loading document';
+    case 'splitting':
+      return 'Splitting into chunks';
+    case 'embedding':
+      return `Embedding ${event.current ?? 0}/${event.total ?? 0}`;
+    case 'saving':
+      return 'Saving chunks';
+    case 'indexing':
+      return 'Indexing in Chroma';
+    case 'extracting':
+      return `Extracting entities ${event.current ?? 0}/${event.total ?? 0}`;
+    case 'summarizing':
+      return 'Summarizing';
+    case 'tagging':
+      return 'Tagging';
+    case 'retrying':
+      return `Retrying (attempt ${(event.retryCount ?? 0) + 1})`;
+    case 'completed':
+      return `Completed • ${event.chunkCount ?? 0} chunks`;
+    case 'failed':
+      return event.error ? `Failed: ${event.error}` : 'Failed';
+    default:
+      return 'Processing';
+  }
+};
+
+const stagePercent = (event: DocumentProgressEvent) => {
+  switch (event.stage) {
+    case 'loading':
+      return 5;
+    case 'splitting':
+      return 10;
+    case 'embedding':
+      return event.total ? 10 + Math.round((75 * (event.current ?? 0)) / event.total) : 10;
+    case 'saving':
+      return 88;
+    case 'indexing':
+      return 90;
+    case 'extracting':
+      return event.total ? 90 + Math.round((7 * (event.current ?? 0)) / event.total) : 90;
+    case 'summarizing':
+      return 97;
+    case 'tagging':
+      return 99;
+    case 'completed':
+      return 100;
+    default:
+      return 0;
+  }
+};
+
+export default function ProcessingProgress({ event, className }: ProcessingProgressProps) {
+  const percent = stagePercent(event);
+  const failed = event.stage === 'failed';
+
+  return (
+    <div className={clsx('min-w-[10rem]', className)}>
+      <div
+        className={clsx('text-xs truncate', failed ? 'text-red-700' : 'text-gray-600')}
+        title={describeStage(event)}
+      >
+        {describeStage(event)}
+      </div>
+      <div className="mt-1 h-1.5 w-full bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={clsx(
+            'h-full rounded-full transition-all duration-300',
+            failed ? 'bg-red-500' : event.stage === 'completed' ? 'bg-green-500' : 'bg-blue-600',
+            (event.stage === 'queued' || event.stage === 'retrying') && 'animate-pulse'
+          )}
+          style={{ width: `${failed ? 100 : Math.max(percent, 3)}%` }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+import { documentService, DocumentProgressEvent } from '../services/api';
+
+export const isSettledStage = (stage: DocumentProgressEvent['stage']) =>
+  stage === 'completed' || stage === 'failed';
+
+/**
+ * Follow live processing progress for a set of documents.
+ * `onSettled` fires whenever one of them completes or fails.
+ */
+export function useDocumentProgress(
+  documentIds: string[],
+  onSettled?: (event: DocumentProgressEvent) => void
+) {
+  const [progress, setProgress] = useState<Record<string, DocumentProgressEvent>>({});
+  const onSettledRef = useRef(onSettled);
+  onSettledRef.current = onSettled;
+
+  // Only reconnect when the set of ids actually changes
+  const key = [...documentIds].sort().join(',');
+
+  useEffect(() => {
+    if (!key) return;
+
+    const source = documentService.subscribeToEvents(key.split(','), (event) => {
+      setProgress((prev) => ({ ...prev, [event.documentId]: event }));
+      if (isSettledStage(event.stage)) {
+        onSettledRef.current?.(event);
+      }
+    });
+
+    return () => source.close();
+  }, [key]);
+
+  return progress;
+}
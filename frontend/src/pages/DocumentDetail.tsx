@@ -13,10 +13,16 @@ import {
   XCircle,
   Eye,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  Upload,
+  RefreshCw,
+  Pencil,
+  X
 } from 'lucide-react';
-import { documentService } from '../services/api';
+import { documentService, tagService, DocumentTag } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ProcessingProgress from '../components/ProcessingProgress';
+import { useDocumentProgress, isSettledStage } from '../hooks/useDocumentProgress';
 import toast from 'react-hot-toast';
 
 interface Document {
@@ -32,6 +38,39 @@ interface Document {
   metadata: any;
   chunk_count: number;
   chunks?: any[];
+  parent_document_id?: string | null;
+  canonical_document_id?: string | null;
+  current_version?: number;
+  properties?: DocumentProperties | null;
+  children?: ChildDocument[] | null;
+  tags?: DocumentTag[];
+}
+
+// Properties embedded in PDF and DOCX files; every field is optional
+interface DocumentProperties {
+  title?: string;
+  author?: string;
+  subject?: string;
+  keywords?: string[];
+  createdAt?: string;
+  modifiedAt?: string;
+  creator?: string;
+  pageCount?: number;
+}
+
+// Attachments of an email, or messages of a mailbox
+interface ChildDocument {
+  id: string;
+  original_filename: string;
+  status: string;
+}
+
+interface DocumentSummary {
+  abstract: string | null;
+  summary: string | null;
+  summary_status: 'generating' | 'completed' | 'failed' | null;
+  summary_error: string | null;
+  summary_generated_at: string | null;
 }
 
 interface Chunk {
@@ -66,6 +105,14 @@ export default function DocumentDetail() {
   const [loading, setLoading] = useState(true);
   const [chunksLoading, setChunksLoading] = useState(false);
   const [selectedChunk, setSelectedChunk] = useState<Chunk | null>(null);
+  const [uploadingVersion, setUploadingVersion] = useState(false);
+  const [summary, setSummary] = useState<DocumentSummary | null>(null);
+  const [showFullSummary, setShowFullSummary] = useState(false);
+  const [newTag, setNewTag] = useState('');
+  // Page shown in the preview panel; null while the panel is closed
+  const [previewPage, setPreviewPage] = useState<number | null>(null);
+  const [preview, setPreview] = useState<{ pageCount: number; imageUrl?: string; text?: string } | null>(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -79,11 +126,46 @@ export default function DocumentDetail() {
     }
   }, [id, document, chunksPagination.page]);
 
-  const loadDocument = async () => {
+  useEffect(() => {
+    if (id && document?.status === 'completed') {
+      loadSummary();
+    }
+  }, [id, document?.status, document?.current_version]);
+
+  useEffect(() => {
+    if (!id || previewPage === null) return;
+    let imageUrl: string | undefined;
+    let cancelled = false;
+
+    setPreviewLoading(true);
+    documentService
+      .getPage(id, previewPage)
+      .then(({ pageCount, image, text }) => {
+        if (cancelled) return;
+        imageUrl = image && URL.createObjectURL(image);
+        setPreview({ pageCount, imageUrl, text });
+      })
+      .catch((error) => console.error('Failed to load page preview:', error))
+      .finally(() => !cancelled && setPreviewLoading(false));
+
+    return () => {
+      cancelled = true;
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+    };
+  }, [id, previewPage, document?.current_version]);
+
+  // A summary being generated is polled until it settles
+  useEffect(() => {
+    if (summary?.summary_status !== 'generating') return;
+    const timer = setTimeout(loadSummary, 5000);
+    return () => clearTimeout(timer);
+  }, [summary]);
+
+  const loadDocument = async (showSpinner = true) => {
     if (!id) return;
     
     try {
-      setLoading(true);
+      if (showSpinner) setLoading(true);
       const response = await documentService.get(id);
       setDocument(response.data);
     } catch (error: any) {
@@ -116,6 +198,111 @@ export default function DocumentDetail() {
     }
   };
 
+  const loadSummary = async () => {
+    if (!id) return;
+
+    try {
+      const response = await documentService.getSummary(id);
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Failed to load summary:', error);
+    }
+  };
+
+  const setTags = (tags: DocumentTag[]) => {
+    setDocument((prev) => (prev ? { ...prev, tags } : prev));
+  };
+
+  const addTag = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!id || !newTag.trim()) return;
+
+    try {
+      const response = await documentService.addTag(id, newTag.trim());
+      setTags(response.data.tags);
+      setNewTag('');
+    } catch (error) {
+      console.error('Failed to add tag:', error);
+    }
+  };
+
+  const removeTag = async (tag: DocumentTag) => {
+    if (!id) return;
+
+    try {
+      const response = await documentService.removeTag(id, tag.id);
+      setTags(response.data.tags);
+    } catch (error) {
+      console.error('Failed to remove tag:', error);
+    }
+  };
+
+  // Renaming applies to every document with the tag
+  const renameTag = async (tag: DocumentTag) => {
+    const name = window.prompt('Rename tag on all documents', tag.name)?.trim();
+    if (!name || name === tag.name) return;
+
+    try {
+      await tagService.rename(tag.id, name);
+      loadDocument(false);
+      toast.success('Tag renamed');
+    } catch (error) {
+      console.error('Failed to rename tag:', error);
+    }
+  };
+
+  const regenerateSummary = async () => {
+    if (!id) return;
+
+    try {
+      const response = await documentService.regenerateSummary(id);
+      setSummary(response.data);
+      toast.success('Regenerating summary');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to regenerate summary');
+    }
+  };
+
+  const handleVersionUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!id || !file) return;
+
+    try {
+      setUploadingVersion(true);
+      const response = await documentService.uploadVersion(id, file);
+      toast.success(`Uploaded version ${response.data.current_version}`);
+      setChunksPagination((prev) => ({ ...prev, page: 1 }));
+      await loadDocument(false);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to upload new version');
+    } finally {
+      setUploadingVersion(false);
+    }
+  };
+
+  // Watch ingestion live while the document is queued or processing
+  const inFlight = document?.status === 'pending' || document?.status === 'processing';
+  const progress = useDocumentProgress(inFlight && id ? [id] : [], () => loadDocument(false));
+  const currentProgress = id ? progress[id] : undefined;
+
+  const getPropertyFields = (properties: DocumentProperties) => {
+    const fields: [string, string | number | undefined][] = [
+      ['Title', properties.title],
+      ['Author', properties.author],
+      ['Subject', properties.subject],
+      ['Keywords', properties.keywords?.join(', ')],
+      ['Created', properties.createdAt && new Date(properties.createdAt).toLocaleString()],
+      ['Modified', properties.modifiedAt && new Date(properties.modifiedAt).toLocaleString()],
+      ['Pages', properties.pageCount],
+      ['Application', properties.creator]
+    ];
+    return fields.filter(([, value]) => value !== undefined && value !== '');
+  };
+
+  // Slide decks store the slide number in page_number
+  const getPageLabel = (chunk: Chunk) => (chunk.metadata?.slideNumber ? 'Slide' : 'Page');
+
   const formatFileSize = (bytes: number) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -209,6 +396,27 @@ export default function DocumentDetail() {
         </div>
         
         <div className="flex items-center space-x-3">
+          {!document.canonical_document_id && !document.parent_document_id && (
+            <label className={`inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 ${uploadingVersion || inFlight ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+              <Upload className="mr-2 h-4 w-4" />
+              {uploadingVersion ? 'Uploading...' : 'Upload New Version'}
+              <input
+                type="file"
+                className="hidden"
+                disabled={uploadingVersion || inFlight}
+                onChange={handleVersionUpload}
+              />
+            </label>
+          )}
+
+          <button
+            onClick={() => documentService.downloadFile(document.id, document.original_filename).catch(() => {})}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Download className="mr-2 h-4 w-4" />
+            Download
+          </button>
+
           <Link
             to={`/search?documents=${document.id}`}
             className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
@@ -244,6 +452,9 @@ export default function DocumentDetail() {
             </div>
             {getStatusBadge(document.status)}
           </div>
+          {inFlight && currentProgress && !isSettledStage(currentProgress.stage) && (
+            <ProcessingProgress event={currentProgress} className="mt-4" />
+          )}
         </div>
 
         <div className="px-6 py-4">
@@ -278,10 +489,249 @@ export default function DocumentDetail() {
                 </div>
               </dd>
             </div>
+
+            {(document.current_version ?? 1) > 1 && (
+              <div>
+                <dt className="text-sm font-medium text-gray-500">Version</dt>
+                <dd className="mt-1 text-sm text-gray-900">{document.current_version}</dd>
+              </div>
+            )}
+
+            {document.metadata?.email && (
+              <>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">From</dt>
+                  <dd className="mt-1 text-sm text-gray-900">{document.metadata.email.from || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Sent</dt>
+                  <dd className="mt-1 text-sm text-gray-900">
+                    {document.metadata.email.date ? new Date(document.metadata.email.date).toLocaleString() : '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">To</dt>
+                  <dd className="mt-1 text-sm text-gray-900 break-words">
+                    {document.metadata.email.to?.join(', ') || '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Subject</dt>
+                  <dd className="mt-1 text-sm text-gray-900">{document.metadata.email.subject || '—'}</dd>
+                </div>
+              </>
+            )}
+
+            {document.metadata?.language && document.metadata.language.code !== 'und' && (
+              <div>
+                <dt className="text-sm font-medium text-gray-500">Language</dt>
+                <dd className="mt-1 text-sm text-gray-900">
+                  {document.metadata.language.code} ({document.metadata.language.config} full-text search)
+                </dd>
+              </div>
+            )}
+
+            {document.properties && getPropertyFields(document.properties).map(([label, value]) => (
+              <div key={label}>
+                <dt className="text-sm font-medium text-gray-500">{label}</dt>
+                <dd className="mt-1 text-sm text-gray-900 break-words">{value}</dd>
+              </div>
+            ))}
+
+            {document.parent_document_id && (
+              <div>
+                <dt className="text-sm font-medium text-gray-500">Extracted From</dt>
+                <dd className="mt-1 text-sm">
+                  <Link to={`/documents/${document.parent_document_id}`} className="text-blue-600 hover:text-blue-800">
+                    View parent document
+                  </Link>
+                </dd>
+              </div>
+            )}
+
+            {document.canonical_document_id && (
+              <div>
+                <dt className="text-sm font-medium text-gray-500">Duplicate Of</dt>
+                <dd className="mt-1 text-sm">
+                  <Link to={`/documents/${document.canonical_document_id}`} className="text-blue-600 hover:text-blue-800">
+                    View original upload
+                  </Link>
+                </dd>
+              </div>
+            )}
+
+            {document.children && document.children.length > 0 && (
+              <div className="sm:col-span-2">
+                <dt className="text-sm font-medium text-gray-500">
+                  {document.metadata?.mailbox ? 'Messages' : 'Attachments'} ({document.children.length})
+                </dt>
+                <dd className="mt-1 text-sm">
+                  <ul className="space-y-1">
+                    {document.children.map((child) => (
+                      <li key={child.id} className="flex items-center">
+                        <Link to={`/documents/${child.id}`} className="text-blue-600 hover:text-blue-800 truncate">
+                          {child.original_filename}
+                        </Link>
+                        <span className="ml-2 text-xs text-gray-500">{child.status}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </dd>
+              </div>
+            )}
+
+            <div className="sm:col-span-2">
+              <dt className="text-sm font-medium text-gray-500">Tags</dt>
+              <dd className="mt-1 flex flex-wrap items-center gap-2">
+                {(document.tags || []).map((tag) => (
+                  <span
+                    key={tag.id}
+                    title={tag.source === 'auto' ? 'Extracted automatically' : 'Added by hand'}
+                    className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                      tag.source === 'auto' ? 'bg-gray-100 text-gray-700' : 'bg-blue-100 text-blue-800'
+                    }`}
+                  >
+                    {tag.name}
+                    <button onClick={() => renameTag(tag)} className="ml-1 hover:text-gray-900" aria-label={`Rename ${tag.name}`}>
+                      <Pencil className="h-3 w-3" />
+                    </button>
+                    <button onClick={() => removeTag(tag)} className="ml-1 hover:text-red-600" aria-label={`Remove ${tag.name}`}>
+                      <X className="h-3 w-3" />
+                    </button>
+                  </span>
+                ))}
+                <form onSubmit={addTag}>
+                  <input
+                    type="text"
+                    value={newTag}
+                    onChange={(e) => setNewTag(e.target.value)}
+                    placeholder="Add tag"
+                    maxLength={100}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded-full focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </form>
+              </dd>
+            </div>
           </dl>
         </div>
       </div>
 
+      {/* Summary */}
+      {summary && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Summary</h2>
+              {summary.summary_generated_at && (
+                <p className="text-sm text-gray-500">
+                  Generated {new Date(summary.summary_generated_at).toLocaleString()}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={regenerateSummary}
+              disabled={summary.summary_status === 'generating'}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${summary.summary_status === 'generating' ? 'animate-spin' : ''}`} />
+              {summary.summary_status === 'generating' ? 'Generating...' : 'Regenerate'}
+            </button>
+          </div>
+          <div className="px-6 py-4 space-y-3">
+            {summary.summary_status === 'failed' && (
+              <p className="text-sm text-red-600">Summary failed: {summary.summary_error}</p>
+            )}
+            {summary.abstract ? (
+              <p className="text-sm font-medium text-gray-900">{summary.abstract}</p>
+            ) : (
+              summary.summary_status !== 'generating' && (
+                <p className="text-sm text-gray-500">No summary has been generated for this document.</p>
+              )
+            )}
+            {summary.summary && (
+              <>
+                {showFullSummary && (
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{summary.summary}</p>
+                )}
+                <button
+                  onClick={() => setShowFullSummary(!showFullSummary)}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  {showFullSummary ? 'Hide full summary' : 'Show full summary'}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Page preview: rendered PDF pages, extracted text for other formats */}
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900">Preview</h2>
+          {previewPage === null ? (
+            <button
+              onClick={() => setPreviewPage(1)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <Eye className="h-4 w-4 mr-2" />
+              Show preview
+            </button>
+          ) : (
+            <div className="flex items-center space-x-2 text-sm text-gray-700">
+              <button
+                onClick={() => setPreviewPage(previewPage - 1)}
+                disabled={previewPage <= 1 || previewLoading}
+                className="p-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span>
+                Page {previewPage}{preview ? ` of ${preview.pageCount}` : ''}
+              </span>
+              <button
+                onClick={() => setPreviewPage(previewPage + 1)}
+                disabled={!preview || previewPage >= preview.pageCount || previewLoading}
+                className="p-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => {
+                  setPreviewPage(null);
+                  setPreview(null);
+                }}
+                className="p-2 text-gray-400 hover:text-gray-600"
+                title="Close preview"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+        {previewPage !== null && (
+          <div className="px-6 py-4">
+            {previewLoading && !preview ? (
+              <div className="flex items-center justify-center py-12">
+                <LoadingSpinner size="large" />
+              </div>
+            ) : preview?.imageUrl ? (
+              <img
+                src={preview.imageUrl}
+                alt={`Page ${previewPage} of ${document.original_filename}`}
+                className={`mx-auto max-w-full border border-gray-200 ${previewLoading ? 'opacity-50' : ''}`}
+              />
+            ) : preview ? (
+              <pre className={`text-sm text-gray-700 whitespace-pre-wrap max-h-[32rem] overflow-y-auto ${previewLoading ? 'opacity-50' : ''}`}>
+                {preview.text || 'This page has no text.'}
+              </pre>
+            ) : (
+              <p className="text-sm text-gray-500">The preview could not be loaded.</p>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Document Chunks */}
       <div className="bg-white shadow rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200">
@@ -320,7 +770,7 @@ export default function DocumentDetail() {
                         </span>
                         {chunk.page_number && (
                           <span className="ml-2 text-xs text-gray-500">
-                            Page {chunk.page_number}
+                            {getPageLabel(chunk)} {chunk.page_number}
                           </span>
                         )}
                         {chunk.section_title && (
@@ -421,7 +871,7 @@ export default function DocumentDetail() {
               
               <div className="mb-4 text-sm text-gray-500">
                 {selectedChunk.page_number && (
-                  <span className="mr-4">Page {selectedChunk.page_number}</span>
+                  <span className="mr-4">{getPageLabel(selectedChunk)} {selectedChunk.page_number}</span>
                 )}
                 <span>{selectedChunk.content_length} characters</span>
               </div>
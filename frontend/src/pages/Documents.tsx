@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { useDropzone } from 'react-dropzone';
+import { useDropzone, FileRejection } from 'react-dropzone';
 import { 
   Upload, 
   FileText, 
@@ -13,12 +13,17 @@ import {
   CheckCircle,
   Clock,
   AlertCircle,
-  XCircle
+  XCircle,
+  X,
+  FolderUp
 } from 'lucide-react';
 import { Menu } from '@headlessui/react';
 import clsx from 'clsx';
-import { api } from '../services/api';
+import { api, documentService, BatchStatus } from '../services/api';
+import { uploadResumable, UploadFields } from '../services/resumableUpload';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ProcessingProgress from '../components/ProcessingProgress';
+import { useDocumentProgress, isSettledStage } from '../hooks/useDocumentProgress';
 import toast from 'react-hot-toast';
 
 interface Document {
@@ -32,6 +37,8 @@ interface Document {
   processed_date?: string;
   status: 'pending' | 'processing' | 'completed' | 'failed';
   chunk_count?: number;
+  abstract?: string | null;
+  tags?: string[];
 }
 
 interface Pagination {
@@ -41,6 +48,32 @@ interface Pagination {
   pages: number;
 }
 
+// Larger files are sent in parts that survive a dropped connection
+const RESUMABLE_UPLOAD_THRESHOLD = 20 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024 * 1024;
+
+// Several files or a folder go to /documents/batch, a few files per request
+const BATCH_MAX_FILE_SIZE = 50 * 1024 * 1024;
+const BATCH_REQUEST_FILES = 20;
+const BATCH_POLL_INTERVAL = 3000;
+// Consecutive failed status requests before the page stops following a batch
+const BATCH_POLL_MAX_FAILURES = 5;
+
+// Path of a file inside the folder it was picked or dropped from
+const relativePath = (file: File) =>
+  ((file as File & { path?: string }).path || file.webkitRelativePath || file.name).replace(/^\.?\//, '');
+
+// Empty value leaves the choice to the server default (CHUNKING_STRATEGY)
+const CHUNKING_STRATEGIES = [
+  { value: '', label: 'Default' },
+  { value: 'character-recursive', label: 'Characters' },
+  { value: 'token', label: 'Tokens' },
+  { value: 'sentence', label: 'Sentences' },
+  { value: 'paragraph', label: 'Paragraphs' },
+  { value: 'heading', label: 'Headings' },
+  { value: 'page', label: 'Pages' },
+];
+
 export default function Documents() {
   const [documents, setDocuments] = useState<Document[]>([]);
   const [pagination, setPagination] = useState<Pagination>({
@@ -51,16 +84,49 @@ export default function Documents() {
   });
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState<number | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState<string[]>([]);
+  const [ocrEnabled, setOcrEnabled] = useState(true);
+  const [ocrLanguage, setOcrLanguage] = useState('eng');
+  const [chunkingStrategy, setChunkingStrategy] = useState('');
+  const [sharedTags, setSharedTags] = useState('');
+  const [collection, setCollection] = useState('');
+  const [collectionFilter, setCollectionFilter] = useState('');
+  const [batch, setBatch] = useState<BatchStatus | null>(null);
+  const [batchPollFailures, setBatchPollFailures] = useState(0);
+  const folderInputRef = useRef<HTMLInputElement>(null);
 
   useEffect(() => {
     loadDocuments();
-  }, [pagination.page, searchTerm, statusFilter]);
+  }, [pagination.page, searchTerm, statusFilter, tagFilter, collectionFilter]);
+
+  // React does not know the webkitdirectory attribute, so it is set on the element directly
+  useEffect(() => {
+    folderInputRef.current?.setAttribute('webkitdirectory', '');
+  }, []);
+
+  // Follow the last batch until every queued file has been processed
+  useEffect(() => {
+    if (!batch || batch.finished || batchPollFailures >= BATCH_POLL_MAX_FAILURES) return;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await documentService.getBatch(batch.id);
+        setBatchPollFailures(0);
+        setBatch(response.data);
+        if (response.data.finished) loadDocuments(false);
+      } catch (error) {
+        console.error('Failed to load batch status:', error);
+        setBatchPollFailures((failures) => failures + 1);
+      }
+    }, BATCH_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [batch, batchPollFailures]);
 
-  const loadDocuments = async () => {
+  const loadDocuments = async (showSpinner = true) => {
     try {
-      setLoading(true);
+      if (showSpinner) setLoading(true);
       const params = new URLSearchParams({
         page: pagination.page.toString(),
         limit: pagination.limit.toString(),
@@ -68,6 +134,8 @@ export default function Documents() {
       
       if (searchTerm) params.append('search', searchTerm);
       if (statusFilter) params.append('status', statusFilter);
+      if (collectionFilter) params.append('collection', collectionFilter);
+      tagFilter.forEach((tag) => params.append('tags', tag));
 
       const response = await api.get(`/documents?${params.toString()}`);
       setDocuments(response.data.documents);
@@ -80,30 +148,118 @@ export default function Documents() {
     }
   };
 
-  const onDrop = useCallback(async (acceptedFiles: File[]) => {
+  // Follow documents that are still being ingested; refresh quietly once one settles
+  const activeDocumentIds = documents
+    .filter((doc) => doc.status === 'pending' || doc.status === 'processing')
+    .map((doc) => doc.id);
+  const progress = useDocumentProgress(activeDocumentIds, () => loadDocuments(false));
+
+  const uploadBatch = async (files: File[], fields: UploadFields, skippedCount: number) => {
+    const entries = files.map((file) => ({ file, path: relativePath(file) }));
+    // The server refuses the whole request when one file is too large, so those are left out here
+    const tooLarge = entries.filter(({ file }) => file.size > BATCH_MAX_FILE_SIZE);
+    const sendable = entries.filter(({ file }) => file.size <= BATCH_MAX_FILE_SIZE);
+    const skipped = skippedCount + tooLarge.length;
+    if (sendable.length === 0) {
+      toast.error(`No files to upload${skipped ? ` (${skipped} unsupported or larger than 50MB)` : ''}`);
+      return;
+    }
+
+    const folder = sendable[0].path.includes('/') ? sendable[0].path.split('/')[0] : undefined;
+    const tags = sharedTags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    const batchFields = {
+      ...fields,
+      ...(folder && { name: folder }),
+      ...(tags.length > 0 && { tags }),
+      ...(collection.trim() && { collection: collection.trim() }),
+    };
+
+    let status: BatchStatus | null = null;
+    setUploadProgress(0);
+    for (let start = 0; start < sendable.length; start += BATCH_REQUEST_FILES) {
+      const response = await documentService.uploadBatch(
+        sendable.slice(start, start + BATCH_REQUEST_FILES),
+        status ? {} : batchFields,
+        status?.id
+      );
+      status = response.data;
+      setUploadProgress(Math.min(start + BATCH_REQUEST_FILES, sendable.length) / sendable.length);
+    }
+
+    if (!status) return;
+    const batchStatus = await documentService.getBatch(status.id);
+    setBatchPollFailures(0);
+    setBatch(batchStatus.data);
+    toast.success(
+      `${status.queued_entries} of ${sendable.length} files queued` +
+        (skipped ? `, ${skipped} unsupported or larger than 50MB` : '')
+    );
+  };
+
+  const onDrop = useCallback(async (acceptedFiles: File[], fileRejections: FileRejection[] = []) => {
     const file = acceptedFiles[0];
-    if (!file) return;
+    if (!file) {
+      if (fileRejections.length > 0) toast.error('Unsupported file type or file too large');
+      return;
+    }
 
     setUploading(true);
-    const formData = new FormData();
-    formData.append('document', file);
+    const fields: UploadFields = { ocr: ocrEnabled };
+    if (ocrEnabled && ocrLanguage.trim()) {
+      fields.ocr_language = ocrLanguage.trim();
+    }
+    if (chunkingStrategy) {
+      fields.chunking_strategy = chunkingStrategy;
+    }
+
+    // Tags and collections are only taken by batch uploads, so a single file with either goes as a batch of one
+    const useBatch = acceptedFiles.length > 1 || relativePath(file).includes('/') || sharedTags.trim() || collection.trim();
 
     try {
-      await api.post('/documents/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
+      if (useBatch) {
+        await uploadBatch(acceptedFiles, fields, fileRejections.length);
+        loadDocuments();
+        return;
+      }
+
+      let response;
+      if (file.size > RESUMABLE_UPLOAD_THRESHOLD) {
+        setUploadProgress(0);
+        response = await uploadResumable(file, fields, setUploadProgress);
+      } else {
+        const formData = new FormData();
+        formData.append('document', file);
+        Object.entries(fields).forEach(([name, value]) => formData.append(name, String(value)));
+        response = await api.post('/documents/upload', formData, {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        });
+      }
       
-      toast.success(`${file.name} uploaded successfully`);
+      // Archives come back as a batch with one entry per file inside
+      if (response.data.batch_id) {
+        const { queued_entries, skipped_entries, failed_entries } = response.data;
+        toast.success(`${file.name}: ${queued_entries} queued, ${skipped_entries + failed_entries} skipped`);
+      } else {
+        toast.success(`${file.name} uploaded successfully`);
+      }
       loadDocuments();
     } catch (error: any) {
       console.error('Upload failed:', error);
       toast.error(error.response?.data?.error || 'Upload failed');
     } finally {
       setUploading(false);
+      setUploadProgress(null);
     }
-  }, []);
+  }, [ocrEnabled, ocrLanguage, chunkingStrategy, sharedTags, collection]);
+
+  // Files picked through the folder button are checked by the server, which lists unsupported ones in the batch
+  const onFolderSelected = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length > 0) onDrop(files);
+  };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -111,9 +267,17 @@ export default function Documents() {
       'application/pdf': ['.pdf'],
       'text/plain': ['.txt'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'text/markdown': ['.md', '.markdown'],
+      'text/html': ['.html', '.htm'],
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'message/rfc822': ['.eml'],
+      'application/mbox': ['.mbox'],
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+      'application/zip': ['.zip'],
     },
-    maxFiles: 1,
-    maxSize: 50 * 1024 * 1024, // 50MB
+    maxSize: MAX_UPLOAD_SIZE,
   });
 
   const deleteDocument = async (id: string, filename: string) => {
@@ -131,6 +295,14 @@ export default function Documents() {
     }
   };
 
+  const downloadDocument = async (id: string, filename: string) => {
+    try {
+      await documentService.downloadFile(id, filename);
+    } catch (error) {
+      console.error('Failed to download document:', error);
+    }
+  };
+
   const formatFileSize = (bytes: number) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -205,20 +377,153 @@ export default function Documents() {
         {uploading ? (
           <div className="flex items-center justify-center">
             <LoadingSpinner size="medium" />
-            <span className="ml-2 text-sm text-gray-600">Uploading...</span>
+            <span className="ml-2 text-sm text-gray-600">
+              Uploading{uploadProgress !== null ? ` ${Math.round(uploadProgress * 100)}%` : '...'}
+            </span>
           </div>
         ) : (
           <>
             <Upload className="mx-auto h-12 w-12 text-gray-400" />
             <p className="mt-2 text-lg font-medium text-gray-900">
-              {isDragActive ? 'Drop the file here' : 'Upload a document'}
+              {isDragActive ? 'Drop the files here' : 'Upload documents'}
             </p>
             <p className="text-sm text-gray-500">
-              Drag and drop or click to select • PDF, DOCX, TXT • Max 50MB
+              Drag and drop files or folders, or click to select • PDF, DOCX, PPTX, TXT, Markdown, HTML, CSV, XLSX, EML, MBOX, ZIP • Max 2GB, 50MB per file when uploading several
             </p>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                folderInputRef.current?.click();
+              }}
+              className="mt-3 inline-flex items-center px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              <FolderUp className="h-4 w-4 mr-2" />
+              Select folder
+            </button>
           </>
         )}
       </div>
+      <input ref={folderInputRef} type="file" multiple className="hidden" onChange={onFolderSelected} />
+
+      {/* Upload options */}
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 -mt-3">
+        <label className="inline-flex items-center">
+          <input
+            type="checkbox"
+            checked={ocrEnabled}
+            onChange={(e) => setOcrEnabled(e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          <span className="ml-2">OCR scanned PDF pages</span>
+        </label>
+        {ocrEnabled && (
+          <label className="inline-flex items-center">
+            <span className="mr-2">Language</span>
+            <input
+              type="text"
+              value={ocrLanguage}
+              onChange={(e) => setOcrLanguage(e.target.value)}
+              placeholder="eng+deu"
+              title="Tesseract language codes, joined with +"
+              className="w-28 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+        )}
+        <label className="inline-flex items-center">
+          <span className="mr-2">Chunking</span>
+          <select
+            value={chunkingStrategy}
+            onChange={(e) => setChunkingStrategy(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {CHUNKING_STRATEGIES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="inline-flex items-center">
+          <span className="mr-2">Tags</span>
+          <input
+            type="text"
+            value={sharedTags}
+            onChange={(e) => setSharedTags(e.target.value)}
+            placeholder="contracts, 2024"
+            title="Added to every uploaded file; separate tags with commas"
+            className="w-40 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <label className="inline-flex items-center">
+          <span className="mr-2">Collection</span>
+          <input
+            type="text"
+            value={collection}
+            onChange={(e) => setCollection(e.target.value)}
+            className="w-36 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+
+      {/* Last batch upload: queue and processing progress, and every file that did not make it */}
+      {batch && (
+        <div className="bg-white shadow rounded-lg p-4 text-sm">
+          <div className="flex items-center justify-between">
+            <div className="font-medium text-gray-900">
+              {batch.source_name || 'Batch upload'}: {batch.processing.completed} of {batch.queued_entries} processed
+              {batch.processing.failed > 0 && `, ${batch.processing.failed} failed`}
+              {batch.skipped_entries + batch.failed_entries > 0 &&
+                `, ${batch.skipped_entries + batch.failed_entries} not uploaded`}
+            </div>
+            <div className="flex items-center gap-3">
+              {!batch.finished &&
+                (batchPollFailures >= BATCH_POLL_MAX_FAILURES ? (
+                  <span className="text-red-600">
+                    Could not load the batch status{' '}
+                    <button onClick={() => setBatchPollFailures(0)} className="underline hover:text-red-800">
+                      Retry
+                    </button>
+                  </span>
+                ) : (
+                  <LoadingSpinner size="small" />
+                ))}
+              <button onClick={() => setBatch(null)} className="text-gray-400 hover:text-gray-600" title="Dismiss">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+          {batch.queued_entries > 0 && (
+            <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-600 transition-all"
+                style={{
+                  width: `${((batch.processing.completed + batch.processing.failed) / batch.queued_entries) * 100}%`,
+                }}
+              />
+            </div>
+          )}
+          {batch.entries.some((entry) => entry.status !== 'queued' || entry.document_status === 'failed') && (
+            <ul className="mt-3 space-y-1 max-h-48 overflow-y-auto">
+              {batch.entries
+                .filter((entry) => entry.status !== 'queued' || entry.document_status === 'failed')
+                .map((entry) => (
+                  <li key={entry.path} className="flex items-start text-gray-600">
+                    <AlertCircle
+                      className={clsx(
+                        'h-4 w-4 mr-2 mt-0.5 flex-shrink-0',
+                        entry.status === 'skipped' ? 'text-yellow-500' : 'text-red-500'
+                      )}
+                    />
+                    <span>
+                      <span className="font-medium text-gray-800">{entry.path}</span>
+                      {' — '}
+                      {entry.status === 'queued' ? `Processing failed: ${entry.error || 'unknown error'}` : entry.reason}
+                    </span>
+                  </li>
+                ))}
+            </ul>
+          )}
+        </div>
+      )}
 
       {/* Filters and search */}
       <div className="flex flex-col sm:flex-row gap-4">
@@ -246,8 +551,33 @@ export default function Documents() {
           <option value="pending">Pending</option>
           <option value="failed">Failed</option>
         </select>
+
+        <input
+          type="text"
+          placeholder="Collection"
+          value={collectionFilter}
+          onChange={(e) => setCollectionFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
       </div>
 
+      {/* Documents carry every selected tag; click a tag in the table to add it */}
+      {tagFilter.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-500">Tagged:</span>
+          {tagFilter.map((tag) => (
+            <button
+              key={tag}
+              onClick={() => setTagFilter(tagFilter.filter((t) => t !== tag))}
+              className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200"
+            >
+              {tag}
+              <X className="h-3 w-3 ml-1" />
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Documents table */}
       <div className="bg-white shadow rounded-lg overflow-hidden">
         {loading ? (
@@ -259,7 +589,7 @@ export default function Documents() {
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No documents</h3>
             <p className="mt-1 text-sm text-gray-500">
-              {searchTerm || statusFilter 
+              {searchTerm || statusFilter || collectionFilter || tagFilter.length > 0
                 ? 'No documents match your search criteria.'
                 : 'Get started by uploading your first document.'
               }
@@ -313,11 +643,33 @@ export default function Documents() {
                             <div className="text-xs text-gray-500">
                               {doc.content_type.toUpperCase()}
                             </div>
+                            {doc.abstract && (
+                              <p className="mt-1 text-xs text-gray-600 max-w-md line-clamp-2" title={doc.abstract}>
+                                {doc.abstract}
+                              </p>
+                            )}
+                            {doc.tags && doc.tags.length > 0 && (
+                              <div className="mt-1 flex flex-wrap gap-1 max-w-md">
+                                {doc.tags.map((tag) => (
+                                  <button
+                                    key={tag}
+                                    onClick={() => !tagFilter.includes(tag) && setTagFilter([...tagFilter, tag])}
+                                    className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 hover:bg-blue-100 hover:text-blue-800"
+                                  >
+                                    {tag}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         </div>
                       </td>
                       <td className="px-6 py-4">
-                        {getStatusBadge(doc.status)}
+                        {progress[doc.id] && !isSettledStage(progress[doc.id].stage) ? (
+                          <ProcessingProgress event={progress[doc.id]} />
+                        ) : (
+                          getStatusBadge(doc.status)
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-900">
                         {formatFileSize(doc.file_size)}
@@ -349,6 +701,20 @@ export default function Documents() {
                                   </Link>
                                 )}
                               </Menu.Item>
+                              <Menu.Item>
+                                {({ active }) => (
+                                  <button
+                                    onClick={() => downloadDocument(doc.id, doc.original_filename)}
+                                    className={clsx(
+                                      'flex items-center w-full px-2 py-2 text-sm',
+                                      active ? 'bg-gray-100 text-gray-900' : 'text-gray-700'
+                                    )}
+                                  >
+                                    <Download className="mr-2 h-4 w-4" />
+                                    Download
+                                  </button>
+                                )}
+                              </Menu.Item>
                             </div>
                             <div className="px-1 py-1">
                               <Menu.Item>
@@ -6,7 +6,8 @@ import {
   FileText,
   Zap,
   Target,
-  Clock
+  Clock,
+  Mail
 } from 'lucide-react';
 import { searchService, documentService } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
@@ -18,6 +19,7 @@ interface SearchResult {
   chunk_index: number;
   page_number?: number;
   section_title?: string;
+  metadata?: Record<string, any>;
   document_id: string;
   original_filename: string;
   filename: string;
@@ -40,6 +42,9 @@ export default function Search() {
   const [results, setResults] = useState<SearchResult[]>([]);
   const [documents, setDocuments] = useState<Document[]>([]);
   const [selectedDocuments, setSelectedDocuments] = useState<string[]>([]);
+  const [sender, setSender] = useState('');
+  const [sentAfter, setSentAfter] = useState('');
+  const [sentBefore, setSentBefore] = useState('');
   const [loading, setLoading] = useState(false);
   const [executionTime, setExecutionTime] = useState<number | null>(null);
   const [totalResults, setTotalResults] = useState(0);
@@ -74,6 +79,9 @@ export default function Search() {
       const searchOptions = {
         limit: 20,
         ...(selectedDocuments.length > 0 && { documents: selectedDocuments }),
+        ...(sender.trim() && { sender: sender.trim() }),
+        ...(sentAfter && { sent_after: sentAfter }),
+        ...(sentBefore && { sent_before: sentBefore }),
       };
 
       switch (searchType) {
@@ -257,6 +265,42 @@ export default function Search() {
             </div>
           )}
 
+          {/* Email filter */}
+          <div className="border-t pt-4">
+            <div className="flex items-center mb-3">
+              <Mail className="h-4 w-4 text-gray-500 mr-2" />
+              <span className="text-sm font-medium text-gray-700">Filter emails</span>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <input
+                type="text"
+                placeholder="Sender name or address"
+                value={sender}
+                onChange={(e) => setSender(e.target.value)}
+                onKeyPress={handleKeyPress}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <label className="flex items-center text-sm text-gray-600">
+                <span className="mr-2 whitespace-nowrap">Sent after</span>
+                <input
+                  type="date"
+                  value={sentAfter}
+                  onChange={(e) => setSentAfter(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+              <label className="flex items-center text-sm text-gray-600">
+                <span className="mr-2 whitespace-nowrap">Sent before</span>
+                <input
+                  type="date"
+                  value={sentBefore}
+                  onChange={(e) => setSentBefore(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+            </div>
+          </div>
+
           {/* Search button */}
           <button
             onClick={performSearch}
@@ -323,7 +367,9 @@ export default function Search() {
                     {/* Metadata */}
                     <div className="flex items-center space-x-4 text-xs text-gray-500">
                       <span>Chunk {result.chunk_index + 1}</span>
-                      {result.page_number && <span>Page {result.page_number}</span>}
+                      {result.page_number && (
+                        <span>{result.metadata?.slideNumber ? 'Slide' : 'Page'} {result.page_number}</span>
+                      )}
                       {result.section_title && <span>{result.section_title}</span>}
                       {result.similarity && (
                         <span>Similarity: {(result.similarity * 100).toFixed(1)}%</span>
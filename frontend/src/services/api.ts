@@ -11,11 +11,14 @@ export const api = axios.create({
   },
 });
 
+// LoginForm and SignupForm store the JWT under this key
+const AUTH_TOKEN_KEY = 'token';
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem('auth_token');
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -39,7 +42,7 @@ api.interceptors.response.use(
       
       switch (status) {
         case 401:
-          localStorage.removeItem('auth_token');
+          localStorage.removeItem(AUTH_TOKEN_KEY);
           toast.error('Authentication required');
           break;
         case 403:
@@ -71,6 +74,61 @@ api.interceptors.response.use(
   }
 );
 
+export interface DocumentProgressEvent {
+  documentId: string;
+  stage:
+    | 'queued'
+    | 'loading'
+    | 'splitting'
+    | 'embedding'
+    | 'saving'
+    | 'indexing'
+    | 'extracting'
+    | 'summarizing'
+    | 'tagging'
+    | 'completed'
+    | 'failed'
+    | 'retrying'
+    | 'processing';
+  current?: number;
+  total?: number;
+  chunkCount?: number;
+  retryCount?: number;
+  delay?: number;
+  error?: string;
+  timestamp: string;
+}
+
+export interface BatchEntry {
+  path: string;
+  status: 'queued' | 'skipped' | 'failed';
+  reason: string | null;
+  document_id: string | null;
+  document_status?: 'pending' | 'processing' | 'completed' | 'failed' | null;
+  chunk_count?: number | null;
+  error?: string | null;
+}
+
+export interface BatchStatus {
+  id: string;
+  source: string;
+  source_name: string | null;
+  total_entries: number;
+  queued_entries: number;
+  skipped_entries: number;
+  failed_entries: number;
+  entries: BatchEntry[];
+  processing: { pending: number; processing: number; completed: number; failed: number };
+  finished: boolean;
+}
+
+// One page of a document: a rendered image for PDFs, extracted text for other formats
+export interface PagePreview {
+  pageCount: number;
+  image?: Blob;
+  text?: string;
+}
+
 // API service functions
 export const documentService = {
   // Upload document
@@ -82,12 +140,69 @@ export const documentService = {
     });
   },
 
+  // Upload many files with shared options; paths keep the folder structure. Pass batchId to add to a batch.
+  uploadBatch: (
+    files: { file: File; path: string }[],
+    fields: Record<string, string | number | boolean | string[]>,
+    batchId?: string
+  ) => {
+    const formData = new FormData();
+    files.forEach(({ file, path }) => formData.append('documents', file, path));
+    Object.entries(fields).forEach(([name, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((item) => formData.append(name, String(item)));
+    });
+    if (batchId) formData.append('batch_id', batchId);
+    return api.post<BatchStatus>('/documents/batch', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  // Per-file status of an archive or multi-file upload
+  getBatch: (id: string) => {
+    return api.get<BatchStatus>(`/documents/batches/${id}`);
+  },
+
+  // Upload a new version of an existing document
+  uploadVersion: (id: string, file: File) => {
+    const formData = new FormData();
+    formData.append('document', file);
+    return api.post(`/documents/${id}/versions`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  // List the versions of a document
+  getVersions: (id: string) => {
+    return api.get(`/documents/${id}/versions`);
+  },
+
+  // Generated abstract and summary
+  getSummary: (id: string) => {
+    return api.get(`/documents/${id}/summary`);
+  },
+
+  // Queue a new summary run; the worker generates it in the background
+  regenerateSummary: (id: string) => {
+    return api.post(`/documents/${id}/summary/regenerate`);
+  },
+
+  // Tag a document by hand, or take a tag off it; both answer with the document's tags
+  addTag: (id: string, name: string) => {
+    return api.post(`/documents/${id}/tags`, { name });
+  },
+
+  removeTag: (id: string, tagId: string) => {
+    return api.delete(`/documents/${id}/tags/${tagId}`);
+  },
+
   // Get documents list
   list: (params?: {
     page?: number;
     limit?: number;
     status?: string;
     search?: string;
+    tags?: string[];
+    collection?: string;
   }) => {
     return api.get('/documents', { params });
   },
@@ -102,40 +217,96 @@ export const documentService = {
     return api.delete(`/documents/${id}`);
   },
 
+  // Download the original file; it needs the auth header, so it is fetched and saved from a blob
+  downloadFile: async (id: string, filename: string) => {
+    const response = await api.get<Blob>(`/documents/${id}/file`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download the click started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // Preview of one page (1-based)
+  getPage: async (id: string, page: number): Promise<PagePreview> => {
+    const response = await api.get<Blob>(`/documents/${id}/pages/${page}`, { responseType: 'blob' });
+    const pageCount = Number(response.headers['x-page-count']) || 1;
+    if (response.data.type.startsWith('image/')) {
+      return { pageCount, image: response.data };
+    }
+    const { text } = JSON.parse(await response.data.text());
+    return { pageCount, text };
+  },
+
   // Get document chunks
   getChunks: (id: string, params?: { page?: number; limit?: number }) => {
     return api.get(`/documents/${id}/chunks`, { params });
   },
+
+  // Stream processing progress (Server-Sent Events); close the returned source when done
+  subscribeToEvents: (ids: string[], onEvent: (event: DocumentProgressEvent) => void) => {
+    const url = ids.length === 1
+      ? `${API_BASE_URL}/documents/${ids[0]}/events`
+      : `${API_BASE_URL}/documents/events?ids=${ids.join(',')}`;
+    const source = new EventSource(url);
+    source.onmessage = (message) => onEvent(JSON.parse(message.data));
+    return source;
+  },
 };
 
+// Filters shared by every search mode; email filters also match attachments of matching messages
+export interface SearchFilters {
+  limit?: number;
+  documents?: string[];
+  sender?: string;
+  sent_after?: string;
+  sent_before?: string;
+  // Documents carrying every one of these tags
+  tags?: string[];
+}
+
 export const searchService = {
   // Text search
-  textSearch: (query: string, options?: {
-    limit?: number;
-    documents?: string[];
-  }) => {
+  textSearch: (query: string, options?: SearchFilters) => {
     return api.post('/search/text', { query, ...options });
   },
 
   // Semantic search
-  semanticSearch: (query: string, options?: {
-    limit?: number;
-    documents?: string[];
-    threshold?: number;
-  }) => {
+  semanticSearch: (query: string, options?: SearchFilters & { threshold?: number }) => {
     return api.post('/search/semantic', { query, ...options });
   },
 
   // Hybrid search
-  hybridSearch: (query: string, options?: {
-    limit?: number;
-    documents?: string[];
-    threshold?: number;
-  }) => {
+  hybridSearch: (query: string, options?: SearchFilters & { threshold?: number }) => {
     return api.post('/search/hybrid', { query, ...options });
   },
 };
 
+export interface DocumentTag {
+  id: string;
+  name: string;
+  source: 'auto' | 'manual';
+}
+
+export const tagService = {
+  // Tags with document counts, most used first
+  list: (params?: { page?: number; limit?: number; search?: string }) => {
+    return api.get('/tags', { params });
+  },
+
+  // Rename everywhere; renaming to an existing tag's name merges the two
+  rename: (id: string, name: string) => {
+    return api.patch(`/tags/${id}`, { name });
+  },
+
+  // Remove from every document
+  delete: (id: string) => {
+    return api.delete(`/tags/${id}`);
+  },
+};
+
 export const chatService = {
   // Get chat sessions
   getSessions: (userId?: string) => {
@@ -203,6 +374,21 @@ export const adminService = {
     return api.post('/admin/queue/retry-failed');
   },
 
+  // List dead-lettered jobs
+  getDeadJobs: (params?: { offset?: number; limit?: number }) => {
+    return api.get('/admin/queue/dead', { params });
+  },
+
+  // Requeue dead-lettered jobs (all of them when jobIds is omitted)
+  requeueDeadJobs: (jobIds?: string[]) => {
+    return api.post('/admin/queue/dead/requeue', { job_ids: jobIds });
+  },
+
+  // Purge dead-lettered jobs (all of them when jobIds is omitted)
+  purgeDeadJobs: (jobIds?: string[]) => {
+    return api.delete('/admin/queue/dead', { data: { job_ids: jobIds } });
+  },
+
   // Database maintenance
   vacuum: () => {
     return api.post('/admin/maintenance/vacuum');
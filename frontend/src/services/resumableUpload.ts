@@ -0,0 +1,120 @@
+import { api } from './api';
+
+export interface ResumableUploadState {
+  upload_id: string;
+  filename: string;
+  size: number;
+  part_size: number;
+  part_count: number;
+  received_parts: number[];
+  received_bytes: number;
+  status: 'uploading' | 'completed';
+  document_id: string | null;
+  batch_id?: string;
+  expires_at: string;
+}
+
+// Upload options sent when the upload starts (ocr, ocr_language, chunking_strategy, duplicate, ...)
+export type UploadFields = Record<string, string | number | boolean>;
+
+const PART_ATTEMPTS = 4;
+
+// crypto.subtle hashes a whole buffer at once, so only files that fit comfortably in memory get a whole-file
+// checksum; every part is checked either way
+const WHOLE_FILE_CHECKSUM_LIMIT = 256 * 1024 * 1024;
+
+// Picking the same file again after a dropped connection continues the upload it started
+const resumeKey = (file: File) => `resumable-upload:${file.name}:${file.size}:${file.lastModified}`;
+
+async function sha256(blob: Blob): Promise<string | undefined> {
+  // crypto.subtle only exists on HTTPS and localhost; the server then skips the part check
+  if (!window.crypto?.subtle) return undefined;
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Network errors and server errors are retried with backoff; a 4xx answer will not change
+async function withRetries<T>(send: () => Promise<T>): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error: any) {
+      const status = error.response?.status;
+      if (attempt >= PART_ATTEMPTS || (status && status < 500)) throw error;
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+async function resume(file: File): Promise<ResumableUploadState | null> {
+  const uploadId = localStorage.getItem(resumeKey(file));
+  if (!uploadId) return null;
+
+  // An expired upload is a 404; that only means starting over, so it is not treated as an error
+  const response = await api.get<ResumableUploadState>(`/documents/uploads/${uploadId}`, {
+    validateStatus: (status) => status < 500,
+  });
+  if (response.status === 200 && response.data.status === 'uploading') {
+    return response.data;
+  }
+  localStorage.removeItem(resumeKey(file));
+  return null;
+}
+
+/**
+ * Upload a large file in parts through /documents/uploads. Parts the server already has are skipped,
+ * so calling this again with the same file after a failure picks up where it stopped.
+ * Resolves with the response of the complete call, which has the same shape as POST /documents/upload.
+ */
+export async function uploadResumable(
+  file: File,
+  fields: UploadFields,
+  onProgress?: (fraction: number) => void
+) {
+  let state = await resume(file);
+  if (!state) {
+    const checksum = file.size <= WHOLE_FILE_CHECKSUM_LIMIT ? await sha256(file) : undefined;
+    const response = await api.post<ResumableUploadState>('/documents/uploads', {
+      filename: file.name,
+      size: file.size,
+      ...(file.type && { mime_type: file.type }),
+      ...(checksum && { checksum }),
+      ...fields,
+    });
+    state = response.data;
+    localStorage.setItem(resumeKey(file), state.upload_id);
+  }
+
+  const { upload_id: uploadId, part_size: partSize, part_count: partCount } = state;
+  const received = new Set(state.received_parts);
+  let sentBytes = state.received_bytes;
+  onProgress?.(sentBytes / file.size);
+
+  for (let index = 0; index < partCount; index++) {
+    if (received.has(index)) continue;
+
+    const part = file.slice(index * partSize, (index + 1) * partSize);
+    const checksum = await sha256(part);
+    await withRetries(() =>
+      api.put(`/documents/uploads/${uploadId}/parts/${index}`, part, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          ...(checksum && { 'X-Part-Checksum': checksum }),
+        },
+      })
+    );
+
+    sentBytes += part.size;
+    onProgress?.(sentBytes / file.size);
+  }
+
+  try {
+    const response = await withRetries(() => api.post(`/documents/uploads/${uploadId}/complete`));
+    localStorage.removeItem(resumeKey(file));
+    return response;
+  } catch (error: any) {
+    // Keep the upload to resume only if the server never answered
+    if (error.response) localStorage.removeItem(resumeKey(file));
+    throw error;
+  }
+}